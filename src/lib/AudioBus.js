@@ -1,25 +1,132 @@
 /**
- * Audio Bus - Central audio routing
- * All audio flows through here, then gets distributed to all outputs
- * (Twitch, Twilio, Local Player, etc.)
+ * Audio Bus - Central audio mixer
+ * Every source plays on a named channel (each host, the caller, SFX, the
+ * music bed). Once per frame the bus pulls a frame from every channel,
+ * applies its gain/mute, ducks the music bed under speech and sends one
+ * mixed PCM stream to all outputs (Twitch, Twilio, Local Player, etc.)
+ * Public outputs hear it through the broadcast delay (see BroadcastDelay.js);
+ * the music bed is mixed in after the delay so it never stutters. Channels
+ * can carry a censored copy of their audio, which "clean" outputs get
+ * instead (see ProfanityFilter.js).
  */
 
 import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import { performance } from 'perf_hooks';
+import { AudioClock } from './AudioClock.js';
+import { BroadcastDelay } from './BroadcastDelay.js';
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+const MAX_CATCH_UP_FRAMES = 10; // After a longer stall, drop the lag instead
+const MUSIC_BUFFER_MS = 2000; // Decoded music kept ahead of the mixer
+
+// Channel kinds that count as speech for ducking
+const SPEECH_KINDS = new Set(['voice', 'caller']);
+
+const dbToGain = (db) => 10 ** (db / 20);
+
+/**
+ * One input to the mix. Audio written to a channel is metered out by its
+ * own AudioClock, which the bus pulls from once per frame.
+ */
+export class MixerChannel {
+  /**
+   * @param {string} name
+   * @param {object} [options]
+   * @param {'voice'|'caller'|'sfx'|'music'} [options.kind] - Voices and callers duck the music bed (default 'sfx')
+   * @param {number} [options.gainDb] - Channel gain (default 0)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.kind = options.kind || 'sfx';
+    this.gainDb = options.gainDb ?? 0;
+    this.muted = false;
+    this.clock = new AudioClock({ manual: true });
+  }
+
+  /**
+   * Queue audio on this channel (see AudioClock.write())
+   * @param {Buffer} audioBuffer - PCM16 24kHz mono
+   * @param {object} [options]
+   * @returns {Promise<boolean>}
+   */
+  write(audioBuffer, options) {
+    return this.clock.write(audioBuffer, options);
+  }
+
+  /**
+   * Drop audio not yet mixed
+   */
+  clear() {
+    return this.clock.clear();
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      kind: this.kind,
+      gainDb: this.gainDb,
+      muted: this.muted,
+      bufferedMs: Math.round(this.clock.bufferedMs),
+    };
+  }
+}
 
 class AudioBus extends EventEmitter {
   constructor() {
     super();
     this.outputs = new Set();
+    /** @type {Map<string, MixerChannel>} */
+    this.channels = new Map();
+
+    this.frameMs = Number(process.env.AUDIO_FRAME_MS || 20);
+    this.frameSamples = Math.round((SAMPLE_RATE * this.frameMs) / 1000);
+    this.duckDb = Number(process.env.MUSIC_DUCK_DB || 12);
+    this.duckAttackMs = Number(process.env.MUSIC_DUCK_ATTACK_MS || 80);
+    this.duckReleaseMs = Number(process.env.MUSIC_DUCK_RELEASE_MS || 600);
+    this.duckGain = 1; // Current music bed gain from ducking (live mix)
+    this.airDuckGain = 1; // Same, following the delayed speech
+
+    this.delay = new BroadcastDelay({ frameMs: this.frameMs });
+    this.dumpJingle = null; // PCM spliced in where audio was dumped
+    this.cleanOutputs = []; // Output names that get censored audio
+
+    this.timer = null;
+    this.startedAt = 0;
+    this.framesMixed = 0;
+    this.music = null; // ffmpeg decoding the music bed
   }
-  
+
   /**
-   * Register an output (Twitch, Twilio, Local, etc.)
+   * Register an output (Twitch, Twilio, Local, etc.). Outputs get the
+   * delayed program unless they set `live: true`, and censored audio if
+   * they set `clean: true` or are named in setCleanOutputs(). An output
+   * with `mixMinus` (channel names or kinds) gets a mix without those
+   * channels - callers don't hear themselves back.
    */
   addOutput(output) {
     this.outputs.add(output);
     console.log(`🔊 Audio output registered: ${output.name}`);
+    this.start();
+  }
+
+  /**
+   * @param {string[]} names - Outputs that get censored audio unless they
+   *   set `clean` themselves
+   */
+  setCleanOutputs(names) {
+    this.cleanOutputs = names.map((name) => name.toLowerCase());
+  }
+
+  /**
+   * @param {object} output
+   * @returns {boolean} Whether the output gets censored audio
+   */
+  isClean(output) {
+    return output.clean ?? this.cleanOutputs.includes(output.name?.toLowerCase());
   }
-  
+
   /**
    * Remove an output
    */
@@ -27,17 +134,412 @@ class AudioBus extends EventEmitter {
     this.outputs.delete(output);
     console.log(`🔇 Audio output removed: ${output.name}`);
   }
-  
+
+  /**
+   * Get or create a channel
+   * @param {string} name
+   * @param {object} [options] - See MixerChannel (only used when creating)
+   * @returns {MixerChannel}
+   */
+  addChannel(name, options = {}) {
+    let channel = this.channels.get(name);
+    if (!channel) {
+      channel = new MixerChannel(name, options);
+      this.channels.set(name, channel);
+    }
+    return channel;
+  }
+
+  /**
+   * @param {string} name
+   */
+  removeChannel(name) {
+    const channel = this.channels.get(name);
+    if (!channel) return;
+    channel.clear();
+    this.channels.delete(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {MixerChannel}
+   * @throws {Error} No such channel
+   */
+  getChannel(name) {
+    const key = [...this.channels.keys()].find(
+      (k) => k.toLowerCase() === name.toLowerCase()
+    );
+    if (!key) {
+      throw new Error(
+        `Unknown channel "${name}" (channels: ${[...this.channels.keys()].join(', ')})`
+      );
+    }
+    return this.channels.get(key);
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} gainDb
+   * @returns {MixerChannel}
+   */
+  setGain(name, gainDb) {
+    const channel = this.getChannel(name);
+    channel.gainDb = gainDb;
+    console.log(`🎚️  ${channel.name}: ${gainDb} dB`);
+    return channel;
+  }
+
+  /**
+   * @param {string} name
+   * @param {boolean} muted
+   * @returns {MixerChannel}
+   */
+  setMute(name, muted) {
+    const channel = this.getChannel(name);
+    channel.muted = muted;
+    console.log(`${muted ? '🔇' : '🔊'} ${channel.name} ${muted ? 'muted' : 'unmuted'}`);
+    return channel;
+  }
+
+  /**
+   * Queue audio on a channel, creating an SFX channel if it doesn't exist
+   * @param {string} name
+   * @param {Buffer} audioBuffer - PCM16 24kHz mono
+   * @returns {Promise<boolean>} True once it has been mixed
+   */
+  write(name, audioBuffer) {
+    return this.addChannel(name).write(audioBuffer);
+  }
+
   /**
-   * Write audio to all outputs
+   * Write audio to the shared SFX channel
    */
   writeAudio(audioBuffer) {
+    return this.write('sfx', audioBuffer);
+  }
+
+  /**
+   * Decode an audio file onto a channel (jingles, stings)
+   * @param {string} file
+   * @param {string} [name] - Channel (default 'sfx')
+   * @returns {Promise<boolean>} True once it has played out
+   */
+  playFile(file, name = 'sfx') {
+    const channel = this.addChannel(name);
+    return new Promise((resolve) => {
+      const chunks = [];
+      const ffmpeg = spawn('ffmpeg', decodeArgs(file), {
+        stdio: ['ignore', 'pipe', 'ignore'],
+      });
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.on('error', (err) => {
+        console.error(`❌ Can't play ${file}:`, err.message);
+        resolve(false);
+      });
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          console.error(`❌ Can't play ${file}: ffmpeg exited with code ${code}`);
+          resolve(false);
+          return;
+        }
+        channel.write(Buffer.concat(chunks)).then(resolve);
+      });
+    });
+  }
+
+  /**
+   * Loop a music bed on the 'music' channel, ducked under speech
+   * @param {string} file
+   * @param {object} [options]
+   * @param {number} [options.gainDb] - Bed level (default MUSIC_GAIN_DB or -16.5, about 15%)
+   */
+  playMusic(file, options = {}) {
+    this.stopMusic();
+    const channel = this.addChannel('music', { kind: 'music' });
+    channel.gainDb =
+      options.gainDb ?? Number(process.env.MUSIC_GAIN_DB || -16.5);
+
+    const ffmpeg = spawn('ffmpeg', ['-stream_loop', '-1', ...decodeArgs(file)], {
+      stdio: ['ignore', 'pipe', 'ignore'],
+    });
+    this.music = ffmpeg;
+
+    // Decode only a little ahead of the mixer
+    ffmpeg.stdout.on('data', (chunk) => {
+      channel.write(chunk);
+      if (channel.clock.bufferedMs > MUSIC_BUFFER_MS && !ffmpeg.stdout.isPaused()) {
+        ffmpeg.stdout.pause();
+        channel.clock.drain(MUSIC_BUFFER_MS / 2).then(() => ffmpeg.stdout.resume());
+      }
+    });
+    ffmpeg.on('error', (err) => {
+      console.error('❌ Music bed failed:', err.message);
+    });
+    ffmpeg.on('close', (code) => {
+      if (this.music === ffmpeg) {
+        this.music = null;
+        console.error(`⚠️  Music bed stopped (ffmpeg exited with code ${code})`);
+      }
+    });
+    console.log(`🎵 Music bed: ${file} (${channel.gainDb} dB, ducked ${this.duckDb} dB under speech)`);
+  }
+
+  /**
+   * Set the broadcast delay (see BroadcastDelay.setTarget())
+   * @param {number} seconds
+   */
+  setDelay(seconds) {
+    this.delay.setTarget(seconds);
+    console.log(`⏳ Broadcast delay: ${seconds}s (now ${(this.delay.delayMs / 1000).toFixed(1)}s)`);
+  }
+
+  /**
+   * Drop audio that hasn't aired yet, splicing in the dump jingle
+   * @param {number} [seconds] - Default: everything in the delay
+   * @returns {number} Milliseconds dropped
+   */
+  dump(seconds) {
+    const filler = [];
+    if (this.dumpJingle) {
+      const channel = new MixerChannel('dump');
+      const frameBytes = this.frameSamples * BYTES_PER_SAMPLE;
+      for (let i = 0; i < this.dumpJingle.length; i += frameBytes) {
+        filler.push({
+          inputs: [{ channel, frame: this.dumpJingle.subarray(i, i + frameBytes), clean: null }],
+          speech: true,
+        });
+      }
+    }
+    const droppedMs = this.delay.dump(seconds, filler);
+    console.log(
+      `🗑️  Dumped ${(droppedMs / 1000).toFixed(1)}s of program (delay now ${(this.delay.delayMs / 1000).toFixed(1)}s)`
+    );
+    return droppedMs;
+  }
+
+  /**
+   * Run something when the audio being mixed now airs - subtitles and
+   * anything else that must stay in step with the delayed program
+   * @param {() => void} fn
+   */
+  onAir(fn) {
+    this.delay.cue(fn);
+  }
+
+  /**
+   * Decode the jingle dump() splices in
+   * @param {string} file
+   * @returns {Promise<boolean>}
+   */
+  loadDumpJingle(file) {
+    return new Promise((resolve) => {
+      const chunks = [];
+      const ffmpeg = spawn('ffmpeg', decodeArgs(file), {
+        stdio: ['ignore', 'pipe', 'ignore'],
+      });
+      ffmpeg.stdout.on('data', (chunk) => chunks.push(chunk));
+      ffmpeg.on('error', (err) => {
+        console.error(`❌ Can't load dump jingle ${file}:`, err.message);
+        resolve(false);
+      });
+      ffmpeg.on('close', (code) => {
+        if (code !== 0) {
+          console.error(`❌ Can't load dump jingle ${file}: ffmpeg exited with code ${code}`);
+          resolve(false);
+          return;
+        }
+        this.dumpJingle = Buffer.concat(chunks);
+        resolve(true);
+      });
+    });
+  }
+
+  stopMusic() {
+    if (!this.music) return;
+    const ffmpeg = this.music;
+    this.music = null;
+    ffmpeg.kill('SIGTERM');
+    this.channels.get('music')?.clear();
+  }
+
+  /**
+   * Start mixing. Keeps running until stop(), outputs or not - channels
+   * only drain while the mixer pulls from them, so playback waits on it.
+   */
+  start() {
+    if (this.timer) return;
+    this.startedAt = performance.now();
+    this.framesMixed = 0;
+    this._schedule();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      outputs: [...this.outputs].map((output) => ({
+        name: output.name,
+        live: Boolean(output.live),
+        clean: this.isClean(output),
+      })),
+      duckGainDb: Math.round(20 * Math.log10(this.duckGain) * 10) / 10,
+      delay: this.delay.getStatus(),
+      channels: [...this.channels.values()].map((channel) => channel.getStatus()),
+    };
+  }
+
+  _schedule() {
+    const due = this.startedAt + this.framesMixed * this.frameMs;
+    this.timer = setTimeout(() => this._run(), Math.max(0, due - performance.now()));
+  }
+
+  _run() {
+    const due = Math.floor((performance.now() - this.startedAt) / this.frameMs) + 1;
+    if (due - this.framesMixed > MAX_CATCH_UP_FRAMES) {
+      console.warn(`⚠️  Audio mixer stalled for ${(due - this.framesMixed) * this.frameMs}ms`);
+      this.framesMixed = due - 1;
+    }
+    while (this.framesMixed < due) {
+      this._mixFrame();
+      this.framesMixed++;
+    }
+    this._schedule();
+  }
+
+  _mixFrame() {
+    const inputs = [];
+    let speech = false;
+    for (const channel of this.channels.values()) {
+      const pulled = channel.clock.pull();
+      if (!pulled) continue;
+      if (SPEECH_KINDS.has(channel.kind)) speech = true;
+      inputs.push({ channel, frame: pulled.frame, clean: pulled.clean });
+    }
+
+    const duckFrom = this.duckGain;
+    this.duckGain = this._duck(this.duckGain, speech);
+    const live = { inputs, duckFrom, duckTo: this.duckGain };
+
+    // The air path: speech through the delay, the music bed added after it
+    let air = live;
+    if (this.delay.active) {
+      const music = inputs.filter(({ channel }) => channel.kind === 'music');
+      const aired = this.delay.process({
+        inputs: inputs.filter(({ channel }) => channel.kind !== 'music'),
+        speech,
+      });
+      const airDuckFrom = this.airDuckGain;
+      this.airDuckGain = this._duck(this.airDuckGain, aired.speech);
+      air = {
+        inputs: [...music, ...aired.inputs],
+        duckFrom: airDuckFrom,
+        duckTo: this.airDuckGain,
+      };
+    } else {
+      this.airDuckGain = this.duckGain;
+    }
+
+    const program = this._mix(air);
+    const mixes = new Map(); // Path + clean + exclusion list -> mix, shared by outputs
     for (const output of this.outputs) {
-      if (output.writeAudio) {
-        output.writeAudio(audioBuffer);
+      if (!output.writeAudio) continue;
+      const path = output.live ? live : air;
+      const clean = this.isClean(output);
+      const exclude = output.mixMinus || [];
+      const key = `${output.live ? 'live' : 'air'}:${clean}:${exclude.join(',')}`;
+      if (path === air && !clean && exclude.length === 0) {
+        mixes.set(key, program);
+      } else if (!mixes.has(key)) {
+        mixes.set(
+          key,
+          this._mix(
+            {
+              ...path,
+              inputs: path.inputs.filter(
+                ({ channel }) => !exclude.includes(channel.name) && !exclude.includes(channel.kind)
+              ),
+            },
+            clean
+          )
+        );
       }
+      output.writeAudio(mixes.get(key));
     }
+    this.emit('program', program);
   }
+
+  /**
+   * Ease a music bed gain one frame toward its ducked or full level
+   * @param {number} gain
+   * @param {boolean} speech
+   * @returns {number}
+   */
+  _duck(gain, speech) {
+    const target = speech ? dbToGain(-this.duckDb) : 1;
+    const timeMs = speech ? this.duckAttackMs : this.duckReleaseMs;
+    return gain + (target - gain) * (1 - Math.exp(-this.frameMs / timeMs));
+  }
+
+  /**
+   * Sum channel frames with their gains into one PCM16 frame
+   * @param {object} path
+   * @param {Array<{channel: MixerChannel, frame: Buffer}>} path.inputs
+   * @param {number} path.duckFrom - Music gain at the start of the frame
+   * @param {number} path.duckTo - ...and at the end
+   * @param {boolean} [clean] - Use channels' censored audio
+   * @returns {Buffer}
+   */
+  _mix({ inputs, duckFrom, duckTo }, clean = false) {
+    const samples = this.frameSamples;
+    const sum = new Float32Array(samples);
+    for (const input of inputs) {
+      const { channel } = input;
+      const frame = clean && input.clean ? input.clean : input.frame;
+      if (channel.muted) continue;
+      const gain = dbToGain(channel.gainDb);
+      const length = Math.min(samples, frame.length / BYTES_PER_SAMPLE);
+      if (channel.kind === 'music') {
+        // Ramp across the frame so ducking doesn't click
+        const step = (duckTo - duckFrom) / samples;
+        for (let i = 0; i < length; i++) {
+          sum[i] += frame.readInt16LE(i * 2) * gain * (duckFrom + step * i);
+        }
+      } else {
+        for (let i = 0; i < length; i++) {
+          sum[i] += frame.readInt16LE(i * 2) * gain;
+        }
+      }
+    }
+
+    const out = Buffer.alloc(samples * BYTES_PER_SAMPLE);
+    for (let i = 0; i < samples; i++) {
+      const sample = Math.round(sum[i]);
+      out.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i * 2);
+    }
+    return out;
+  }
+}
+
+/**
+ * ffmpeg arguments decoding a file to PCM16 24kHz mono on stdout
+ * @param {string} file
+ * @returns {string[]}
+ */
+function decodeArgs(file) {
+  return [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-i', file,
+    '-f', 's16le',
+    '-ar', String(SAMPLE_RATE),
+    '-ac', '1',
+    'pipe:1',
+  ];
 }
 
 // Global singleton
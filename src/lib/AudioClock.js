@@ -0,0 +1,219 @@
+/**
+ * Audio Clock
+ * Meters PCM16 24kHz mono out in small frames at real-time speed instead of
+ * handing whole sentences to the outputs at once. Frame times come from one
+ * time base, so pacing doesn't drift; queued audio can be dropped at any
+ * moment (interrupts stop within one frame); and "done" means the samples
+ * were actually delivered.
+ */
+
+import { EventEmitter } from "events";
+import { performance } from "perf_hooks";
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * @typedef {Object} ClockEntry
+ * @property {Buffer} buffer
+ * @property {Buffer|null} clean - Censored copy, same length (see ProfanityFilter.js)
+ * @property {number} offset - Bytes already delivered
+ * @property {(() => void)|null} onStart - Called as its first frame goes out
+ * @property {(delivered: boolean) => void} resolve
+ */
+
+export class AudioClock extends EventEmitter {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.frameMs] - Frame length (default AUDIO_FRAME_MS or 20)
+   * @param {boolean} [config.manual] - Frames are pulled by a mixer (see
+   *   AudioBus) instead of sent on the clock's own timer
+   */
+  constructor(config = {}) {
+    super();
+    this.manual = config.manual || false;
+    this.frameMs =
+      config.frameMs ?? Number(process.env.AUDIO_FRAME_MS || 20);
+    this.frameBytes =
+      Math.round((SAMPLE_RATE * this.frameMs) / 1000) * BYTES_PER_SAMPLE;
+
+    /** @type {ClockEntry[]} */
+    this.queue = [];
+    this.queuedBytes = 0;
+    this.samplesDelivered = 0;
+    this.drainWaiters = []; // { ms, resolve }
+
+    this.timer = null;
+    this.running = false; // Time base is set while audio flows
+    this.startedAt = 0;
+    this.framesSent = 0;
+  }
+
+  /**
+   * Queue audio behind whatever is already playing
+   * @param {Buffer} buffer - PCM16 24kHz mono
+   * @param {object} [options]
+   * @param {() => void} [options.onStart] - Called as its first frame goes out
+   * @param {Buffer} [options.clean] - Censored copy of the same length, mixed
+   *   for outputs that want clean audio (manual clocks - see pull())
+   * @returns {Promise<boolean>} True once every sample has been delivered,
+   *   false if it was cleared first
+   */
+  write(buffer, options = {}) {
+    if (!buffer || buffer.length === 0) {
+      if (options.onStart) options.onStart();
+      return Promise.resolve(true);
+    }
+    return new Promise((resolve) => {
+      this.queue.push({
+        buffer,
+        clean: options.clean || null,
+        offset: 0,
+        onStart: options.onStart || null,
+        resolve,
+      });
+      this.queuedBytes += buffer.length;
+      this._schedule();
+    });
+  }
+
+  /**
+   * Drop everything not yet delivered
+   * @returns {number} Milliseconds of audio dropped
+   */
+  clear() {
+    const droppedMs = this.bufferedMs;
+    const dropped = this.queue;
+    this.queue = [];
+    this.queuedBytes = 0;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.running = false;
+    dropped.forEach((entry) => entry.resolve(false));
+    this._notifyDrain(true);
+    return droppedMs;
+  }
+
+  /**
+   * @returns {number} Milliseconds queued but not yet delivered
+   */
+  get bufferedMs() {
+    return (this.queuedBytes / (SAMPLE_RATE * BYTES_PER_SAMPLE)) * 1000;
+  }
+
+  /**
+   * @returns {number} Milliseconds delivered since the clock was created
+   */
+  get deliveredMs() {
+    return (this.samplesDelivered / SAMPLE_RATE) * 1000;
+  }
+
+  /**
+   * Backpressure for producers: resolves once no more than `ms` of audio is
+   * left to deliver (or the queue was cleared)
+   * @param {number} [ms]
+   * @returns {Promise<void>}
+   */
+  drain(ms = 0) {
+    if (this.bufferedMs <= ms) return Promise.resolve();
+    return new Promise((resolve) => this.drainWaiters.push({ ms, resolve }));
+  }
+
+  /**
+   * Take the next frame now (manual clocks - the mixer calls this once per
+   * frame). Emits "frame" like a self-timed clock does.
+   * @returns {{frame: Buffer, clean: Buffer}|null} Up to one frame of PCM
+   *   and its censored version (the same buffer when nothing was censored),
+   *   or null when nothing is queued
+   */
+  pull() {
+    if (this.queue.length === 0) return null;
+    return this._sendFrame();
+  }
+
+  _schedule() {
+    if (this.manual || this.timer || this.queue.length === 0) return;
+    if (!this.running) {
+      // Fresh time base after idle, so a pause isn't "caught up" in a burst
+      this.running = true;
+      this.startedAt = performance.now();
+      this.framesSent = 0;
+    }
+    const due = this.startedAt + this.framesSent * this.frameMs;
+    this.timer = setTimeout(
+      () => this._tick(),
+      Math.max(0, due - performance.now())
+    );
+  }
+
+  _tick() {
+    this.timer = null;
+    // Send every frame that is due - more than one if the event loop lagged
+    const due =
+      Math.floor((performance.now() - this.startedAt) / this.frameMs) + 1;
+    while (this.framesSent < due && this.queue.length > 0) {
+      this._sendFrame();
+      this.framesSent++;
+    }
+    if (this.queue.length === 0) {
+      this.running = false;
+    }
+    this._schedule();
+  }
+
+  _sendFrame() {
+    const parts = [];
+    const cleanParts = [];
+    let censored = false;
+    const finished = [];
+    let need = this.frameBytes;
+
+    while (need > 0 && this.queue.length > 0) {
+      const entry = this.queue[0];
+      if (entry.offset === 0 && entry.onStart) {
+        entry.onStart();
+      }
+      const take = Math.min(need, entry.buffer.length - entry.offset);
+      parts.push(entry.buffer.subarray(entry.offset, entry.offset + take));
+      cleanParts.push(
+        (entry.clean || entry.buffer).subarray(entry.offset, entry.offset + take)
+      );
+      censored = censored || entry.clean !== null;
+      entry.offset += take;
+      need -= take;
+      if (entry.offset >= entry.buffer.length) {
+        finished.push(this.queue.shift());
+      }
+    }
+
+    const frame = parts.length === 1 ? parts[0] : Buffer.concat(parts);
+    let clean = frame;
+    if (censored) {
+      clean =
+        cleanParts.length === 1 ? cleanParts[0] : Buffer.concat(cleanParts);
+    }
+    this.queuedBytes -= frame.length;
+    this.samplesDelivered += frame.length / BYTES_PER_SAMPLE;
+    this.emit("frame", frame);
+
+    finished.forEach((entry) => entry.resolve(true));
+    this._notifyDrain(false);
+    return { frame, clean };
+  }
+
+  _notifyDrain(all) {
+    const waiting = this.drainWaiters;
+    this.drainWaiters = [];
+    for (const waiter of waiting) {
+      if (all || this.bufferedMs <= waiter.ms) {
+        waiter.resolve();
+      } else {
+        this.drainWaiters.push(waiter);
+      }
+    }
+  }
+}
+
+export default AudioClock;
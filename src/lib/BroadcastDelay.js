@@ -0,0 +1,174 @@
+/**
+ * Broadcast Delay
+ * Holds the program a few seconds before it reaches the public outputs, so
+ * the producer can dump anything that shouldn't air. The mixer (see
+ * AudioBus.js) pushes one frame's channel inputs in per tick and mixes
+ * whatever comes out. After a dump, or when the delay is changed, it is
+ * rebuilt gradually by stretching (or trimming) pauses in speech rather
+ * than by going silent on air.
+ */
+
+const QUIET_PEAK = 100; // About -50 dBFS - below this a frame counts as a pause
+const MAX_STRETCH_MS = 500; // Most a single pause is stretched or trimmed by
+
+/**
+ * @typedef {Object} DelayEntry
+ * @property {Array<{channel: import("./AudioBus.js").MixerChannel, frame: Buffer, clean: Buffer|null}>} inputs
+ * @property {boolean} speech - Ducks the music bed when it airs
+ * @property {Array<() => void>} [cues] - Run when this frame airs
+ */
+
+export class BroadcastDelay {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.frameMs] - Mixer frame length
+   * @param {number} [config.seconds] - Target delay (default BROADCAST_DELAY_SECONDS or 0 - off)
+   * @param {number} [config.rebuildPercent] - How much faster than real time the
+   *   delay may grow or shrink, in pauses (default BROADCAST_DELAY_REBUILD_PERCENT or 10)
+   */
+  constructor(config = {}) {
+    this.frameMs = config.frameMs || 20;
+    this.targetMs =
+      (config.seconds ?? Number(process.env.BROADCAST_DELAY_SECONDS || 0)) *
+      1000;
+    this.rebuildPercent =
+      config.rebuildPercent ??
+      Number(process.env.BROADCAST_DELAY_REBUILD_PERCENT || 10);
+
+    /** @type {DelayEntry[]} */
+    this.queue = [];
+    this.pendingCues = []; // For the next frame pushed
+    this.credit = 0; // Frames that may be stretched/trimmed right now
+    this.primed = false; // Nothing has aired yet - fill up at once
+  }
+
+  /**
+   * @returns {boolean} Whether audio goes through the delay at all
+   */
+  get active() {
+    return this.targetMs > 0 || this.queue.length > 0;
+  }
+
+  /**
+   * @returns {number} Milliseconds between the live mix and air right now
+   */
+  get delayMs() {
+    return this.queue.length * this.frameMs;
+  }
+
+  /**
+   * Change the delay mid-show. It drifts to the new target through pauses
+   * (only the delay configured at startup is filled at once).
+   * @param {number} seconds
+   */
+  setTarget(seconds) {
+    this.targetMs = Math.max(0, seconds) * 1000;
+    this.primed = true;
+  }
+
+  /**
+   * Run something when the audio being mixed right now airs (subtitles,
+   * recording markers). Cues in dumped audio never run.
+   * @param {() => void} fn
+   */
+  cue(fn) {
+    if (!this.active) {
+      fn();
+      return;
+    }
+    this.pendingCues.push(fn);
+  }
+
+  /**
+   * Push this tick's live inputs and take the frame to air
+   * @param {DelayEntry} entry
+   * @returns {DelayEntry}
+   */
+  process(entry) {
+    this.queue.push({ ...entry, cues: this.pendingCues });
+    this.pendingCues = [];
+
+    const maxCredit = MAX_STRETCH_MS / this.frameMs;
+    this.credit = Math.min(maxCredit, this.credit + this.rebuildPercent / 100);
+
+    const targetFrames = Math.round(this.targetMs / this.frameMs);
+    const head = this.queue[0];
+
+    if (this.queue.length <= targetFrames) {
+      // Too short: hold the queue and air a little silence instead
+      if (!this.primed || (this.credit >= 1 && isQuiet(head))) {
+        if (this.primed) this.credit -= 1;
+        return { inputs: [], speech: false, cues: [] };
+      }
+    } else if (this.queue.length - 1 > targetFrames && this.credit >= 1) {
+      // Too long: skip a frame of pause
+      if (isQuiet(head) && this.queue.length > 1) {
+        this.credit -= 1;
+        this._air(this.queue.shift());
+      }
+    }
+
+    this.primed = true;
+    return this._air(this.queue.shift());
+  }
+
+  /**
+   * Drop the most recent audio before it airs and splice in filler
+   * @param {number} [seconds] - How much to drop (default everything held)
+   * @param {DelayEntry[]} [filler] - Jingle frames to air in its place
+   * @returns {number} Milliseconds dropped
+   */
+  dump(seconds, filler = []) {
+    const frames = Math.min(
+      this.queue.length,
+      seconds === undefined
+        ? this.queue.length
+        : Math.ceil((seconds * 1000) / this.frameMs)
+    );
+    this.queue.splice(this.queue.length - frames, frames);
+    for (const entry of filler) {
+      this.queue.push({ ...entry, cues: [] });
+    }
+    this.primed = true;
+    return frames * this.frameMs;
+  }
+
+  getStatus() {
+    return {
+      targetMs: this.targetMs,
+      delayMs: this.delayMs,
+      rebuilding: Math.abs(this.delayMs - this.targetMs) > this.frameMs,
+    };
+  }
+
+  /**
+   * @param {DelayEntry} entry
+   * @returns {DelayEntry}
+   */
+  _air(entry) {
+    for (const cue of entry.cues) {
+      try {
+        cue();
+      } catch (err) {
+        console.error("❌ Delayed cue failed:", err.message);
+      }
+    }
+    return entry;
+  }
+}
+
+/**
+ * @param {DelayEntry} entry
+ * @returns {boolean} Nothing audible in this frame
+ */
+function isQuiet(entry) {
+  for (const { channel, frame } of entry.inputs) {
+    if (channel.muted) continue;
+    for (let i = 0; i + 1 < frame.length; i += 2) {
+      if (Math.abs(frame.readInt16LE(i)) > QUIET_PEAK) return false;
+    }
+  }
+  return true;
+}
+
+export default BroadcastDelay;
@@ -0,0 +1,445 @@
+/**
+ * Content Moderator
+ * Screens what the hosts are about to say and what callers said before it
+ * reaches the air or a host's prompt. Each policy (phone numbers, doxxing,
+ * threats, slurs...) has a severity that decides what happens to a line
+ * that breaks it: low is redacted, medium is regenerated, high is dropped.
+ * Every action is appended to an audit log.
+ *
+ * Policies are matched with patterns and word lists; MODERATION_CLASSIFIER=llm
+ * also asks the model. Host turns are screened whole before any of it airs
+ * (see PodcastOrchestrator.speakTurn()), so there's always time to
+ * regenerate.
+ */
+
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { XAILLMPlugin } from "../plugins/xai-llm.js";
+
+const SEVERITY_ACTIONS = { low: "redact", medium: "regenerate", high: "drop" };
+const ACTION_RANK = { allow: 0, redact: 1, regenerate: 2, drop: 3 };
+
+// Replace or extend with MODERATION_POLICIES_FILE (same shape; an entry with
+// an existing id replaces it, `"enabled": false` turns it off)
+const DEFAULT_POLICIES = [
+  {
+    id: "phone-number",
+    severity: "low",
+    description: "phone numbers",
+    // Grouped like a phone number - a list of years or prices isn't one
+    patterns: [
+      // 555-123-4567, (555) 123 4567, +1 555.123.4567
+      "(?<![\\w+])(?:\\+\\d{1,3}[\\s.-]?)?\\(?\\d{3}\\)?[\\s.-]?\\d{3}[\\s.-]?\\d{4}(?!\\w)",
+      // Any other number with a country code: +44 20 7946 0958
+      "(?<![\\w+])\\+\\d{1,3}(?:[\\s.-]?\\d){6,12}(?!\\w)",
+    ],
+    // The call-in line the hosts plug during caller hour (see Rundown.js)
+    allow: ["415-649-9366", "+1 415-649-9366"],
+    replacement: "(number redacted)",
+  },
+  {
+    id: "doxxing",
+    severity: "medium",
+    description:
+      "personal information about a private person: home addresses, emails, ID numbers, where they live or work",
+    caseSensitive: true, // Street names are capitalized - "down the road" isn't an address
+    patterns: [
+      "[\\w.+-]+@[\\w-]+\\.[\\w.-]+",
+      "\\b\\d{1,5}\\s+(?:[A-Z][a-z]+\\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\\b",
+      "\\b\\d{3}-\\d{2}-\\d{4}\\b",
+    ],
+    replacement: "(redacted)",
+  },
+  {
+    id: "threat",
+    severity: "high",
+    description: "threats or calls for violence against a real person or group",
+    patterns: [
+      "\\b(?:i|we)(?:'ll| will|'m| am|'re| are)?\\s+(?:going to|gonna)?\\s*(?:kill|shoot|stab|murder|bomb|hurt)\\s+(?:you|him|her|them|everyone)\\b",
+      "\\bsomeone (?:should|needs to) (?:kill|shoot|stab|murder)\\b",
+    ],
+  },
+  {
+    id: "slur",
+    severity: "medium",
+    description: "slurs or hate speech against a protected group",
+    // No built-in list - set MODERATION_SLURS_FILE or use the LLM classifier
+    wordsFile: process.env.MODERATION_SLURS_FILE || null,
+  },
+];
+
+/**
+ * @typedef {Object} Policy
+ * @property {string} id
+ * @property {"low"|"medium"|"high"} severity
+ * @property {string} description - Also what the LLM classifier is told
+ * @property {string[]} [patterns] - Regexes, case-insensitive unless caseSensitive is set
+ * @property {boolean} [caseSensitive]
+ * @property {string[]} [words] - Whole words, "*" at the end matches any ending
+ * @property {string} [wordsFile] - More words, one per line
+ * @property {string[]} [allow] - Matches that are fine to air, e.g. the
+ *   station's own number (compared on letters and digits only)
+ * @property {"redact"|"regenerate"|"drop"} [action] - Overrides the severity's action
+ * @property {string} [replacement] - Spoken in place of a redacted match
+ */
+
+/**
+ * @typedef {Object} Violation
+ * @property {string} policy - Policy id
+ * @property {string} action - What the policy asks for
+ * @property {Array<{index: number, text: string}>} matches - Empty when
+ *   only the LLM classifier flagged it
+ */
+
+/**
+ * @typedef {Object} ScreenResult
+ * @property {"allow"|"redact"|"regenerate"|"drop"} action
+ * @property {string|null} text - What may air (null for drop/regenerate)
+ * @property {Violation[]} violations
+ */
+
+export class ContentModerator extends EventEmitter {
+  /**
+   * @param {object} [config]
+   * @param {boolean} [config.enabled] - Default MODERATION=on
+   * @param {Policy[]} [config.policies] - Default DEFAULT_POLICIES merged with MODERATION_POLICIES_FILE
+   * @param {"rules"|"llm"} [config.classifier] - Default MODERATION_CLASSIFIER or rules
+   * @param {number} [config.maxRetries] - Regenerations per turn before it is
+   *   dropped (default MODERATION_MAX_RETRIES or 1)
+   * @param {string} [config.auditFile] - Default MODERATION_AUDIT_FILE or data/moderation/audit.jsonl
+   * @throws {Error} Unreadable policy or word file, or an invalid policy
+   */
+  constructor(config = {}) {
+    super();
+    this.enabled =
+      config.enabled ??
+      ["on", "true"].includes((process.env.MODERATION || "off").toLowerCase());
+    this.classifier =
+      config.classifier || process.env.MODERATION_CLASSIFIER || "rules";
+    if (!["rules", "llm"].includes(this.classifier)) {
+      throw new Error(
+        `Unknown MODERATION_CLASSIFIER "${this.classifier}" (available: rules, llm)`
+      );
+    }
+    this.maxRetries =
+      config.maxRetries ?? Number(process.env.MODERATION_MAX_RETRIES || 1);
+    this.auditFile =
+      config.auditFile ||
+      process.env.MODERATION_AUDIT_FILE ||
+      path.join("data", "moderation", "audit.jsonl");
+    this.policies = (config.policies || loadPolicies()).map(compilePolicy);
+    this.counts = { redact: 0, regenerate: 0, drop: 0 };
+
+    this.llm =
+      this.classifier === "llm"
+        ? new XAILLMPlugin({
+            apiKey: process.env.XAI_API_KEY,
+            model: config.model || "grok-3-fast",
+            temperature: 0,
+            maxTokens: 100,
+          })
+        : null;
+  }
+
+  /**
+   * Rule matches only (patterns and word lists)
+   * @param {string} text
+   * @returns {Violation[]}
+   */
+  classify(text) {
+    const violations = [];
+    for (const policy of this.policies) {
+      const matches = [];
+      for (const regex of policy.regexes) {
+        for (const match of text.matchAll(regex)) {
+          if (policy.allowed.has(allowKey(match[0]))) continue;
+          matches.push({ index: match.index, text: match[0] });
+        }
+      }
+      if (matches.length > 0) {
+        violations.push({ policy: policy.id, action: policy.action, matches });
+      }
+    }
+    return violations;
+  }
+
+  /**
+   * Screen a whole host turn or caller transcript
+   * @param {string} text
+   * @param {object} context
+   * @param {"host"|"caller"} context.source
+   * @param {string} [context.speaker] - Host name or caller number
+   * @param {number} [context.attempt] - Regenerations so far (hosts)
+   * @returns {Promise<ScreenResult>}
+   */
+  async screen(text, context) {
+    if (!this.enabled || !text) return allow(text);
+
+    const violations = this.classify(text);
+    if (this.llm) {
+      for (const id of await this._classifyWithModel(text)) {
+        if (violations.some((violation) => violation.policy === id)) continue;
+        const policy = this.policies.find((p) => p.id === id);
+        violations.push({ policy: id, action: policy.action, matches: [] });
+      }
+    }
+    return this._resolve(text, violations, {
+      ...context,
+      canRegenerate:
+        context.source === "host" && (context.attempt || 0) < this.maxRetries,
+    });
+  }
+
+  /**
+   * Added to a host's prompt when a turn is sent back
+   * @param {ScreenResult} result
+   * @returns {string}
+   */
+  rewriteNote(result) {
+    const broken = result.violations
+      .map((violation) => this.policies.find((p) => p.id === violation.policy))
+      .map((policy) => policy.description);
+    return `\n\n(Producer note: your last draft was pulled before air for ${broken.join(
+      "; "
+    )}. Make your point again without it.)`;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      classifier: this.classifier,
+      policies: this.policies.map((policy) => policy.id),
+      counts: { ...this.counts },
+    };
+  }
+
+  /**
+   * Pick the strictest action, apply it and audit it
+   * @param {string} text
+   * @param {Violation[]} violations
+   * @param {object} context
+   * @returns {ScreenResult}
+   */
+  _resolve(text, violations, context) {
+    if (violations.length === 0) return allow(text);
+
+    let action = "allow";
+    for (const violation of violations) {
+      // The model flags a whole line, so there is nothing to cut out
+      let wanted = violation.action;
+      if (wanted === "redact" && violation.matches.length === 0) {
+        wanted = "regenerate";
+      }
+      if (ACTION_RANK[wanted] > ACTION_RANK[action]) action = wanted;
+    }
+    if (action === "regenerate" && !context.canRegenerate) action = "drop";
+
+    const aired = action === "redact" ? this._redact(text, violations) : null;
+    this.counts[action]++;
+    this._audit({
+      source: context.source,
+      speaker: context.speaker || null,
+      attempt: context.attempt || 0,
+      action,
+      policies: violations.map((violation) => violation.policy),
+      text,
+      aired,
+    });
+    return { action, text: aired, violations };
+  }
+
+  /**
+   * @param {string} text
+   * @param {Violation[]} violations
+   * @returns {string}
+   */
+  _redact(text, violations) {
+    const cuts = [];
+    for (const violation of violations) {
+      const policy = this.policies.find((p) => p.id === violation.policy);
+      for (const match of violation.matches) {
+        cuts.push({ ...match, replacement: policy.replacement });
+      }
+    }
+    // Back to front so earlier indexes stay valid; overlaps keep the first cut
+    cuts.sort((a, b) => b.index - a.index);
+    let out = text;
+    let limit = Infinity;
+    for (const cut of cuts) {
+      const end = cut.index + cut.text.length;
+      if (end > limit) continue;
+      out = out.slice(0, cut.index) + cut.replacement + out.slice(end);
+      limit = cut.index;
+    }
+    return out;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<string[]>} Ids of the policies the model says it breaks
+   */
+  async _classifyWithModel(text) {
+    const policies = this.policies
+      .map(
+        (policy) =>
+          `- ${policy.id}: ${policy.description}${
+            policy.allow?.length ? ` (allowed: ${policy.allow.join(", ")})` : ""
+          }`
+      )
+      .join("\n");
+    try {
+      const reply = await this.llm.chat([
+        {
+          role: "system",
+          content: `You screen lines for a live talk show before they air. Edgy opinions, jokes and swearing are fine. Flag a line only if it clearly breaks one of these policies:
+${policies}
+Reply with ONLY a JSON object: {"violations": ["policy-id", ...]} (empty list if none)`,
+        },
+        { role: "user", content: text },
+      ]);
+      const start = reply.indexOf("{");
+      const end = reply.lastIndexOf("}");
+      const parsed =
+        start !== -1 && end > start
+          ? JSON.parse(reply.substring(start, end + 1))
+          : {};
+      return (Array.isArray(parsed.violations) ? parsed.violations : []).filter(
+        (id) => this.policies.some((policy) => policy.id === id)
+      );
+    } catch (err) {
+      // The rules still apply
+      console.error("⚠️  Moderation classifier failed:", err.message);
+      return [];
+    }
+  }
+
+  /**
+   * @param {object} entry
+   */
+  _audit(entry) {
+    const record = { at: new Date().toISOString(), ...entry };
+    try {
+      fs.mkdirSync(path.dirname(this.auditFile), { recursive: true });
+      fs.appendFileSync(this.auditFile, JSON.stringify(record) + "\n");
+    } catch (err) {
+      console.error("❌ Moderation audit write failed:", err.message);
+    }
+    console.log(
+      `🛡️  Moderation: ${entry.action} ${entry.source}${
+        entry.speaker ? ` ${entry.speaker}` : ""
+      } (${entry.policies.join(", ")})`
+    );
+    this.emit("action", record);
+  }
+}
+
+/**
+ * @param {string} text
+ * @returns {ScreenResult}
+ */
+function allow(text) {
+  return { action: "allow", text, violations: [] };
+}
+
+/**
+ * @param {string} text
+ * @returns {string} Letters and digits only, so "(415) 649-9366" and
+ *   "415.649.9366" compare equal
+ */
+function allowKey(text) {
+  return text.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+}
+
+/**
+ * @returns {Policy[]} DEFAULT_POLICIES merged with MODERATION_POLICIES_FILE
+ * @throws {Error} The file can't be read or isn't a JSON array
+ */
+function loadPolicies() {
+  const file = process.env.MODERATION_POLICIES_FILE;
+  if (!file) return DEFAULT_POLICIES;
+
+  let custom;
+  try {
+    custom = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Can't read MODERATION_POLICIES_FILE: ${err.message}`);
+  }
+  if (!Array.isArray(custom)) {
+    throw new Error("MODERATION_POLICIES_FILE must be a JSON array of policies");
+  }
+
+  const policies = new Map(DEFAULT_POLICIES.map((policy) => [policy.id, policy]));
+  for (const policy of custom) {
+    policies.set(policy.id, policy);
+  }
+  return [...policies.values()].filter((policy) => policy.enabled !== false);
+}
+
+/**
+ * @param {Policy} policy
+ * @returns {Policy & {action: string, regexes: RegExp[], allowed: Set<string>}}
+ * @throws {Error} Unknown severity/action, bad pattern or unreadable word file
+ */
+function compilePolicy(policy) {
+  if (!policy.id) throw new Error("Moderation policy is missing an id");
+  const action = policy.action || SEVERITY_ACTIONS[policy.severity];
+  if (!ACTION_RANK[action]) {
+    throw new Error(
+      `Moderation policy "${policy.id}" needs a severity (low, medium, high) or an action (redact, regenerate, drop)`
+    );
+  }
+
+  let words = policy.words || [];
+  if (policy.wordsFile) {
+    try {
+      words = words.concat(
+        fs
+          .readFileSync(policy.wordsFile, "utf8")
+          .split("\n")
+          .map((line) => line.trim())
+          .filter((line) => line && !line.startsWith("#"))
+      );
+    } catch (err) {
+      throw new Error(
+        `Can't read words for moderation policy "${policy.id}": ${err.message}`
+      );
+    }
+  }
+
+  const regexes = [];
+  try {
+    for (const pattern of policy.patterns || []) {
+      regexes.push(new RegExp(pattern, policy.caseSensitive ? "gu" : "giu"));
+    }
+  } catch (err) {
+    throw new Error(`Bad pattern in moderation policy "${policy.id}": ${err.message}`);
+  }
+  if (words.length > 0) {
+    const alternatives = words.map((word) => {
+      const wildcard = word.endsWith("*");
+      const stem = (wildcard ? word.slice(0, -1) : word).replace(
+        /[.*+?^${}()|[\]\\]/g,
+        "\\$&"
+      );
+      return wildcard ? `${stem}[\\p{L}\\p{N}'’]*` : stem;
+    });
+    regexes.push(
+      new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`,
+        "giu"
+      )
+    );
+  }
+
+  return {
+    description: policy.id,
+    replacement: "(redacted)",
+    ...policy,
+    action,
+    regexes,
+    allowed: new Set((policy.allow || []).map(allowKey)),
+  };
+}
+
+export default ContentModerator;
@@ -0,0 +1,261 @@
+/**
+ * Control Server
+ * Authenticated REST + WebSocket API for driving the show remotely
+ * (producer tools, the trend-researcher dashboard, ...) plus the live
+ * event feed over WebSocket and SSE
+ */
+
+import express from "express";
+import { WebSocketServer } from "ws";
+import { timingSafeEqual } from "crypto";
+import { executeCommand, COMMANDS } from "./ShowCommands.js";
+
+export class ControlServer {
+  /**
+   * @param {import("./PodcastOrchestrator.js").PodcastOrchestrator} orchestrator
+   * @param {object} [config]
+   * @param {number} [config.port] - Listen port (default CONTROL_API_PORT or 3002)
+   * @param {string} [config.token] - Bearer token clients must send (default CONTROL_API_TOKEN)
+   */
+  constructor(orchestrator, config = {}) {
+    this.orchestrator = orchestrator;
+    this.port = Number(config.port || process.env.CONTROL_API_PORT || 3002);
+    this.token = config.token || process.env.CONTROL_API_TOKEN || null;
+    this.server = null;
+    this.wss = null; // Command sockets
+    this.eventWss = null; // Event feed sockets
+    this.sseClients = new Set();
+  }
+
+  /**
+   * Start listening. Without a token the API stays off - it can end the show.
+   * @returns {Promise<boolean>} Whether the server started
+   */
+  async start() {
+    if (!this.token) {
+      console.log("⚠️  CONTROL_API_TOKEN not set - control API disabled");
+      return false;
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api", (req, res, next) => {
+      if (!this.isAuthorized(req)) {
+        res.status(401).json({ error: "Unauthorized" });
+        return;
+      }
+      next();
+    });
+
+    app.get("/api/status", (req, res) => {
+      res.json(this.orchestrator.getStatus());
+    });
+
+    app.get("/api/commands", (req, res) => {
+      res.json({ commands: COMMANDS });
+    });
+
+    // Body: { action: "breaking", text: "..." } - see ShowCommands.COMMANDS
+    app.post("/api/commands", async (req, res) => {
+      try {
+        const result = await executeCommand(this.orchestrator, req.body);
+        res.json({ ok: true, result });
+      } catch (err) {
+        res.status(400).json({ ok: false, error: err.message });
+      }
+    });
+
+    // Server-sent events: GET /api/events?types=turn.started,trend.injected&since=<seq>
+    app.get("/api/events", (req, res) => {
+      let feed;
+      try {
+        feed = this.parseFeedQuery(req);
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+        return;
+      }
+      const { types, since } = feed;
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      });
+
+      const send = (event) => {
+        res.write(
+          `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(
+            event
+          )}\n\n`
+        );
+      };
+
+      this.orchestrator.events.since(since, types).forEach(send);
+      const unsubscribe = this.orchestrator.events.subscribe(send, types);
+      const keepalive = setInterval(() => res.write(": keepalive\n\n"), 15000);
+      this.sseClients.add(res);
+
+      req.on("close", () => {
+        clearInterval(keepalive);
+        unsubscribe();
+        this.sseClients.delete(res);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server = app.listen(this.port, resolve);
+      this.server.once("error", reject);
+    });
+
+    // Both socket endpoints share the HTTP server, so route upgrades by path
+    this.wss = new WebSocketServer({ noServer: true });
+    this.eventWss = new WebSocketServer({ noServer: true });
+    this.server.on("upgrade", (req, socket, head) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      const target =
+        pathname === "/api/ws"
+          ? this.wss
+          : pathname === "/api/events"
+          ? this.eventWss
+          : null;
+
+      let status = null;
+      if (!target) {
+        status = "404 Not Found";
+      } else if (!this.isAuthorized(req)) {
+        status = "401 Unauthorized";
+      } else if (target === this.eventWss) {
+        try {
+          this.parseFeedQuery(req);
+        } catch (err) {
+          status = "400 Bad Request";
+        }
+      }
+      if (status) {
+        socket.write(`HTTP/1.1 ${status}\r\n\r\n`);
+        socket.destroy();
+        return;
+      }
+
+      target.handleUpgrade(req, socket, head, (ws) => {
+        target.emit("connection", ws, req);
+      });
+    });
+
+    // Event feed: same query params as SSE, one JSON event per message
+    this.eventWss.on("connection", (ws, req) => {
+      const { types, since } = this.parseFeedQuery(req);
+      const send = (event) => {
+        if (ws.readyState === 1) {
+          ws.send(JSON.stringify(event));
+        }
+      };
+
+      this.orchestrator.events.since(since, types).forEach(send);
+      const unsubscribe = this.orchestrator.events.subscribe(send, types);
+      ws.on("close", unsubscribe);
+      ws.on("error", (err) => {
+        console.error("Event feed WebSocket error:", err.message);
+      });
+    });
+
+    // WebSocket clients send { id, action, ...params } and get
+    // { id, ok, result } or { id, ok: false, error } back
+    this.wss.on("connection", (ws) => {
+      ws.on("message", async (message) => {
+        let command;
+        try {
+          command = JSON.parse(message);
+        } catch (err) {
+          ws.send(JSON.stringify({ ok: false, error: "Invalid JSON" }));
+          return;
+        }
+
+        try {
+          const result = await executeCommand(this.orchestrator, command);
+          ws.send(JSON.stringify({ id: command.id, ok: true, result }));
+        } catch (err) {
+          // command may be any JSON value - null, a number, an array
+          ws.send(
+            JSON.stringify({ id: command?.id, ok: false, error: err.message })
+          );
+        }
+      });
+
+      ws.on("error", (err) => {
+        console.error("Control WebSocket error:", err.message);
+      });
+    });
+
+    console.log(`🎛️  Control API listening on port ${this.port}`);
+    return true;
+  }
+
+  /**
+   * Check the bearer token (header, or ?token= for browser WebSockets)
+   * @param {import("http").IncomingMessage} req
+   * @returns {boolean}
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || "";
+    let supplied = header.startsWith("Bearer ") ? header.substring(7) : null;
+
+    if (!supplied) {
+      const url = new URL(req.url, "http://localhost");
+      supplied = url.searchParams.get("token");
+    }
+    if (!supplied) return false;
+
+    const expected = Buffer.from(this.token);
+    const actual = Buffer.from(supplied);
+    return (
+      actual.length === expected.length && timingSafeEqual(actual, expected)
+    );
+  }
+
+  /**
+   * Event feed options from the query string (Last-Event-ID also resumes SSE)
+   * @param {import("http").IncomingMessage} req
+   * @returns {{types: string[]|null, since: number}}
+   * @throws {Error} since isn't a sequence number
+   */
+  parseFeedQuery(req) {
+    const url = new URL(req.url, "http://localhost");
+    const types = url.searchParams.get("types");
+    const since =
+      url.searchParams.get("since") || req.headers["last-event-id"] || null;
+    // Anything else would replay the whole history
+    if (since !== null && !/^\d+$/.test(since)) {
+      throw new Error(`"since" must be an event sequence number, got "${since}"`);
+    }
+
+    return {
+      types: types ? types.split(",").map((t) => t.trim()) : null,
+      // Without ?since only new events are sent
+      since: since !== null ? Number(since) : this.orchestrator.events.seq,
+    };
+  }
+
+  stop() {
+    for (const wss of [this.wss, this.eventWss]) {
+      if (!wss) continue;
+      for (const client of wss.clients) {
+        client.terminate();
+      }
+      wss.close();
+    }
+    this.wss = null;
+    this.eventWss = null;
+
+    for (const res of this.sseClients) {
+      res.end();
+    }
+    this.sseClients.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+export default ControlServer;
@@ -0,0 +1,198 @@
+/**
+ * Emotion Brackets
+ * Hosts write delivery cues inline: "[yells] WAKE UP! [whispers] They know."
+ * This module parses a response into (emotion, text) spans, checks them
+ * against a host's allowed vocabulary and repairs what it can, so TTS and
+ * overlays get clean, predictable tags.
+ */
+
+const TAG_PATTERN = /\[([^\[\]]*)\]/g;
+
+/**
+ * @typedef {Object} EmotionSpan
+ * @property {string|null} emotion - Normalized tag, or null for untagged text
+ * @property {string} text - Words spoken with that emotion (no brackets)
+ */
+
+/**
+ * @typedef {Object} EmotionVocabulary
+ * @property {Set<string>|null} allowed - Tags the host may use (null = any)
+ * @property {string[]} openers - Tags the host is told to start with
+ */
+
+/**
+ * Lowercase, single-spaced tag text
+ * @param {string} tag - With or without brackets
+ * @returns {string}
+ */
+export function normalizeEmotion(tag) {
+  return tag
+    .replace(/[\[\]]/g, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+/**
+ * Split a response into emotion spans. Text before the first tag gets a
+ * null emotion; a tag with nothing after it yields an empty span.
+ * @param {string} text
+ * @returns {EmotionSpan[]}
+ */
+export function parseBrackets(text) {
+  const spans = [];
+  let emotion = null;
+  let last = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const before = text.slice(last, match.index).trim();
+    if (before || emotion !== null) {
+      spans.push({ emotion, text: before });
+    }
+    emotion = normalizeEmotion(match[1]);
+    last = match.index + match[0].length;
+  }
+
+  const rest = text.slice(last).trim();
+  if (rest || emotion !== null) {
+    spans.push({ emotion, text: rest });
+  }
+  return spans;
+}
+
+/**
+ * Text with every tag removed (what a listener actually hears)
+ * @param {string} text
+ * @returns {string}
+ */
+export function stripBrackets(text) {
+  return text
+    .replace(/\[.*?\]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Read a host's tag list out of their personality prompt. Persona files
+ * list tags on an "Available:" line and the opening ones on a "START with"
+ * line; an explicit list from the show config wins.
+ * @param {string} personality
+ * @param {string[]} [explicit] - Host config `emotions`
+ * @returns {EmotionVocabulary}
+ */
+export function getEmotionVocabulary(personality = "", explicit) {
+  const tagsOnLine = (pattern) => {
+    const line = personality.split("\n").find((l) => pattern.test(l));
+    if (!line) return [];
+    return [...line.matchAll(TAG_PATTERN)].map((m) => normalizeEmotion(m[1]));
+  };
+
+  const openers = tagsOnLine(/\bSTART with\b/i);
+  const available = explicit
+    ? explicit.map(normalizeEmotion)
+    : tagsOnLine(/\bAvailable:/i);
+
+  if (available.length === 0) {
+    return { allowed: null, openers };
+  }
+  return {
+    allowed: new Set([...available, ...openers]),
+    openers: openers.length > 0 ? openers : available.slice(0, 1),
+  };
+}
+
+/**
+ * Check a response against the bracket format
+ * @param {string} text
+ * @param {EmotionVocabulary} [vocab]
+ * @param {object} [options]
+ * @param {boolean} [options.requireOpener] - Must start with a tag (default true)
+ * @returns {{valid: boolean, problems: string[], spans: EmotionSpan[]}}
+ */
+export function validateBrackets(text, vocab = {}, options = {}) {
+  const { requireOpener = true } = options;
+  const problems = [];
+  const spans = parseBrackets(text);
+  const tagged = spans.filter((span) => span.emotion !== null);
+
+  if (/\[[^\]]*$|^[^\[]*\]/.test(text)) {
+    problems.push("unbalanced bracket");
+  }
+  if (tagged.length === 0) {
+    problems.push("no emotion tags");
+  } else if (requireOpener && spans[0].emotion === null) {
+    problems.push("does not start with an emotion tag");
+  }
+  for (const span of tagged) {
+    if (!span.emotion) {
+      problems.push("empty tag []");
+    } else if (vocab.allowed && !vocab.allowed.has(span.emotion)) {
+      problems.push(`tag not in vocabulary: [${span.emotion}]`);
+    }
+  }
+  if (tagged.length > 0 && !spans[spans.length - 1].text) {
+    problems.push("ends with a tag and no words");
+  }
+
+  return { valid: problems.length === 0, problems, spans };
+}
+
+/**
+ * Fix what can be fixed mechanically: stray brackets, empty or unknown tags
+ * (their words keep the previous emotion), dangling tags, tag spelling, and
+ * a missing opener (the host's first opener is added)
+ * @param {string} text
+ * @param {EmotionVocabulary} [vocab]
+ * @param {object} [options]
+ * @param {boolean} [options.requireOpener] - Add an opener if missing (default true)
+ * @returns {string}
+ */
+export function repairBrackets(text, vocab = {}, options = {}) {
+  const { requireOpener = true } = options;
+
+  // Lone "[" or "]" left over from a cut-off tag
+  const balanced = text
+    .replace(/\[([^\[\]]*)(?=\[|$)/g, "$1")
+    .replace(/(^|\])([^\[\]]*)\]/g, "$1$2");
+
+  const parts = [];
+  for (const span of parseBrackets(balanced)) {
+    if (!span.text) continue; // Dangling tag
+    const known =
+      span.emotion && (!vocab.allowed || vocab.allowed.has(span.emotion));
+    parts.push(known ? `[${span.emotion}] ${span.text}` : span.text);
+  }
+
+  let repaired = parts.join(" ");
+  const opener = vocab.openers && vocab.openers[0];
+  if (requireOpener && opener && !/^\[/.test(repaired) && repaired) {
+    repaired = `[${opener}] ${repaired}`;
+  }
+  return repaired;
+}
+
+/**
+ * Correction appended to the conversation when a response has to be
+ * rewritten rather than patched
+ * @param {string[]} problems
+ * @param {EmotionVocabulary} vocab
+ * @returns {string}
+ */
+export function getRepairPrompt(problems, vocab = {}) {
+  const tags = vocab.allowed
+    ? ` Use only these tags: ${[...vocab.allowed]
+        .map((tag) => `[${tag}]`)
+        .join(", ")}.`
+    : "";
+  return `Your last reply broke the emotion bracket format (${problems.join(
+    "; "
+  )}). Say the same thing again, starting with an [emotion] tag and putting tags before the lines they color.${tags} Reply with the line only.`;
+}
+
+export default {
+  parseBrackets,
+  stripBrackets,
+  validateBrackets,
+  repairBrackets,
+  getEmotionVocabulary,
+};
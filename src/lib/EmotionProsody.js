@@ -0,0 +1,349 @@
+/**
+ * Emotion Prosody
+ * Turns parsed [emotion] spans into delivery controls each TTS engine can
+ * actually use: per-line instructions for the voice clone API, SSML prosody
+ * for espeak-ng, or gain/pitch/tempo applied to the PCM for engines with no
+ * controls at all. Each span is synthesized with its own delivery and the
+ * tags themselves never reach the engine.
+ */
+
+import { spawn } from "child_process";
+import { parseBrackets } from "./EmotionBrackets.js";
+
+const SAMPLE_RATE = 24000;
+
+/**
+ * @typedef {Object} Prosody
+ * @property {string} instructions - Spoken-delivery description for instruction-driven engines
+ * @property {number} rate - Tempo multiplier (1 = as synthesized)
+ * @property {number} pitch - Pitch shift in semitones
+ * @property {number} gainDb - Loudness change in dB
+ */
+
+const NEUTRAL = { instructions: "", rate: 1, pitch: 0, gainDb: 0 };
+
+// First keyword found in the tag wins, so put the specific ones first
+const PROFILES = [
+  {
+    keywords: ["whisper"],
+    prosody: {
+      instructions: "whispering, hushed and secretive",
+      rate: 0.95,
+      pitch: -1,
+      gainDb: -9,
+    },
+  },
+  {
+    keywords: ["scream", "yell", "shout", "furious", "losing"],
+    prosody: {
+      instructions: "yelling, loud and forceful",
+      rate: 1.08,
+      pitch: 2,
+      gainDb: 4,
+    },
+  },
+  {
+    keywords: ["laugh", "cackl", "hysterical"],
+    prosody: {
+      instructions: "laughing while talking",
+      rate: 1.05,
+      pitch: 1.5,
+      gainDb: 1,
+    },
+  },
+  {
+    keywords: [
+      "gasp",
+      "breathless",
+      "frantic",
+      "manic",
+      "spiral",
+      "unhinged",
+      "deranged",
+    ],
+    prosody: {
+      instructions: "breathless and frantic, talking fast",
+      rate: 1.12,
+      pitch: 1,
+      gainDb: 2,
+    },
+  },
+  {
+    keywords: ["excited"],
+    prosody: {
+      instructions: "excited and energetic",
+      rate: 1.08,
+      pitch: 1.5,
+      gainDb: 2,
+    },
+  },
+  {
+    keywords: ["angry", "seething", "venomous", "bitter"],
+    prosody: {
+      instructions: "angry, through gritted teeth",
+      rate: 1.02,
+      pitch: -0.5,
+      gainDb: 2,
+    },
+  },
+  {
+    keywords: ["sigh", "tired", "exasperated"],
+    prosody: {
+      instructions: "weary, with a heavy sigh",
+      rate: 0.9,
+      pitch: -1,
+      gainDb: -2,
+    },
+  },
+  {
+    keywords: [
+      "deadpan",
+      "matter-of-fact",
+      "calm",
+      "patient",
+      "thoughtful",
+      "dismissive",
+    ],
+    prosody: {
+      instructions: "flat, calm and unimpressed",
+      rate: 0.95,
+      pitch: -0.5,
+      gainDb: -1,
+    },
+  },
+  {
+    keywords: ["mocking", "sarcastic", "scoff", "amused"],
+    prosody: {
+      instructions: "sarcastic and mocking",
+      rate: 1,
+      pitch: 1,
+      gainDb: 0,
+    },
+  },
+  {
+    keywords: ["crack", "breaking down"],
+    prosody: {
+      instructions: "voice cracking, on the verge of tears",
+      rate: 0.95,
+      pitch: 1,
+      gainDb: -1,
+    },
+  },
+];
+
+/**
+ * Delivery for an emotion tag; unknown or missing tags are neutral
+ * @param {string|null} emotion - Normalized tag text
+ * @returns {Prosody}
+ */
+export function getProsody(emotion) {
+  if (!emotion) return NEUTRAL;
+  for (const { keywords, prosody } of PROFILES) {
+    if (keywords.some((keyword) => emotion.includes(keyword))) {
+      return prosody;
+    }
+  }
+  // Still tell instruction-driven engines what the host asked for
+  return { ...NEUTRAL, instructions: emotion };
+}
+
+/**
+ * SSML for one span (the subset espeak-ng understands)
+ * @param {string} text
+ * @param {Prosody} prosody
+ * @returns {string}
+ */
+export function toSSML(text, prosody) {
+  const escaped = text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+  const rate = Math.round(prosody.rate * 100);
+  const pitch = Math.round((2 ** (prosody.pitch / 12) - 1) * 100);
+  let volume = "medium";
+  if (prosody.gainDb <= -6) volume = "x-soft";
+  else if (prosody.gainDb < 0) volume = "soft";
+  else if (prosody.gainDb >= 4) volume = "x-loud";
+  else if (prosody.gainDb > 0) volume = "loud";
+
+  return `<speak><prosody rate="${rate}%" pitch="${
+    pitch >= 0 ? "+" : ""
+  }${pitch}%" volume="${volume}">${escaped}</prosody></speak>`;
+}
+
+/**
+ * Shape synthesized PCM16 24kHz mono: pitch and tempo through ffmpeg, gain
+ * in place
+ * @param {Buffer} pcm
+ * @param {Prosody} prosody
+ * @returns {Promise<Buffer>}
+ */
+export async function applyProsody(pcm, prosody) {
+  let shaped = pcm;
+
+  if (pcm.length > 0 && (prosody.pitch !== 0 || prosody.rate !== 1)) {
+    const pitchFactor = 2 ** (prosody.pitch / 12);
+    // asetrate shifts pitch and tempo together; atempo puts the tempo back
+    const filter = [
+      `asetrate=${Math.round(SAMPLE_RATE * pitchFactor)}`,
+      `aresample=${SAMPLE_RATE}`,
+      `atempo=${(prosody.rate / pitchFactor).toFixed(4)}`,
+    ].join(",");
+    try {
+      shaped = await runFfmpeg(
+        [
+          "-hide_banner",
+          "-loglevel",
+          "error",
+          "-f",
+          "s16le",
+          "-ar",
+          String(SAMPLE_RATE),
+          "-ac",
+          "1",
+          "-i",
+          "pipe:0",
+          "-af",
+          filter,
+          "-f",
+          "s16le",
+          "pipe:1",
+        ],
+        pcm
+      );
+    } catch (err) {
+      // Better the line without the effect than no line at all
+      console.warn(`⚠️  Prosody filter failed: ${err.message}`);
+    }
+  }
+
+  if (prosody.gainDb !== 0) {
+    shaped = applyGain(shaped, prosody.gainDb);
+  }
+  return shaped;
+}
+
+/**
+ * @param {Buffer} pcm - PCM16 little-endian
+ * @param {number} gainDb
+ * @returns {Buffer} New buffer, clipped to the 16-bit range
+ */
+export function applyGain(pcm, gainDb) {
+  const factor = 10 ** (gainDb / 20);
+  const out = Buffer.alloc(pcm.length - (pcm.length % 2));
+  for (let i = 0; i < out.length; i += 2) {
+    const sample = Math.round(pcm.readInt16LE(i) * factor);
+    out.writeInt16LE(Math.max(-32768, Math.min(32767, sample)), i);
+  }
+  return out;
+}
+
+/**
+ * Wraps a TTS provider so every emotion span is spoken with the delivery
+ * its tag asks for, using whatever control the provider offers
+ * (provider.emotionControl: "instructions", "ssml" or "postprocess")
+ */
+export class EmotionalTTS {
+  /**
+   * @param {import("./TTSProvider.js").TTSProvider} provider
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.emotionControl = provider.emotionControl || "postprocess";
+  }
+
+  async initialize() {
+    if (this.provider.initialize) {
+      await this.provider.initialize();
+    }
+  }
+
+  /**
+   * @param {string} text - A sentence, tags included
+   * @returns {Promise<Buffer>} PCM16 24kHz mono, spans joined in order
+   */
+  async synthesize(text) {
+    const spans = parseBrackets(text).filter((span) => span.text);
+    // One span at a time - the playback engine already synthesizes the next
+    // sentences while this one plays, and a tagged line shouldn't multiply
+    // that into a burst of TTS requests (or ffmpeg processes)
+    const parts = [];
+    for (const span of spans) {
+      parts.push(await this.synthesizeSpan(span));
+    }
+    return Buffer.concat(parts);
+  }
+
+  /**
+   * @param {import("./EmotionBrackets.js").EmotionSpan} span
+   * @returns {Promise<Buffer>}
+   */
+  async synthesizeSpan(span) {
+    const prosody = getProsody(span.emotion);
+
+    switch (this.emotionControl) {
+      case "instructions": {
+        const base = this.provider.instructions;
+        const instructions = prosody.instructions
+          ? [base, prosody.instructions].filter(Boolean).join(", ")
+          : base;
+        return this.provider.synthesize(span.text, { instructions });
+      }
+      case "ssml":
+        return this.provider.synthesize(span.text, {
+          ssml: toSSML(span.text, prosody),
+        });
+      default:
+        return applyProsody(
+          await this.provider.synthesize(span.text),
+          prosody
+        );
+    }
+  }
+
+  getFormat() {
+    return this.provider.getFormat();
+  }
+}
+
+/**
+ * @param {string[]} args
+ * @param {Buffer} input
+ * @returns {Promise<Buffer>}
+ */
+function runFfmpeg(args, input) {
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn("ffmpeg", args, { stdio: ["pipe", "pipe", "pipe"] });
+    const chunks = [];
+    let stderrData = "";
+
+    ffmpeg.stdout.on("data", (chunk) => chunks.push(chunk));
+    ffmpeg.stderr.on("data", (data) => {
+      stderrData += data.toString();
+    });
+
+    ffmpeg.on("close", (code) => {
+      if (code === 0) {
+        resolve(Buffer.concat(chunks));
+      } else {
+        reject(new Error(`ffmpeg failed (code ${code}): ${stderrData}`));
+      }
+    });
+
+    ffmpeg.on("error", (err) => {
+      reject(new Error(`ffmpeg spawn error: ${err.message}`));
+    });
+
+    ffmpeg.stdin.on("error", (err) => {
+      // Ignore EPIPE errors - ffmpeg may close stdin early
+      if (err.code !== "EPIPE") {
+        console.error("ffmpeg stdin error:", err.message);
+      }
+    });
+
+    ffmpeg.stdin.write(input);
+    ffmpeg.stdin.end();
+  });
+}
+
+export default EmotionalTTS;
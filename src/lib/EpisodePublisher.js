@@ -0,0 +1,668 @@
+/**
+ * Episode Publisher
+ * Turns program recordings (see ProgramRecorder.js) into podcast episodes:
+ * cuts each finished recording by rundown segment or fixed window, has Grok
+ * write a title and show notes from the transcript, renders an MP3 with the
+ * chapters embedded, and keeps an RSS 2.0 + iTunes feed in a folder that
+ * can be served as-is.
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import express from "express";
+import { XAILLMPlugin } from "../plugins/xai-llm.js";
+
+// Chapters worth a podcast app's chapter list (every turn would be too many)
+const EPISODE_CHAPTER_TYPES = new Set([
+  "show.started",
+  "segment.changed",
+  "trend.injected",
+  "news.breaking",
+  "caller.joined",
+]);
+// Published under a fixed title - sidecars recorded before caller numbers
+// were left out name the caller, and the feed is public
+const PUBLIC_CHAPTER_TITLES = { "caller.joined": "Caller joined" };
+const MIN_CHAPTER_MS = 10000; // Closer chapters collapse into the later one
+const MAX_TRANSCRIPT_CHARS = 16000; // Sent to the LLM for titles and notes
+const SETTLE_MS = 2 * 60 * 1000; // Unfinished recordings idle this long were cut off by a crash
+
+/**
+ * @typedef {Object} EpisodeCut
+ * @property {number} startMs - Position in the recording
+ * @property {number} endMs
+ * @property {string|null} segment - Rundown segment it starts in
+ * @property {Array<{offsetMs: number, title: string}>} chapters - Relative to startMs
+ * @property {Array<{offsetMs: number, host: string, text: string}>} transcript - Relative to startMs
+ */
+
+/**
+ * @typedef {Object} Episode
+ * @property {string} id - Recording + start, so nothing is published twice
+ * @property {number} number
+ * @property {string} title
+ * @property {string} notes
+ * @property {string} file - Path inside the podcast folder
+ * @property {number} bytes
+ * @property {number} durationMs
+ * @property {string} airedAt - ISO time the episode's audio went out live
+ * @property {string} publishedAt
+ * @property {Array<{offsetMs: number, title: string}>} chapters
+ */
+
+/**
+ * Split a recording into episodes. Segment cuts fall back to windows when
+ * the show has no rundown; anything shorter than minMinutes is folded into
+ * its neighbour (or dropped if it's the whole recording).
+ * @param {object} recording - A ProgramRecorder sidecar
+ * @param {object} [options]
+ * @param {"segment"|"window"} [options.by]
+ * @param {number} [options.windowMinutes]
+ * @param {number} [options.minMinutes]
+ * @returns {EpisodeCut[]}
+ */
+export function cutEpisodes(recording, options = {}) {
+  const by = options.by || "segment";
+  const windowMs = (options.windowMinutes || 30) * 60 * 1000;
+  const minMs = (options.minMinutes ?? 5) * 60 * 1000;
+  const chapters = recording.chapters || [];
+
+  // Nothing worth keeping after the show's sign-off
+  const ended = chapters.find((c) => c.type === "show.ended");
+  const endMs = ended ? ended.offsetMs : recording.durationMs || 0;
+
+  const segments = chapters.filter(
+    (c) => c.type === "segment.changed" && c.offsetMs < endMs
+  );
+  let starts;
+  if (by === "segment" && segments.length > 0) {
+    starts = segments.map((c) => ({ offsetMs: c.offsetMs, segment: c.title }));
+    if (starts[0].offsetMs > 0) {
+      starts.unshift({ offsetMs: 0, segment: null });
+    }
+  } else {
+    starts = [];
+    for (let offsetMs = 0; offsetMs < endMs; offsetMs += windowMs) {
+      starts.push({ offsetMs, segment: null });
+    }
+  }
+
+  const cuts = [];
+  starts.forEach((start, i) => {
+    const cut = {
+      startMs: start.offsetMs,
+      endMs: i + 1 < starts.length ? starts[i + 1].offsetMs : endMs,
+      segment: start.segment,
+    };
+    const prev = cuts[cuts.length - 1];
+    if (prev && prev.endMs - prev.startMs < minMs) {
+      prev.endMs = cut.endMs;
+      prev.segment = prev.segment ?? cut.segment;
+    } else {
+      cuts.push(cut);
+    }
+  });
+  const last = cuts[cuts.length - 1];
+  if (cuts.length > 1 && last.endMs - last.startMs < minMs) {
+    cuts.pop();
+    cuts[cuts.length - 1].endMs = last.endMs;
+  }
+
+  return cuts
+    .filter((cut) => cut.endMs - cut.startMs >= minMs)
+    .map((cut) => ({
+      ...cut,
+      chapters: episodeChapters(chapters, cut),
+      transcript: (recording.transcript || [])
+        .filter((l) => l.offsetMs >= cut.startMs && l.offsetMs < cut.endMs)
+        .map((l) => ({ ...l, offsetMs: l.offsetMs - cut.startMs })),
+    }));
+}
+
+/**
+ * @param {Array<object>} chapters - Recording chapters
+ * @param {{startMs: number, endMs: number, segment: string|null}} cut
+ * @returns {Array<{offsetMs: number, title: string}>} Starting at 0
+ */
+function episodeChapters(chapters, cut) {
+  const result = [];
+  for (const chapter of chapters) {
+    if (!EPISODE_CHAPTER_TYPES.has(chapter.type)) continue;
+    if (chapter.offsetMs < cut.startMs || chapter.offsetMs >= cut.endMs) {
+      continue;
+    }
+    const offsetMs = chapter.offsetMs - cut.startMs;
+    const title = PUBLIC_CHAPTER_TITLES[chapter.type] || chapter.title;
+    const prev = result[result.length - 1];
+    if (prev && offsetMs - prev.offsetMs < MIN_CHAPTER_MS) {
+      prev.title = title;
+    } else {
+      result.push({ offsetMs, title });
+    }
+  }
+  if (result.length === 0 || result[0].offsetMs >= MIN_CHAPTER_MS) {
+    result.unshift({ offsetMs: 0, title: cut.segment || "Intro" });
+  } else {
+    result[0].offsetMs = 0;
+  }
+  return result;
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} H:MM:SS, or MM:SS under an hour
+ */
+export function formatTimestamp(ms) {
+  const total = Math.floor(ms / 1000);
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const seconds = String(total % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Show notes with the chapter list underneath
+ * @param {Episode} episode
+ * @returns {string}
+ */
+function episodeDescription(episode) {
+  const chapters = episode.chapters
+    .map((c) => `${formatTimestamp(c.offsetMs)} ${c.title}`)
+    .join("\n");
+  return `${episode.notes}\n\nChapters:\n${chapters}`;
+}
+
+/**
+ * Build the RSS 2.0 feed (with the iTunes namespace podcast apps read)
+ * @param {object} channel
+ * @param {string} channel.title
+ * @param {string} channel.description
+ * @param {string} channel.link - Base URL the folder is served from
+ * @param {string} [channel.author]
+ * @param {string} [channel.language]
+ * @param {string} [channel.category]
+ * @param {boolean} [channel.explicit]
+ * @param {string} [channel.imageUrl]
+ * @param {Episode[]} episodes
+ * @returns {string}
+ */
+export function buildFeed(channel, episodes) {
+  const base = channel.link.replace(/\/+$/, "");
+  const explicit = channel.explicit ? "true" : "false";
+  const items = [...episodes]
+    .sort((a, b) => Date.parse(b.airedAt) - Date.parse(a.airedAt))
+    .map((episode) => {
+      const description = escapeXml(episodeDescription(episode));
+      return `    <item>
+      <title>${escapeXml(episode.title)}</title>
+      <description>${description}</description>
+      <itunes:summary>${description}</itunes:summary>
+      <enclosure url="${escapeXml(`${base}/${episode.file}`)}" length="${
+        episode.bytes
+      }" type="audio/mpeg"/>
+      <guid isPermaLink="false">${escapeXml(episode.id)}</guid>
+      <pubDate>${new Date(episode.airedAt).toUTCString()}</pubDate>
+      <itunes:duration>${Math.round(episode.durationMs / 1000)}</itunes:duration>
+      <itunes:episode>${episode.number}</itunes:episode>
+      <itunes:episodeType>full</itunes:episodeType>
+      <itunes:explicit>${explicit}</itunes:explicit>
+    </item>`;
+    });
+
+  const image = channel.imageUrl
+    ? `\n    <itunes:image href="${escapeXml(channel.imageUrl)}"/>`
+    : "";
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(base)}</link>
+    <description>${escapeXml(channel.description)}</description>
+    <language>${escapeXml(channel.language || "en-us")}</language>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(
+      `${base}/feed.xml`
+    )}" rel="self" type="application/rss+xml"/>
+    <itunes:author>${escapeXml(channel.author || channel.title)}</itunes:author>
+    <itunes:summary>${escapeXml(channel.description)}</itunes:summary>
+    <itunes:category text="${escapeXml(channel.category || "Comedy")}"/>
+    <itunes:explicit>${explicit}</itunes:explicit>
+    <itunes:type>episodic</itunes:type>${image}
+${items.join("\n")}
+  </channel>
+</rss>
+`;
+}
+
+export class EpisodePublisher {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.recordingsDir] - Where ProgramRecorder writes (default RECORD_DIR or data/recordings)
+   * @param {string} [config.dir] - Feed folder (default PODCAST_DIR or data/podcast)
+   * @param {number} [config.port] - Feed server port (default PODCAST_PORT or 3003)
+   * @param {string} [config.baseUrl] - Public URL of the feed folder (default PODCAST_BASE_URL or http://localhost:<port>)
+   * @param {"segment"|"window"} [config.cutBy] - Default PODCAST_CUT_BY or segment
+   * @param {number} [config.windowMinutes] - Default PODCAST_WINDOW_MINUTES or 30
+   * @param {number} [config.minMinutes] - Shortest episode (default PODCAST_MIN_MINUTES or 5)
+   */
+  constructor(config = {}) {
+    this.recordingsDir = path.resolve(
+      config.recordingsDir ||
+        process.env.RECORD_DIR ||
+        path.join("data", "recordings")
+    );
+    this.dir = path.resolve(
+      config.dir || process.env.PODCAST_DIR || path.join("data", "podcast")
+    );
+    this.port = Number(config.port || process.env.PODCAST_PORT || 3003);
+    this.baseUrl =
+      config.baseUrl ||
+      process.env.PODCAST_BASE_URL ||
+      `http://localhost:${this.port}`;
+    this.cutBy = config.cutBy || process.env.PODCAST_CUT_BY || "segment";
+    this.windowMinutes =
+      config.windowMinutes || Number(process.env.PODCAST_WINDOW_MINUTES) || 30;
+    this.minMinutes =
+      config.minMinutes ?? Number(process.env.PODCAST_MIN_MINUTES || 5);
+    this.server = null;
+
+    this.llm = new XAILLMPlugin({
+      apiKey: process.env.XAI_API_KEY,
+      model: config.model || "grok-3-fast",
+      temperature: 0.7,
+      maxTokens: 600,
+      timeout: config.timeout || 30000,
+    });
+  }
+
+  get indexPath() {
+    return path.join(this.dir, "episodes.json");
+  }
+
+  /**
+   * @returns {{episodes: Episode[]}}
+   */
+  loadIndex() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.indexPath, "utf8"));
+      return { episodes: Array.isArray(data.episodes) ? data.episodes : [] };
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        console.warn(`⚠️  Ignoring unreadable episode index: ${err.message}`);
+      }
+      return { episodes: [] };
+    }
+  }
+
+  saveIndex(index) {
+    this.writeAtomic(this.indexPath, JSON.stringify(index, null, 2));
+  }
+
+  /**
+   * Recordings that are done being written, oldest first
+   * @returns {Array<{name: string, audioPath: string, data: object}>}
+   */
+  findRecordings() {
+    let files;
+    try {
+      files = fs.readdirSync(this.recordingsDir);
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+
+    const recordings = [];
+    for (const file of files.filter((f) => f.endsWith(".json")).sort()) {
+      let data;
+      try {
+        data = JSON.parse(
+          fs.readFileSync(path.join(this.recordingsDir, file), "utf8")
+        );
+      } catch (err) {
+        console.warn(`⚠️  Skipping unreadable recording ${file}: ${err.message}`);
+        continue;
+      }
+      const audioPath = path.join(this.recordingsDir, data.file || "");
+      if (!data.file || !fs.existsSync(audioPath)) continue;
+      // Still recording, unless the process died and left it behind
+      if (
+        !data.endedAt &&
+        Date.now() - fs.statSync(audioPath).mtimeMs < SETTLE_MS
+      ) {
+        continue;
+      }
+      recordings.push({ name: path.basename(file, ".json"), audioPath, data });
+    }
+    return recordings;
+  }
+
+  /**
+   * Publish every episode not in the feed yet, then rewrite the feed
+   * @returns {Promise<Episode[]>} The new episodes
+   */
+  async publishNew() {
+    const index = this.loadIndex();
+    const known = new Set(index.episodes.map((e) => e.id));
+    const added = [];
+    const recordings = this.findRecordings();
+
+    for (const recording of recordings) {
+      const cuts = cutEpisodes(recording.data, {
+        by: this.cutBy,
+        windowMinutes: this.windowMinutes,
+        minMinutes: this.minMinutes,
+      });
+      for (const cut of cuts) {
+        const id = `${recording.name}@${cut.startMs}`;
+        if (known.has(id)) continue;
+        try {
+          const episode = await this.publishEpisode(
+            recording,
+            cut,
+            id,
+            index.episodes.length + 1
+          );
+          index.episodes.push(episode);
+          known.add(id);
+          this.saveIndex(index);
+          added.push(episode);
+          console.log(`🎧 Published episode ${episode.number}: ${episode.title}`);
+        } catch (err) {
+          console.error(`❌ Failed to publish ${id}:`, err.message);
+        }
+      }
+    }
+
+    this.writeFeed(
+      index.episodes,
+      recordings[recordings.length - 1]?.data.show || index.episodes[0]?.show
+    );
+    return added;
+  }
+
+  /**
+   * @param {{name: string, audioPath: string, data: object}} recording
+   * @param {EpisodeCut} cut
+   * @param {string} id
+   * @param {number} number
+   * @returns {Promise<Episode>}
+   */
+  async publishEpisode(recording, cut, id, number) {
+    const airedAt = new Date(Date.parse(recording.data.startedAt) + cut.startMs);
+    const { title, notes } = await this.describe(recording.data, cut, airedAt);
+
+    const episodesDir = path.join(this.dir, "episodes");
+    fs.mkdirSync(episodesDir, { recursive: true });
+    const slug =
+      title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "")
+        .slice(0, 60) || "episode";
+    let fileName = `${number}-${slug}.mp3`;
+    for (let n = 2; fs.existsSync(path.join(episodesDir, fileName)); n++) {
+      fileName = `${number}-${slug}-${n}.mp3`;
+    }
+    const outPath = path.join(episodesDir, fileName);
+
+    await renderEpisode(recording.audioPath, outPath, cut, {
+      title,
+      artist: recording.data.show,
+      album: recording.data.show,
+      track: number,
+      chapters: cut.chapters,
+    });
+
+    return {
+      id,
+      number,
+      show: recording.data.show,
+      title,
+      notes,
+      file: `episodes/${fileName}`,
+      bytes: fs.statSync(outPath).size,
+      durationMs: cut.endMs - cut.startMs,
+      airedAt: airedAt.toISOString(),
+      publishedAt: new Date().toISOString(),
+      chapters: cut.chapters,
+    };
+  }
+
+  /**
+   * Title and show notes from the transcript. Falls back to the segment
+   * name and air date if the LLM is unavailable.
+   * @param {object} recording - Sidecar
+   * @param {EpisodeCut} cut
+   * @param {Date} airedAt
+   * @returns {Promise<{title: string, notes: string}>}
+   */
+  async describe(recording, cut, airedAt) {
+    const date = airedAt.toISOString().slice(0, 10);
+    const fallback = {
+      title: `${cut.segment || recording.show} (${date})`,
+      notes: `Replay of ${recording.show}${
+        recording.topic ? `: ${recording.topic}` : ""
+      }, aired ${date}.`,
+    };
+    if (!process.env.XAI_API_KEY || cut.transcript.length === 0) {
+      return fallback;
+    }
+
+    let transcript = cut.transcript
+      .map((line) => `${line.host}: ${line.text}`)
+      .join("\n");
+    if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+      const half = MAX_TRANSCRIPT_CHARS / 2;
+      transcript = `${transcript.slice(0, half)}\n[...]\n${transcript.slice(
+        -half
+      )}`;
+    }
+
+    try {
+      const reply = await this.llm.chat([
+        {
+          role: "system",
+          content: `You write podcast episode titles and show notes for replays of a live talk show called "${recording.show}"${
+            recording.topic ? ` (topic: ${recording.topic})` : ""
+          }. Reply with ONLY a JSON object:
+{"title": "...", "notes": "..."}
+- title: under 80 characters, specific to what was actually discussed, no episode numbers or dates
+- notes: 2-4 sentences in plain text naming the hosts and the main topics, callers or breaking news
+- Ignore [emotion] tags in the transcript`,
+        },
+        { role: "user", content: transcript },
+      ]);
+
+      const start = reply.indexOf("{");
+      const end = reply.lastIndexOf("}");
+      const parsed =
+        start !== -1 && end > start
+          ? JSON.parse(reply.substring(start, end + 1))
+          : {};
+      return {
+        title:
+          typeof parsed.title === "string" && parsed.title.trim()
+            ? parsed.title.trim()
+            : fallback.title,
+        notes:
+          typeof parsed.notes === "string" && parsed.notes.trim()
+            ? parsed.notes.trim()
+            : fallback.notes,
+      };
+    } catch (err) {
+      console.error("⚠️  Episode notes generation failed:", err.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * @param {Episode[]} episodes
+   * @param {string} [showName] - Default channel title
+   */
+  writeFeed(episodes, showName = "Podcast") {
+    const title = process.env.PODCAST_TITLE || showName;
+    const feed = buildFeed(
+      {
+        title,
+        description:
+          process.env.PODCAST_DESCRIPTION || `Replays of ${title}, live on air.`,
+        link: this.baseUrl,
+        author: process.env.PODCAST_AUTHOR,
+        language: process.env.PODCAST_LANGUAGE,
+        category: process.env.PODCAST_CATEGORY,
+        explicit: process.env.PODCAST_EXPLICIT === "true",
+        imageUrl: process.env.PODCAST_IMAGE_URL,
+      },
+      episodes
+    );
+    this.writeAtomic(path.join(this.dir, "feed.xml"), feed);
+    console.log(
+      `📡 Feed updated: ${this.baseUrl.replace(/\/+$/, "")}/feed.xml (${
+        episodes.length
+      } episodes)`
+    );
+  }
+
+  writeAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, data, "utf8");
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Serve the feed folder (feed.xml + episodes/) over HTTP
+   * @returns {Promise<void>}
+   */
+  serve() {
+    const app = express();
+    app.use(
+      express.static(this.dir, {
+        setHeaders: (res, filePath) => {
+          if (filePath.endsWith(".xml")) {
+            res.setHeader("Content-Type", "application/rss+xml; charset=utf-8");
+          }
+        },
+      })
+    );
+    return new Promise((resolve, reject) => {
+      this.server = app.listen(this.port, () => {
+        console.log(`📡 Podcast feed at http://localhost:${this.port}/feed.xml`);
+        resolve();
+      });
+      this.server.on("error", reject);
+    });
+  }
+
+  stop() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * Cut [startMs, endMs) out of a recording into a 128k MP3 with ID3 tags and
+ * chapters
+ * @param {string} source
+ * @param {string} outPath
+ * @param {EpisodeCut} cut
+ * @param {object} tags
+ * @returns {Promise<void>}
+ */
+function renderEpisode(source, outPath, cut, tags) {
+  const durationMs = cut.endMs - cut.startMs;
+  const metaPath = `${outPath}.${process.pid}.meta`;
+  const escape = (value) => String(value).replace(/([=;#\\\n])/g, "\\$1");
+  const chapters = tags.chapters.map((chapter, i) => {
+    const end = tags.chapters[i + 1]?.offsetMs ?? durationMs;
+    return `[CHAPTER]\nTIMEBASE=1/1000\nSTART=${chapter.offsetMs}\nEND=${end}\ntitle=${escape(
+      chapter.title
+    )}`;
+  });
+  fs.writeFileSync(
+    metaPath,
+    [
+      ";FFMETADATA1",
+      `title=${escape(tags.title)}`,
+      `artist=${escape(tags.artist)}`,
+      `album=${escape(tags.album)}`,
+      `track=${tags.track}`,
+      ...chapters,
+      "",
+    ].join("\n"),
+    "utf8"
+  );
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn(
+      "ffmpeg",
+      [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-y",
+        "-ss",
+        (cut.startMs / 1000).toFixed(3),
+        "-t",
+        (durationMs / 1000).toFixed(3),
+        "-i",
+        source,
+        "-f",
+        "ffmetadata",
+        "-i",
+        metaPath,
+        "-map",
+        "0:a",
+        "-map_metadata",
+        "1",
+        "-map_chapters",
+        "1",
+        "-c:a",
+        "libmp3lame",
+        "-b:a",
+        "128k",
+        "-id3v2_version",
+        "3",
+        outPath,
+      ],
+      { stdio: ["ignore", "ignore", "pipe"] }
+    );
+
+    let stderrData = "";
+    ffmpeg.stderr.on("data", (data) => {
+      stderrData += data.toString();
+    });
+    const finish = (err) => {
+      fs.rmSync(metaPath, { force: true });
+      if (err) {
+        fs.rmSync(outPath, { force: true });
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+    ffmpeg.on("error", finish);
+    ffmpeg.on("close", (code) => {
+      finish(
+        code === 0
+          ? null
+          : new Error(`ffmpeg exited with code ${code}: ${stderrData.trim()}`)
+      );
+    });
+  });
+}
+
+export default EpisodePublisher;
@@ -0,0 +1,373 @@
+/**
+ * Host Memory
+ * Long-term, cross-episode memory for each host - notable takes, recurring
+ * callers, feuds and catchphrases - stored as one JSON file per host so
+ * personas carry their history from show to show
+ */
+
+import fs from "fs";
+import path from "path";
+import { createHmac } from "crypto";
+import { XAILLMPlugin } from "../plugins/xai-llm.js";
+
+export const MEMORY_KINDS = ["take", "caller", "feud", "catchphrase"];
+
+// Always worth reminding a host of, whatever the conversation is about
+const ALWAYS_RELEVANT = new Set(["feud", "catchphrase"]);
+
+const WEEKDAYS = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const STOPWORDS = new Set(
+  "the a an and or but of to in on at for with about that this is are was were be it its you your they them their what who how why just like really".split(
+    " "
+  )
+);
+
+/**
+ * @typedef {Object} HostMemoryEntry
+ * @property {string} kind - One of MEMORY_KINDS
+ * @property {string} text - The memory, written from the host's point of view
+ * @property {string} [about] - Who or what it concerns (co-host, topic, or
+ *   for a caller the callerKey() of their number)
+ * @property {string} date - ISO time it was recorded
+ */
+
+/**
+ * File-safe name for a host: "Alex \"The Truth\" Martinez" -> alex-the-truth-martinez
+ * @param {string} hostName
+ * @returns {string}
+ */
+function slugify(hostName) {
+  return (
+    hostName
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "host"
+  );
+}
+
+/**
+ * What a caller is known by once past the phone line - event feed, show
+ * history, snapshots and host memories. An HMAC of their number keyed with
+ * CALLER_ID_SECRET: the same caller gets the same key on every show, but
+ * without the secret the key can't be matched back to a number.
+ * @param {string} callerNumber - Or a key this already made
+ * @returns {string|null} Null when there's no number (e.g. "Unknown") or no
+ *   CALLER_ID_SECRET - the caller stays anonymous and isn't remembered
+ */
+export function callerKey(callerNumber) {
+  const value = String(callerNumber || "");
+  if (/^caller-[0-9a-f]{16}$/.test(value)) return value; // Already a key
+  const digits = value.replace(/\D/g, "");
+  const secret = process.env.CALLER_ID_SECRET;
+  if (!digits || !secret) return null;
+  return `caller-${createHmac("sha256", secret)
+    .update(digits)
+    .digest("hex")
+    .substring(0, 16)}`;
+}
+
+/**
+ * Caller memories written before numbers were hashed get their key now
+ * @param {HostMemoryEntry} entry
+ * @returns {boolean} Whether the entry changed
+ */
+function hashCallerNumber(entry) {
+  if (entry.kind !== "caller" || !entry.about) return false;
+  const key = callerKey(entry.about);
+  if (key === entry.about) return false;
+  if (key) {
+    entry.about = key;
+  } else {
+    delete entry.about;
+  }
+  return true;
+}
+
+/**
+ * Lowercase content words for relevance matching
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function keywords(text) {
+  return new Set(
+    (text.toLowerCase().match(/[a-z0-9+']{3,}/g) || []).filter(
+      (word) => !STOPWORDS.has(word)
+    )
+  );
+}
+
+export class HostMemoryStore {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dir] - Directory for host files (default HOST_MEMORY_DIR or data/hosts)
+   * @param {number} [config.maxEntries] - Memories kept per host (oldest takes go first)
+   * @param {number} [config.promptEntries] - Memories added to a system prompt
+   * @param {string} [config.model] - Model used to pick memories out of a transcript
+   */
+  constructor(config = {}) {
+    this.dir = path.resolve(
+      config.dir || process.env.HOST_MEMORY_DIR || path.join("data", "hosts")
+    );
+    this.maxEntries = config.maxEntries || 200;
+    this.promptEntries = config.promptEntries || 6;
+    this.cache = new Map(); // host name -> HostMemoryEntry[]
+    if (!process.env.CALLER_ID_SECRET) {
+      console.log(
+        "⚠️  CALLER_ID_SECRET not set - callers won't be remembered between calls"
+      );
+    }
+    this.scanned = false; // Every host file in dir has been loaded
+    this.llm = new XAILLMPlugin({
+      apiKey: process.env.XAI_API_KEY,
+      model: config.model || "grok-3-fast",
+      temperature: 0.2,
+      maxTokens: 800,
+      timeout: config.timeout || 20000,
+    });
+  }
+
+  /**
+   * @param {string} hostName
+   * @returns {string}
+   */
+  filePath(hostName) {
+    return path.join(this.dir, `${slugify(hostName)}.json`);
+  }
+
+  /**
+   * Everything a host remembers (loaded from disk on first use)
+   * @param {string} hostName
+   * @returns {HostMemoryEntry[]}
+   */
+  getEntries(hostName) {
+    if (!this.cache.has(hostName)) {
+      let entries = [];
+      try {
+        const data = JSON.parse(
+          fs.readFileSync(this.filePath(hostName), "utf8")
+        );
+        entries = Array.isArray(data.entries) ? data.entries : [];
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          console.warn(
+            `⚠️  Ignoring unreadable memory for ${hostName}: ${err.message}`
+          );
+        }
+      }
+      this.cache.set(hostName, entries);
+      if (entries.filter(hashCallerNumber).length > 0) {
+        this.save(hostName); // Don't leave the plain numbers on disk
+      }
+    }
+    return this.cache.get(hostName);
+  }
+
+  /**
+   * Load every host file in the directory once, including hosts that aren't
+   * on today's show
+   */
+  loadAll() {
+    if (this.scanned) return;
+    this.scanned = true;
+    if (!fs.existsSync(this.dir)) return;
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        const data = JSON.parse(
+          fs.readFileSync(path.join(this.dir, file), "utf8")
+        );
+        if (typeof data.host === "string") this.getEntries(data.host);
+      } catch (err) {
+        continue;
+      }
+    }
+  }
+
+  /**
+   * Add memories for a host and write the file
+   * @param {string} hostName
+   * @param {Array<{kind: string, text: string, about?: string}>} memories
+   * @returns {number} How many were new
+   */
+  remember(hostName, memories) {
+    const entries = this.getEntries(hostName);
+    const known = new Set(entries.map((e) => e.text.toLowerCase()));
+    const date = new Date().toISOString();
+    let added = 0;
+
+    for (const memory of memories) {
+      const text = typeof memory?.text === "string" ? memory.text.trim() : "";
+      if (!text || !MEMORY_KINDS.includes(memory.kind)) continue;
+      if (known.has(text.toLowerCase())) continue;
+
+      const entry = {
+        kind: memory.kind,
+        text,
+        ...(memory.about ? { about: String(memory.about) } : {}),
+        date,
+      };
+      hashCallerNumber(entry);
+      entries.push(entry);
+      known.add(text.toLowerCase());
+      added++;
+    }
+
+    // Over the cap: drop the oldest takes first, they go stale fastest
+    while (entries.length > this.maxEntries) {
+      const oldestTake = entries.findIndex((e) => e.kind === "take");
+      entries.splice(oldestTake === -1 ? 0 : oldestTake, 1);
+    }
+
+    if (added > 0) {
+      this.save(hostName);
+    }
+    return added;
+  }
+
+  /**
+   * Write a host's file atomically
+   * @param {string} hostName
+   */
+  save(hostName) {
+    const filePath = this.filePath(hostName);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    const data = JSON.stringify(
+      { host: hostName, entries: this.getEntries(hostName) },
+      null,
+      2
+    );
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(tmpPath, data, "utf8");
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.error(`❌ Failed to save memory for ${hostName}:`, err.message);
+    }
+  }
+
+  /**
+   * Have the LLM pick out what each host should remember from a stretch of
+   * transcript. Never throws - a failed pass just means nothing is stored.
+   * @param {Array<{speaker: string, content: string}>} lines
+   * @param {string[]} hostNames - Hosts whose memories to update
+   */
+  async recordFromTranscript(lines, hostNames) {
+    if (lines.length === 0 || hostNames.length === 0) return;
+
+    const transcript = lines
+      .map((entry) => `${entry.speaker}: ${entry.content}`)
+      .join("\n");
+
+    try {
+      const reply = await this.llm.chat([
+        {
+          role: "system",
+          content: `You keep long-term memories for the hosts of a live talk show. From the transcript, pick out only what a host would still bring up weeks later. Reply with ONLY a JSON object mapping host name to a list of memories:
+{"Host Name": [{"kind": "take", "text": "...", "about": "..."}]}
+- kind is one of: take (a strong opinion or prediction they committed to), caller (a memorable caller - put the caller's id, like caller-1a2b3c4d5e6f7a8b, in "about", never in "text"), feud (an ongoing clash with a co-host - put their name in "about"), catchphrase (a line they keep using)
+- text is one short sentence in the host's own first person ("I said...")
+- At most 3 memories per host. Most turns are not memorable - empty lists are fine.
+Hosts: ${hostNames.join(", ")}`,
+        },
+        { role: "user", content: transcript },
+      ]);
+
+      const start = reply.indexOf("{");
+      const end = reply.lastIndexOf("}");
+      const parsed =
+        start !== -1 && end > start
+          ? JSON.parse(reply.substring(start, end + 1))
+          : {};
+
+      let added = 0;
+      for (const hostName of hostNames) {
+        const memories = parsed[hostName];
+        if (Array.isArray(memories)) {
+          added += this.remember(hostName, memories);
+        }
+      }
+      if (added > 0) {
+        console.log(`📚 Saved ${added} long-term host memories`);
+      }
+    } catch (err) {
+      console.error("⚠️  Host memory extraction failed:", err.message);
+    }
+  }
+
+  /**
+   * The memories most relevant to what's being discussed, for a system prompt.
+   * Feuds and catchphrases always qualify; takes and callers need to share
+   * words with the context. Newer memories win ties.
+   * @param {string} hostName
+   * @param {string} [context] - Current prompt (topic, recent lines, ...)
+   * @returns {string} Empty when the host has nothing relevant
+   */
+  getContext(hostName, context = "") {
+    const entries = this.getEntries(hostName);
+    if (entries.length === 0) return "";
+
+    const words = keywords(context);
+    const scored = entries
+      .map((entry, index) => {
+        let score = ALWAYS_RELEVANT.has(entry.kind) ? 1 : 0;
+        for (const word of keywords(`${entry.text} ${entry.about || ""}`)) {
+          if (words.has(word)) score += 2;
+        }
+        return { entry, index, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || b.index - a.index)
+      .slice(0, this.promptEntries);
+
+    if (scored.length === 0) return "";
+
+    const lines = scored.map(({ entry }) => {
+      const date = new Date(entry.date);
+      const when = `${WEEKDAYS[date.getDay()]} ${date.toLocaleDateString(
+        "en-US",
+        { month: "short", day: "numeric" }
+      )}`;
+      return `- (${when}, ${entry.kind}) ${entry.text}`;
+    });
+
+    return `\n\nFROM PAST SHOWS (today is ${
+      WEEKDAYS[new Date().getDay()]
+    }) - call back to these when they fit, e.g. "like I said last Tuesday":\n${lines.join(
+      "\n"
+    )}`;
+  }
+
+  /**
+   * Every host's memories about a caller, for when they ring again
+   * @param {string} callerNumber - Or their callerKey()
+   * @returns {Array<HostMemoryEntry & {host: string}>}
+   */
+  getCallerHistory(callerNumber) {
+    const history = [];
+    const key = callerKey(callerNumber);
+    if (!key) return history;
+
+    this.loadAll();
+    for (const [host, entries] of this.cache) {
+      for (const entry of entries) {
+        if (entry.kind === "caller" && entry.about === key) {
+          history.push({ host, ...entry });
+        }
+      }
+    }
+    return history;
+  }
+}
+
+export default HostMemoryStore;
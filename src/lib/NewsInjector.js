@@ -67,6 +67,26 @@ export class NewsInjector {
     }
   }
 
+  /**
+   * Undiscussed news, for state snapshots
+   * @returns {{breaking: array, regular: array}}
+   */
+  getPendingState() {
+    return {
+      breaking: this.breakingNews.filter(n => !n.discussed),
+      regular: this.getRegularNews()
+    };
+  }
+
+  /**
+   * Re-queue news saved by getPendingState()
+   * @param {{breaking: array, regular: array}} state
+   */
+  restoreState(state = {}) {
+    this.breakingNews = (state.breaking || []).map(n => ({ ...n, discussed: false }));
+    this.regularNews = (state.regular || []).map(n => ({ ...n, discussed: false }));
+  }
+
   /**
    * Check if there's breaking news
    * @returns {boolean}
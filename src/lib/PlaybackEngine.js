@@ -0,0 +1,340 @@
+/**
+ * Playback Engine
+ * The one path from text to air for a host: splits a response into
+ * segments (or takes them cut from a live LLM token stream, see
+ * SpeechSegmenter.js), synthesizes them, and plays the queue in order with
+ * subtitles, configurable overlap/gap and a single interruption contract.
+ * Audio is metered out in real time by an AudioClock.
+ */
+
+import { EventEmitter } from "events";
+import { parseBrackets, stripBrackets } from "./EmotionBrackets.js";
+import { segmentText, speechText } from "./SpeechSegmenter.js";
+import { AudioClock } from "./AudioClock.js";
+
+/** @typedef {import("./SpeechSegmenter.js").Segment} Segment */
+
+const RESET_COLOR = "\x1b[0m";
+const SAMPLE_RATE = 24000; // PCM16 mono from the TTS plugins
+const BYTES_PER_SAMPLE = 2;
+const POLL_MS = 50; // How often a wait checks shouldStop()
+
+/**
+ * Subtitle text: emotion brackets removed, sentence case
+ * @param {string} text
+ * @returns {string}
+ */
+export function cleanSubtitle(text) {
+  const clean = stripBrackets(text).toLowerCase();
+  return clean.charAt(0).toUpperCase() + clean.slice(1);
+}
+
+/**
+ * Playback length of a PCM16 24kHz mono buffer
+ * @param {Buffer} audioBuffer
+ * @returns {number} Milliseconds
+ */
+export function audioDurationMs(audioBuffer) {
+  return (audioBuffer.length / (SAMPLE_RATE * BYTES_PER_SAMPLE)) * 1000;
+}
+
+export class PlaybackEngine extends EventEmitter {
+  /**
+   * @param {object} config
+   * @param {string} config.name - Host name (for subtitles and logs)
+   * @param {{synthesize: (text: string) => Promise<Buffer>}} config.tts - TTS plugin
+   * @param {string} [config.color] - ANSI color for console output
+   * @param {number} [config.overlapMs] - Queue the next sentence this long before the current one ends (default PLAYBACK_OVERLAP_MS or 500)
+   * @param {number} [config.gapMs] - Silence between sentences (default PLAYBACK_GAP_MS or 0)
+   * @param {AudioClock} [config.clock] - Meters audio out (default: one per engine)
+   * @param {import("./ProfanityFilter.js").ProfanityFilter} [config.censor] - Adds a
+   *   censored copy of each sentence's audio and subtitle
+   */
+  constructor(config) {
+    super();
+    this.name = config.name;
+    this.tts = config.tts;
+    this.color = config.color || "";
+    this.overlapMs =
+      config.overlapMs ?? Number(process.env.PLAYBACK_OVERLAP_MS || 500);
+    this.gapMs = config.gapMs ?? Number(process.env.PLAYBACK_GAP_MS || 0);
+    this.censor = config.censor || null;
+    this.isPlaying = false;
+    this.interrupted = false;
+    this.wake = null; // Ends the current wait early on interrupt()
+    this.stopCheck = null;
+
+    // "audio" events carry frames as they are delivered in real time
+    this.clock = config.clock || new AudioClock();
+    this.clock.on("frame", (frame) => {
+      if (this.stopCheck && this.stopCheck()) {
+        this.clock.clear();
+        return;
+      }
+      this.emit("audio", frame);
+    });
+  }
+
+  /**
+   * Synthesize one sentence, logging how long it took
+   * @param {string|Segment} sentence - Segments are spoken with the
+   *   emotion they carry over
+   * @returns {Promise<Buffer>}
+   */
+  async synthesize(sentence) {
+    const ttsStart = Date.now();
+    const audio = await this.tts.synthesize(
+      typeof sentence === "string" ? sentence : speechText(sentence)
+    );
+    console.log(
+      `${this.color}⏱️  TTS: ${Date.now() - ttsStart}ms (${
+        audio.length
+      } bytes)${RESET_COLOR}`
+    );
+    return audio;
+  }
+
+  /**
+   * Speak a response. Every sentence is synthesized in parallel (reusing any
+   * prefetched audio) and played in order as soon as its audio is ready.
+   *
+   * Interruption contract: once interrupt() is called or shouldStop()
+   * returns true (checked every clock frame), queued audio is dropped, sound
+   * stops within one frame and play() resolves false. It resolves true only
+   * after the last sample has been delivered.
+   *
+   * @param {string} text - Full response
+   * @param {object} [options] - See playSentences()
+   * @returns {Promise<boolean>} True if every sentence played
+   */
+  play(text, options = {}) {
+    return this.playSentences(segmentText(text || ""), options);
+  }
+
+  /**
+   * Speak sentences as they arrive. Each one goes to TTS the moment it is
+   * yielded, so with a SentenceStream the first sentence airs while later
+   * ones are still being written. Same interruption contract as play().
+   *
+   * @param {Iterable<string|Segment>|AsyncIterable<string|Segment>} sentences
+   * @param {object} [options]
+   * @param {Buffer[]} [options.prefetched] - Audio already synthesized, by sentence index
+   * @param {() => boolean} [options.shouldStop] - Polled while playing
+   * @param {number} [options.startedAt] - When the turn started (for time-to-first-audio, default now)
+   * @returns {Promise<boolean>} True if every sentence played
+   */
+  async playSentences(sentences, options = {}) {
+    const {
+      prefetched = [],
+      shouldStop = () => false,
+      startedAt = Date.now(),
+    } = options;
+
+    this.interrupted = false;
+    const stopped = () => {
+      if (!this.interrupted && shouldStop()) {
+        this.interrupted = true;
+      }
+      return this.interrupted;
+    };
+    this.stopCheck = stopped; // Checked on every frame the clock sends
+
+    // The queue: one pending synthesis per sentence, started on arrival
+    const queue = [];
+    let sourceDone = false;
+    let over = false; // This play() has returned - stop feeding the queue
+    let starved = false; // The player is waiting on the next sentence
+    const wakeIfStarved = () => {
+      if (starved && this.wake) this.wake();
+    };
+    const enqueue = (item) => {
+      const segment =
+        typeof item === "string" ? { text: item, emotion: null } : item;
+      const i = queue.length;
+      const audio = prefetched[i]
+        ? Promise.resolve(prefetched[i])
+        : this.synthesize(segment);
+      audio.catch(() => {}); // Surfaced when its turn comes
+      queue.push({ sentence: segment.text, emotion: segment.emotion, audio });
+      wakeIfStarved();
+    };
+
+    if (Symbol.asyncIterator in sentences) {
+      (async () => {
+        try {
+          for await (const sentence of sentences) {
+            if (over) break;
+            enqueue(sentence);
+          }
+        } catch (err) {
+          console.error(
+            `${this.color}❌ ${this.name} sentence source failed:${RESET_COLOR}`,
+            err.message
+          );
+        } finally {
+          sourceDone = true;
+          wakeIfStarved();
+        }
+      })();
+    } else {
+      for (const sentence of sentences) enqueue(sentence);
+      sourceDone = true;
+    }
+
+    this.isPlaying = true;
+    try {
+      for (let i = 0; ; i++) {
+        // Wait for the next sentence to be written (or the source to end)
+        starved = true;
+        while (i >= queue.length && !sourceDone && !stopped()) {
+          await this.wait(POLL_MS, stopped);
+        }
+        starved = false;
+        if (i >= queue.length && sourceDone) {
+          console.log(
+            `${this.color}📝 ${queue.length} sentences (${
+              prefetched.filter(Boolean).length
+            } prefetched)${RESET_COLOR}`
+          );
+          break;
+        }
+
+        // No queue entry here means the wait above ended on a stop
+        const audioBuffer = i < queue.length ? await queue[i].audio : null;
+        if (stopped()) {
+          console.log(
+            `${this.color}🛑 Stopped before sentence ${i + 1}${RESET_COLOR}`
+          );
+          return false;
+        }
+
+        // A streamed sentence only counts as last if the source has already
+        // ended; otherwise it is followed by the gap like any other
+        const isLast = sourceDone && i === queue.length - 1;
+        const durationMs = audioDurationMs(audioBuffer);
+        const { sentence, emotion } = queue[i];
+
+        const text = cleanSubtitle(sentence);
+        const clean = this.censor?.censorAudio(audioBuffer, sentence) || null;
+
+        // Subtitle goes up as the first frame of the sentence goes out
+        this.clock.write(audioBuffer, {
+          clean,
+          onStart: () => {
+            if (i === 0) {
+              console.log(
+                `${this.color}⏱️  Time to first audio: ${
+                  Date.now() - startedAt
+                }ms${RESET_COLOR}`
+              );
+            }
+            const spans = parseBrackets(sentence);
+            this.emit("subtitle", {
+              name: this.name,
+              text,
+              cleanText: this.censor ? this.censor.maskText(text) : text,
+              duration: durationMs,
+              emotion:
+                emotion || spans.find((span) => span.emotion)?.emotion || null,
+              spans,
+            });
+          },
+        });
+        if (!isLast && this.gapMs > 0) {
+          this.clock.write(this.silence(this.gapMs));
+        }
+        console.log(
+          `${this.color}🎤 ${i + 1} (${durationMs.toFixed(
+            0
+          )}ms, ${this.clock.bufferedMs.toFixed(
+            0
+          )}ms queued): "${sentence}"${RESET_COLOR}`
+        );
+
+        // Backpressure: take the next sentence once this one is within
+        // overlapMs of its end
+        await this.waitFor(this.clock.drain(this.overlapMs), stopped);
+        if (this.interrupted) {
+          console.log(
+            `${this.color}🛑 Interrupted during sentence ${i + 1}${RESET_COLOR}`
+          );
+          return false;
+        }
+      }
+
+      // Finished means the last sample went out, not that it was queued
+      await this.waitFor(this.clock.drain(0), stopped);
+      if (this.interrupted) {
+        console.log(
+          `${this.color}🛑 Interrupted during sentence ${queue.length}${RESET_COLOR}`
+        );
+        return false;
+      }
+
+      this.emit("finished");
+      return true;
+    } finally {
+      over = true;
+      this.stopCheck = null;
+      if (this.interrupted) this.clock.clear();
+      this.isPlaying = false;
+    }
+  }
+
+  /**
+   * Stop the current play() and drop its queued audio
+   */
+  interrupt() {
+    this.interrupted = true;
+    this.clock.clear();
+    if (this.wake) this.wake();
+  }
+
+  /**
+   * Wait for a promise, ending early if stopped() turns true
+   * @param {Promise} promise
+   * @param {() => boolean} stopped
+   */
+  async waitFor(promise, stopped) {
+    let settled = false;
+    promise.then(() => {
+      settled = true;
+      if (this.wake) this.wake();
+    });
+    while (!settled && !stopped()) {
+      await this.wait(POLL_MS, stopped);
+    }
+  }
+
+  /**
+   * Wait for the given time, ending early if stopped() turns true
+   * @param {number} ms
+   * @param {() => boolean} stopped
+   */
+  wait(ms, stopped) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearInterval(poll);
+        clearTimeout(timer);
+        this.wake = null;
+        resolve();
+      };
+      const poll = setInterval(() => {
+        if (stopped()) done();
+      }, POLL_MS);
+      const timer = setTimeout(done, ms);
+      this.wake = done;
+    });
+  }
+
+  /**
+   * @param {number} ms
+   * @returns {Buffer} PCM16 silence
+   */
+  silence(ms) {
+    const samples = Math.round((ms / 1000) * SAMPLE_RATE);
+    return Buffer.alloc(samples * BYTES_PER_SAMPLE);
+  }
+}
+
+export default PlaybackEngine;
@@ -12,31 +12,155 @@ import { TextOverlayManager } from "./TextOverlay.js";
 import { showTweetOverlay } from "./TweetOverlay.js";
 import { TrendInjector } from "./TrendInjector.js";
 import { audioBus } from "./AudioBus.js";
-import { sendAudioToTwilioCalls } from "../twilio-server.js";
+import { ProgramRecorder } from "./ProgramRecorder.js";
+import { ProfanityFilter } from "./ProfanityFilter.js";
+import { ContentModerator } from "./ContentModerator.js";
+import { StreamSupervisor } from "./StreamSupervisor.js";
+import { loadShowConfig, loadHostConfig } from "./ShowConfig.js";
+import { createTurnPolicy } from "./TurnPolicy.js";
+import { Rundown } from "./Rundown.js";
+import { ShowEventBus } from "./ShowEventBus.js";
+import { ShowStateStore } from "./ShowState.js";
+import { ShowMemory } from "./ShowMemory.js";
+import { HostMemoryStore, callerKey } from "./HostMemory.js";
+import { ControlServer } from "./ControlServer.js";
+import { parseConsoleCommand, executeCommand } from "./ShowCommands.js";
+import { getActiveCallers } from "../twilio-server.js";
 import readline from "readline";
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
 
 const LOCAL_MODE = process.env.LOCAL_MODE === "true";
 const TWITCH_MODE = process.env.TWITCH_MODE === "true";
 const RESET_COLOR = "\x1b[0m";
-
-export class PodcastOrchestrator {
-  constructor(agentConfigs, topic) {
+const MAX_SAVED_HISTORY = 200; // Shared history lines kept in state snapshots
+
+export class PodcastOrchestrator extends EventEmitter {
+  /**
+   * @param {Array} agentConfigs - Host configs (name, personality, voice, color)
+   * @param {string} topic - Show topic
+   * @param {object} [options] - Segment settings from the show config
+   * @param {string} [options.trendPersonality] - Personality used for trend selection
+   * @param {number} [options.trendIntervalMinutes] - Minutes between auto trend fetches
+   * @param {number} [options.minTrendTweetCount] - Minimum tweets for a trend to qualify
+   * @param {number} [options.historyWindow] - Shared history lines included in prompts
+   * @param {number} [options.summarizeEvery] - Lines past the window before they're folded into show memory
+   * @param {number} [options.memoryTokenBudget] - Max tokens of show memory per prompt
+   * @param {string|object} [options.turnPolicy] - Turn-taking policy (default round-robin)
+   * @param {string} [options.showName] - Show name (used in station IDs)
+   * @param {{loop: boolean, segments: Array}} [options.rundown] - Timed segments (default: intro, then open-ended conversation)
+   * @param {string} [options.stateFile] - Snapshot file for resuming after a restart
+   * @param {boolean} [options.resume] - Pick up from the last snapshot (default true; --fresh or SHOW_RESUME=false disables)
+   */
+  constructor(agentConfigs, topic, options = {}) {
+    super();
     this.agentConfigs = agentConfigs;
     this.topic = topic;
+    this.historyWindow = options.historyWindow || 20;
+    this.turnPolicy = createTurnPolicy(options.turnPolicy);
+    this.lastSpeaker = null; // Host who spoke most recently (for policies)
     this.agents = [];
     this.audioSource = null;
     this.localPlayer = null;
     this.twitchStreamer = null;
+    this.streamSupervisor = null; // Restarts the encoder if it dies or stalls
+    this.recorder = null; // Program archive (RECORD_PROGRAM)
+    this.profanity = new ProfanityFilter(); // Clean audio/subtitles for some outputs
+    this.cleanSubtitles = false; // Set once the video output is known
     this.isRunning = false;
     this.currentSpeaker = null;
     this.userInput = null;
     this.rl = null;
     this.newsInjector = new NewsInjector();
-    this.trendInjector = new TrendInjector({ autoIntervalMinutes: 2 });
+    this.trendInjector = new TrendInjector({
+      autoIntervalMinutes: options.trendIntervalMinutes || 2,
+      personality: options.trendPersonality,
+      minTweetCount: options.minTrendTweetCount,
+    });
     this.textOverlay = null; // Will be initialized after localPlayer
     this.sharedHistory = []; // Shared conversation history between agents
+    // Digest of lines that scrolled out of historyWindow (see ShowMemory.js)
+    this.memory = new ShowMemory({
+      summarizeEvery: options.summarizeEvery,
+      tokenBudget: options.memoryTokenBudget,
+    });
+    // Long-term memory that carries over between shows (see HostMemory.js)
+    this.hostMemory = new HostMemoryStore();
+    this.memory.on("summarized", (lines) => {
+      this.hostMemory.recordFromTranscript(
+        lines,
+        this.agents.map((a) => a.getName())
+      );
+    });
     this.pendingTrendPrompt = null; // Trend prompt waiting to be injected
+    this.pendingTrendName = null; // Trend the pending prompt is about
     this.pendingTrendTweet = null; // Tweet to show with the pending trend
+    this.benchedHosts = new Set(); // Hosts on the roster but off air
+    this.pendingRosterChanges = []; // On-air joins/sign-offs waiting for the next turn
+    this.showName = options.showName || "the show";
+    this.rundown = new Rundown(options.rundown?.segments, {
+      loop: options.rundown?.loop,
+    });
+
+    // Everything that happens on air, for dashboards/loggers (see ShowEventBus.js)
+    this.events = new ShowEventBus();
+
+    // Pre-air screening of host turns and caller transcripts. Events leave
+    // the text out - the audit log has it
+    this.moderation = new ContentModerator();
+    this.moderation.on("action", (entry) =>
+      this.events.publish("moderation.action", {
+        source: entry.source,
+        speaker: entry.speaker,
+        action: entry.action,
+        policies: entry.policies,
+      })
+    );
+
+    // Snapshots so a restarted process can resume mid-show
+    this.stateStore = new ShowStateStore({
+      filePath: options.stateFile,
+      showName: this.showName,
+    });
+    this.resume =
+      options.resume ??
+      (process.env.SHOW_RESUME !== "false" &&
+        !process.argv.includes("--fresh"));
+    this.resumePosition = null; // Rundown position from the snapshot
+    this.departedHosts = new Set(); // Names of hosts who left mid-show
+    this.rundownFinished = false;
+
+    // Re-emit so overlays and other listeners only need the orchestrator
+    this.rundown.on("segmentChanged", (event) => {
+      this.events.publish("segment.changed", {
+        segment: {
+          id: event.segment.id,
+          type: event.segment.type,
+          title: event.segment.title,
+        },
+        previous: event.previous?.title || null,
+      });
+      this.emit("segmentChanged", event);
+    });
+  }
+
+  /**
+   * Build an orchestrator from a show definition file
+   * @param {string} filePath - Path to the show JSON file
+   * @returns {PodcastOrchestrator}
+   */
+  static fromFile(filePath) {
+    const show = loadShowConfig(filePath);
+    console.log(`📻 Loaded show "${show.name}" from ${show.sourcePath}`);
+
+    return new PodcastOrchestrator(show.hosts, show.topic, {
+      trendPersonality: show.trendPersonality,
+      turnPolicy: show.turnPolicy,
+      showName: show.name,
+      rundown: show.rundown,
+      ...show.segmentSettings,
+    });
   }
 
   setupInput() {
@@ -53,91 +177,31 @@ export class PodcastOrchestrator {
     console.log('   Type "text: <message>" to show overlay text (5s)');
     console.log('   Type "tweet: <url>" to show a tweet overlay (15s)');
     console.log('   Type "trends" to fetch and inject a trending topic');
+    console.log('   Type "next" to end the current segment early');
+    console.log('   Type "hosts" or "rundown" to list the roster and segments');
+    console.log(
+      '   Type "join: <name|host.json>" to bring a host on air (they intro themselves)'
+    );
+    console.log('   Type "leave: <name>" to have a host sign off and leave');
+    console.log('   Type "bench: <name>" to take a host off air silently');
+    console.log(
+      '   Type "policy: <round-robin|most-addressed|llm-directed|energy-weighted>" to change turn-taking'
+    );
+    console.log('   Type "status" for speaker, queue and callers');
     console.log('   Type "quit" to exit\n');
 
+    // The console is just another control client - same commands as the API
     this.rl.on("line", async (input) => {
-      const trimmed = input.trim();
-
-      if (trimmed.toLowerCase() === "quit") {
-        console.log("\n👋 Stopping podcast...");
-        this.cleanup();
-        process.exit(0);
-      } else if (trimmed.toLowerCase().startsWith("breaking:")) {
-        const news = trimmed.substring(9).trim();
-        this.newsInjector.injectBreakingNews(news);
-
-        // Interrupt current speaker
-        if (this.currentSpeaker) {
-          await this.currentSpeaker.interrupt();
-        } else {
-          for (const agent of this.agents) {
-            if (agent.audioPlaying) {
-              await agent.interrupt();
-              break;
-            }
-          }
-        }
-      } else if (trimmed.toLowerCase().startsWith("news:")) {
-        const news = trimmed.substring(5).trim();
-        this.newsInjector.injectRegularNews(news);
-      } else if (trimmed.toLowerCase().startsWith("text:")) {
-        const text = trimmed.substring(5).trim();
-        this.textOverlay.showText(text, 5000);
-
-        // Also show on Twitch if streaming
-        if (this.twitchStreamer) {
-          this.twitchStreamer.showText(text, 5000);
-        }
-      } else if (trimmed.toLowerCase().startsWith("tweet:")) {
-        const tweetUrl = trimmed.substring(6).trim();
-        console.log(`\n📸 Capturing tweet: ${tweetUrl}`);
-
-        // Get the active player
-        const player = this.twitchStreamer || this.localPlayer;
-        if (player) {
-          showTweetOverlay(player, tweetUrl, { duration: 100000 })
-            .then(() => console.log("✅ Tweet overlay shown"))
-            .catch((err) => console.error("❌ Tweet error:", err.message));
-        } else {
-          console.log("⚠️  No video player active for overlay");
-        }
-      } else if (trimmed.toLowerCase() === "trends") {
-        console.log("\n📊 Fetching trending topics...");
-        this.trendInjector
-          .fetchAndInject()
-          .then((result) => {
-            if (result) {
-              this.pendingTrendPrompt = result.prompt;
-              this.pendingTrendTweet = result.tweet; // Store tweet with prompt
-              console.log(
-                `\n🔥 Trend ready: "${result.trend}" - will inject on next turn`
-              );
-
-              // Interrupt current speaker to inject trend faster
-              if (this.currentSpeaker) {
-                this.currentSpeaker.interrupt();
-              }
-            }
-          })
-          .catch((err) => console.error("❌ Trend error:", err.message));
-      } else if (trimmed) {
-        this.userInput = trimmed;
-        console.log(`\n🎤 YOU: "${trimmed}"\n`);
-
-        // Interrupt current speaker
-        if (this.currentSpeaker) {
-          await this.currentSpeaker.interrupt();
-        } else {
-          for (const agent of this.agents) {
-            if (agent.audioPlaying) {
-              console.log(
-                `${agent.config.color}🛑 Interrupting ${agent.config.name}'s audio${RESET_COLOR}`
-              );
-              await agent.interrupt();
-              break;
-            }
-          }
+      const command = parseConsoleCommand(input);
+      if (!command) return;
+
+      try {
+        const result = await executeCommand(this, command);
+        if (command.action === "status") {
+          this.printStatus(result);
         }
+      } catch (err) {
+        console.error(`❌ ${err.message}`);
       }
     });
   }
@@ -147,6 +211,14 @@ export class PodcastOrchestrator {
 
     this.setupInput();
 
+    // Remote control (REST + WebSocket) - same commands as the console
+    this.controlServer = new ControlServer(this);
+    try {
+      await this.controlServer.start();
+    } catch (err) {
+      console.error("❌ Control API failed to start:", err.message);
+    }
+
     // Set up audio output and register with audio bus
     if (TWITCH_MODE) {
       this.twitchStreamer = new TwitchStreamer({
@@ -155,6 +227,9 @@ export class PodcastOrchestrator {
         enableSubtitles: process.env.ENABLE_SUBTITLES === "true",
       });
       this.twitchStreamer.name = "Twitch";
+      this.twitchStreamer.on("destination", (health) =>
+        this.events.publish("stream.destination", health)
+      );
       await this.twitchStreamer.start();
       audioBus.addOutput(this.twitchStreamer);
       console.log("🎥 Twitch stream started");
@@ -162,11 +237,21 @@ export class PodcastOrchestrator {
       // Initialize text overlay with Twitch streamer reference
       this.textOverlay = new TextOverlayManager(this.twitchStreamer);
 
-      // Listen for stream failures
-      this.twitchStreamer.on("stopped", ({ code, signal }) => {
-        console.error(`🚨 Stream died! code=${code}, signal=${signal}`);
+      // Restart the encoder if it dies or stalls; the show keeps going.
+      // Only if it keeps failing (STREAM_MAX_RESTARTS) does the show stop
+      this.streamSupervisor = new StreamSupervisor(this.twitchStreamer);
+      this.streamSupervisor.on("restarting", (info) =>
+        this.events.publish("stream.restarting", info)
+      );
+      this.streamSupervisor.on("restarted", (info) =>
+        this.events.publish("stream.restarted", info)
+      );
+      this.streamSupervisor.on("failed", ({ reason }) => {
+        console.error(`🚨 Stream died! (${reason})`);
+        this.saveState();
         this.isRunning = false;
       });
+      this.streamSupervisor.start();
     } else if (LOCAL_MODE) {
       this.localPlayer = new LocalAudioPlayer({
         overlayText: `AI Podcast: ${this.topic}`,
@@ -203,23 +288,88 @@ export class PodcastOrchestrator {
       this.textOverlay = new TextOverlayManager();
     }
 
+    // Hosts play through the mixer, so it runs even with no output (yet) -
+    // e.g. only phone callers listening, and none on the line
+    audioBus.start();
+
+    // Censored audio for the outputs that ask for it; subtitles are burned
+    // into the video, so they follow the video output
+    if (this.moderation.enabled) {
+      console.log(
+        `🛡️  Moderation: ${this.moderation.policies.length} policies (${this.moderation.classifier}), audit log ${this.moderation.auditFile}`
+      );
+    }
+    if (this.profanity.enabled) {
+      audioBus.setCleanOutputs(this.profanity.outputs);
+      const video = this.twitchStreamer || this.localPlayer;
+      this.cleanSubtitles = Boolean(video && this.profanity.appliesTo(video.name));
+      console.log(
+        `🤐 Profanity filter: ${this.profanity.mode} on ${this.profanity.outputs.join(", ")}`
+      );
+    }
+
+    // Archive the program mix, with chapter markers from show events
+    if (process.env.RECORD_PROGRAM === "true") {
+      try {
+        this.recorder = new ProgramRecorder({
+          show: this.showName,
+          topic: this.topic,
+          onAir: (fn) => audioBus.onAir(fn),
+        });
+        this.recorder.start(this.events);
+        audioBus.addOutput(this.recorder);
+      } catch (err) {
+        console.error("❌ Program recording disabled:", err.message);
+        this.recorder = null;
+      }
+    }
+
+    // Spliced in where the producer dumps the delay
+    const dumpJingle =
+      process.env.BROADCAST_DUMP_JINGLE ||
+      path.join(process.cwd(), "media", "dump-jingle.mp3");
+    if (fs.existsSync(dumpJingle)) {
+      audioBus.loadDumpJingle(dumpJingle);
+    }
+    if (audioBus.delay.targetMs > 0) {
+      console.log(
+        `⏳ Broadcast delay: ${audioBus.delay.targetMs / 1000}s${
+          fs.existsSync(dumpJingle)
+            ? ""
+            : " (no dump jingle - dumps cut straight to the next audio)"
+        }`
+      );
+    }
+
+    // The music bed is mixed on the bus, so every output hears it
+    const backgroundMusic =
+      process.env.BACKGROUND_MUSIC ||
+      path.join(process.cwd(), "media", "background-music.mp3");
+    if (fs.existsSync(backgroundMusic)) {
+      audioBus.playMusic(backgroundMusic);
+    } else {
+      console.log(`⚠️  No background music found at: ${backgroundMusic}`);
+    }
+
     // Create agents
     console.log("\n🤖 Creating agents...");
     for (const config of this.agentConfigs) {
-      const agent = new TTSAgent(config, this.topic);
-
-      // Handle audio output - route through audio bus
-      agent.on("audio", (audioBuffer) => {
-        // Send to audio bus - it will distribute to all outputs
-        audioBus.writeAudio(audioBuffer);
-      });
+      const agent = await this._createAgent(config);
+      if (config.benched) {
+        this.benchedHosts.add(agent);
+      }
+      this.agents.push(agent);
+    }
 
-      // Handle subtitles with typewriter effect
-      agent.on("subtitle", (data) => {
-        this.textOverlay.showTypingText(data.name, data.text, data.duration);
-      });
+    if (this.resume) {
+      const snapshot = this.stateStore.load();
+      if (snapshot) {
+        await this.restoreSnapshot(snapshot);
+      }
+    }
 
-      this.agents.push(agent);
+    if (this.getOnAirAgents().length === 0) {
+      throw new Error("Show has no active hosts - every host is benched");
     }
 
     // Set up trend injector with player for tweet overlays
@@ -232,9 +382,15 @@ export class PodcastOrchestrator {
     this.trendInjector.on("trendReady", ({ trend, prompt, tweet }) => {
       console.log(`\n🔥 Auto-trend ready: "${trend}"`);
       this.pendingTrendPrompt = prompt;
+      this.pendingTrendName = trend;
       this.pendingTrendTweet = tweet; // Store tweet with prompt to keep them in sync
     });
 
+    // Put the segment title on screen when the rundown moves on
+    this.on("segmentChanged", ({ segment }) => {
+      this.showText(segment.title, 5000);
+    });
+
     // Start auto-fetching trends every 5 minutes (but not at minute 0)
     if (process.env.X_BEARER_TOKEN) {
       this.trendInjector.startAutoFetch();
@@ -245,28 +401,77 @@ export class PodcastOrchestrator {
     console.log("\n🎬 All agents ready!\n");
   }
 
+  /**
+   * Create a host and start their TTS chain (providers that can't start are
+   * dropped from it)
+   * @param {object} config - Host config
+   * @returns {Promise<TTSAgent>}
+   * @throws {Error} None of the host's TTS providers could start
+   */
+  async _createAgent(config) {
+    // Each host speaks on their own mixer channel
+    const channel = audioBus.addChannel(config.name, { kind: "voice" });
+    const agent = new TTSAgent(config, this.topic, {
+      hostMemory: this.hostMemory,
+      clock: channel.clock,
+      censor: this.profanity.enabled ? this.profanity : null,
+    });
+    try {
+      await agent.initialize();
+    } catch (err) {
+      audioBus.removeChannel(config.name);
+      throw err;
+    }
+
+    // Handle subtitles with typewriter effect, in step with the delayed
+    // program (a dumped line never shows)
+    agent.on("subtitle", (data) => {
+      audioBus.onAir(() =>
+        this.textOverlay.showTypingText(
+          data.name,
+          this.cleanSubtitles ? data.cleanText : data.text,
+          data.duration
+        )
+      );
+      this.events.publish("sentence.played", {
+        host: data.name,
+        text: data.text,
+        emotion: data.emotion,
+        durationMs: Math.round(data.duration),
+      });
+    });
+
+    return agent;
+  }
+
   async runPodcast() {
     console.log("🎬 Starting real-time podcast...");
     console.log(`📝 Topic: ${this.topic}\n`);
 
     this.isRunning = true;
+    this.events.publish("show.started", {
+      show: this.showName,
+      topic: this.topic,
+    });
 
-    // Opening - first agent introduces (no pipelining for first turn)
-    const host = this.agents[0];
-    const coHostNames = this.agents
-      .slice(1)
-      .map((a) => a.getName())
-      .join(" and ");
+    this.stateStore.start(() => this.getSnapshot());
 
-    await this.agentSpeak(
-      host,
-      `Give a very brief (1-2 sentence) intro and greet ${coHostNames}. Keep it short and punchy about "${this.topic}".`
-    );
+    // Back from a restart - carry on with the segment we were in
+    const resumedSegment =
+      this.resumePosition && this.rundown.resume(this.resumePosition);
+    if (resumedSegment) {
+      console.log(`\n♻️  Resuming segment: ${resumedSegment.title}`);
+    } else {
+      // First segment of the rundown (the cold open intro by default)
+      await this.startSegment(this.rundown.start());
+    }
 
     // Main conversation loop with pipelining and sentence-by-sentence playback
-    const numAgents = this.agents.length;
-    let currentSpeakerIdx = 1; // Start with agent B since A just introduced
-    let preGenerated = null; // Pre-generated { text, firstSentenceAudio } for next speaker
+    // Speakers are tracked by reference so hosts can join/leave mid-show
+    let speaker = this.lastSpeaker
+      ? this.getNextSpeaker(this.lastSpeaker) // Start with the host after the intro
+      : this.getActiveAgents()[0];
+    let preGenerated = null; // Pre-generated { speaker, text, firstSentenceAudio } for next speaker
 
     // Interruption checker callback - used by sentence-by-sentence playback
     const checkInterruption = () => {
@@ -297,14 +502,44 @@ export class PodcastOrchestrator {
         continue;
       }
 
+      // Priority 4: Hosts joining or signing off on air
+      if (this.pendingRosterChanges.length > 0) {
+        const change = this.pendingRosterChanges.shift();
+        if (change.type === "leave" && change.agent === speaker) {
+          speaker = this.getNextSpeaker(speaker);
+        }
+        await this.handleRosterChange(change);
+        continue;
+      }
+
+      // Priority 5: Rundown - move on once the segment's time is up
+      if (this.rundown.isSegmentOver()) {
+        preGenerated = null; // Written for the old segment
+        const segment = this.rundown.advance();
+        if (!segment) {
+          console.log("\n📋 Rundown complete");
+          this.rundownFinished = true;
+          this.isRunning = false;
+          break;
+        }
+        await this.startSegment(segment);
+        speaker = this.lastSpeaker
+          ? this.getNextSpeaker(this.lastSpeaker)
+          : this.getActiveAgents()[0];
+        continue;
+      }
+
+      // Skip past hosts that were benched or removed since the last turn.
+      // The pre-generated turn is only dropped if it belonged to them.
+      if (!this.isActiveHost(speaker)) {
+        speaker = this.getNextSpeaker(speaker);
+      }
+      if (preGenerated && preGenerated.speaker !== speaker) {
+        preGenerated = null;
+      }
+
       // ===== NORMAL TURN (with pipelining) =====
       const turnStartTime = Date.now();
-      const speaker = this.agents[currentSpeakerIdx];
-      // Get all other agent names for context
-      const otherNames = this.agents
-        .filter((_, idx) => idx !== currentSpeakerIdx)
-        .map((a) => a.getName())
-        .join(" and ");
 
       console.log(
         `\n${"=".repeat(
@@ -313,9 +548,12 @@ export class PodcastOrchestrator {
           60
         )}`
       );
+      this._publishTurnStart(speaker);
+
+      this.memory.maybeSummarize(this.sharedHistory, this.historyWindow);
 
       // Build prompt with shared history context
-      let basePrompt = `Continue the conversation with ${otherNames} about ${this.topic}. Respond to what was just said.`;
+      let basePrompt = this.getSegmentPrompt(speaker);
       basePrompt += this.newsInjector.getRegularNewsContext();
       const prompt = this.buildPrompt(basePrompt);
 
@@ -340,40 +578,33 @@ export class PodcastOrchestrator {
 
         // Play sentence-by-sentence with interruption checks
         this.currentSpeaker = speaker;
-        audioPromise = speaker.playPreGeneratedAudioSentenceBySentence(
-          responseText,
-          preGenerated.firstSentenceAudio,
-          checkInterruption
-        );
+        audioPromise = speaker.say(responseText, {
+          firstSentenceAudio: preGenerated.firstSentenceAudio,
+          checkInterruption,
+        });
         preGenerated = null;
       } else {
-        // No pre-generated content, generate fresh
-        responseText = await speaker.generateResponse(prompt);
-
-        // Add to shared history immediately
-        this.sharedHistory.push({
-          speaker: speaker.getName(),
-          content: responseText,
-        });
-
-        // Play sentence-by-sentence with interruption checks
+        // No pre-generated content - stream it, so the first sentence airs
+        // while the rest is still being written (unless moderation is on)
         this.currentSpeaker = speaker;
-        audioPromise = speaker.playAudioSentenceBySentence(
-          responseText,
-          checkInterruption
-        );
+        const turn = this.speakTurn(speaker, prompt, { checkInterruption });
+        audioPromise = turn.done;
+        responseText = await turn.text;
+
+        // Add to shared history as soon as the text is complete
+        if (responseText) {
+          this.sharedHistory.push({
+            speaker: speaker.getName(),
+            content: responseText,
+          });
+        }
       }
 
-      // While audio plays, pre-generate next agent's TEXT + FIRST SENTENCE AUDIO
-      const nextSpeakerIdx = (currentSpeakerIdx + 1) % numAgents;
-      const nextSpeaker = this.agents[nextSpeakerIdx];
-      const nextOtherNames = this.agents
-        .filter((_, idx) => idx !== nextSpeakerIdx)
-        .map((a) => a.getName())
-        .join(" and ");
-      let nextBasePrompt = `Continue the conversation with ${nextOtherNames} about ${this.topic}. Respond to what was just said.`;
-      nextBasePrompt += this.newsInjector.getRegularNewsContext();
-      const nextPrompt = this.buildPrompt(nextBasePrompt);
+      this.lastSpeaker = speaker;
+
+      // While audio plays, pick the next speaker (turn policy) and
+      // pre-generate their TEXT + FIRST SENTENCE AUDIO
+      const nextSpeakerPromise = this.chooseNextSpeaker(speaker);
 
       // Pre-generate text AND first sentence audio in parallel with current playback
       let preGenReady = false;
@@ -382,23 +613,24 @@ export class PodcastOrchestrator {
 
       const preGenPromise = (async () => {
         try {
-          const text = await nextSpeaker.generateResponse(nextPrompt);
-          if (!text) return null;
+          const nextSpeaker = await nextSpeakerPromise;
+          let nextBasePrompt = this.getSegmentPrompt(nextSpeaker);
+          nextBasePrompt += this.newsInjector.getRegularNewsContext();
+          const nextPrompt = this.buildPrompt(nextBasePrompt);
+
+          const text = await this.screenTurn(
+            nextSpeaker,
+            await nextSpeaker.generateResponse(nextPrompt),
+            nextPrompt
+          );
+          if (!text) return null; // The turn is streamed fresh instead
 
           // Generate TTS for first sentence only (for faster startup)
-          const sentences = nextSpeaker.splitIntoSentences(text);
-          const firstSentence = sentences[0];
-
           console.log(
             `${nextSpeaker.config.color}🎵 Pre-generating first sentence audio...${RESET_COLOR}`
           );
-          const ttsStart = Date.now();
-          const firstSentenceAudio = await nextSpeaker.tts.synthesize(
-            firstSentence
-          );
-          const ttsTime = Date.now() - ttsStart;
-          console.log(
-            `${nextSpeaker.config.color}⏱️  Pre-gen first sentence TTS: ${ttsTime}ms (${firstSentenceAudio.length} bytes)${RESET_COLOR}`
+          const firstSentenceAudio = await nextSpeaker.prefetchFirstSentence(
+            text
           );
 
           // Mark pre-generation as complete
@@ -410,7 +642,7 @@ export class PodcastOrchestrator {
             }ms${RESET_COLOR}`
           );
 
-          return { text, firstSentenceAudio };
+          return { speaker: nextSpeaker, text, firstSentenceAudio };
         } catch (err) {
           console.error("Pre-generation failed:", err.message);
           return null;
@@ -428,6 +660,7 @@ export class PodcastOrchestrator {
           completed ? "completed" : "interrupted"
         }, waited ${audioDoneTime - audioStartWait}ms)`
       );
+      this._publishTurnEnd(speaker, turnStartTime, completed);
       console.log(
         `   Pre-gen ready: ${preGenReady ? "YES ✅" : "NO ⏳"} (ready at ${
           preGenReadyTime ? preGenReadyTime - preGenStartTime + "ms" : "not yet"
@@ -460,6 +693,7 @@ export class PodcastOrchestrator {
       }
 
       // Log before switching to next speaker
+      const nextSpeaker = await nextSpeakerPromise;
       console.log(
         `\n🎤 SWITCHING to ${nextSpeaker.getName()} (preGenerated: ${
           preGenerated ? "YES" : "NO"
@@ -467,44 +701,799 @@ export class PodcastOrchestrator {
       );
 
       // Switch speakers for next turn
-      currentSpeakerIdx = nextSpeakerIdx;
+      speaker = nextSpeaker;
     }
 
     // Closing
     if (this.isRunning) {
-      await this.agentSpeak(host, "Wrap up the podcast and thank everyone.");
+      await this.agentSpeak(
+        this.getActiveAgents()[0],
+        "Wrap up the podcast and thank everyone."
+      );
     }
 
     console.log("\n🎬 Podcast complete!");
+    this.events.publish("show.ended", { show: this.showName });
+
+    // A finished rundown has nothing to resume; anything else (stream died)
+    // leaves a snapshot for the next process
+    if (this.rundownFinished) {
+      this.stateStore.clear();
+    } else {
+      this.saveState();
+    }
     this.cleanup();
   }
 
+  /**
+   * Everything needed to resume the show in a new process
+   * @returns {object}
+   */
+  getSnapshot() {
+    const originalConfigs = new Set(this.agentConfigs);
+
+    return {
+      show: this.showName,
+      topic: this.topic,
+      sharedHistory: this.sharedHistory.slice(-MAX_SAVED_HISTORY),
+      memory: this.memory.getState(),
+      lastSpeaker: this.lastSpeaker?.getName() || null,
+      turnPolicy: this.turnPolicy.name,
+      rundown: this.rundown.getPosition(),
+      trends: {
+        discussed: [...this.trendInjector.discussedTrends],
+        pending: this.pendingTrendPrompt
+          ? {
+              trend: this.pendingTrendName,
+              prompt: this.pendingTrendPrompt,
+              tweet: this.pendingTrendTweet,
+            }
+          : null,
+      },
+      news: this.newsInjector.getPendingState(),
+      roster: {
+        benched: [...this.benchedHosts].map((a) => a.getName()),
+        departed: [...this.departedHosts],
+        // Guests who joined mid-show from a host file or config
+        guests: this.agents
+          .filter((a) => !originalConfigs.has(a.config))
+          .map((a) => a.config),
+      },
+    };
+  }
+
+  saveState() {
+    this.stateStore.save(this.getSnapshot());
+  }
+
+  /**
+   * Load a snapshot from getSnapshot() into a freshly initialized show
+   * @param {object} snapshot
+   */
+  async restoreSnapshot(snapshot) {
+    if (snapshot.show !== this.showName) {
+      console.warn(
+        `⚠️  Saved state is for "${snapshot.show}", not "${this.showName}" - starting fresh`
+      );
+      return;
+    }
+
+    this.sharedHistory = snapshot.sharedHistory || [];
+    const restoredLines = this.sharedHistory.length;
+    this.memory.restoreState(snapshot.memory);
+    this.sharedHistory.push({
+      speaker: "SHOW",
+      content:
+        "The stream dropped for a moment and the show is back on air. Pick up where you left off.",
+    });
+
+    this.trendInjector.restoreDiscussed(snapshot.trends?.discussed || []);
+    const pendingTrend = snapshot.trends?.pending;
+    if (pendingTrend) {
+      this.pendingTrendName = pendingTrend.trend;
+      this.pendingTrendPrompt = pendingTrend.prompt;
+      this.pendingTrendTweet = pendingTrend.tweet;
+    }
+
+    this.newsInjector.restoreState(snapshot.news);
+
+    // Roster: re-add guests, then re-apply who was benched or had left
+    const roster = snapshot.roster || {};
+    for (const config of roster.guests || []) {
+      if (!this.agents.some((a) => a.getName() === config.name)) {
+        this.agents.push(await this._createAgent(config));
+      }
+    }
+    for (const agent of [...this.agents]) {
+      const name = agent.getName();
+      if ((roster.departed || []).includes(name)) {
+        this._dropHost(agent);
+      } else if ((roster.benched || []).includes(name)) {
+        this.benchedHosts.add(agent);
+      } else {
+        this.benchedHosts.delete(agent);
+      }
+    }
+
+    if (snapshot.turnPolicy && snapshot.turnPolicy !== this.turnPolicy.name) {
+      this.setTurnPolicy(snapshot.turnPolicy);
+    }
+
+    this.lastSpeaker =
+      this.agents.find((a) => a.getName() === snapshot.lastSpeaker) || null;
+    this.resumePosition = snapshot.rundown;
+
+    const queued = this.newsInjector.getPendingState();
+    const trendsCovered = snapshot.trends?.discussed?.length || 0;
+    console.log(
+      `♻️  Resumed show state from ${
+        snapshot.savedAt
+      } (${restoredLines} history lines, ${trendsCovered} trends covered, ${
+        queued.breaking.length + queued.regular.length
+      } news queued)`
+    );
+  }
+
+  /**
+   * Hosts currently on air (roster order, excluding benched hosts)
+   * @returns {TTSAgent[]}
+   */
+  getOnAirAgents() {
+    return this.agents.filter((agent) => !this.benchedHosts.has(agent));
+  }
+
+  /**
+   * On-air hosts taking part in the current segment. Segments without a
+   * host list (or whose hosts are all off air) use everyone on air.
+   * @returns {TTSAgent[]}
+   */
+  getActiveAgents() {
+    const onAir = this.getOnAirAgents();
+    const assigned = this.rundown.current?.hosts || [];
+    if (assigned.length === 0) return onAir;
+
+    const lineup = onAir.filter((agent) => {
+      const name = agent.getName().toLowerCase();
+      return assigned.some((host) => name.includes(host.toLowerCase()));
+    });
+    return lineup.length > 0 ? lineup : onAir;
+  }
+
+  isActiveHost(agent) {
+    return this.getActiveAgents().includes(agent);
+  }
+
+  /**
+   * Run the opening of a segment: announce it, kick off a trend fetch for
+   * trend blocks, and play scripted segments (cold open, station ID, wrap)
+   * @param {import("./Rundown.js").Segment} segment
+   */
+  async startSegment(segment) {
+    const minutes = segment.durationMs
+      ? ` (${Math.round(segment.durationMs / 60000)} min)`
+      : "";
+    console.log(`\n📋 SEGMENT: ${segment.title}${minutes}`);
+
+    this.sharedHistory.push({
+      speaker: "SHOW",
+      content: `New segment: ${segment.title}.`,
+    });
+
+    if (segment.fetchTrend && process.env.X_BEARER_TOKEN) {
+      this.requestTrend({ interrupt: false });
+    }
+
+    if (segment.scripted) {
+      const host = this.getActiveAgents()[0];
+      await this.agentSpeak(host, this.getSegmentPrompt(host));
+      this.rundown.completeCurrent();
+    }
+  }
+
+  /**
+   * Turn prompt for the current segment
+   * @param {TTSAgent} speaker
+   * @returns {string}
+   */
+  getSegmentPrompt(speaker) {
+    return Rundown.renderPrompt(this.rundown.current, {
+      topic: this.topic,
+      others: this.getOtherHostNames(speaker),
+      show: this.showName,
+    });
+  }
+
+  /**
+   * End the current segment after this turn
+   */
+  skipSegment() {
+    this.rundown.completeCurrent();
+    console.log(
+      `\n⏭️  Ending "${this.rundown.current?.title}" after this turn`
+    );
+  }
+
+  /**
+   * Snapshot of the show for control clients
+   * @returns {object}
+   */
+  getStatus() {
+    return {
+      show: this.showName,
+      topic: this.topic,
+      running: this.isRunning,
+      currentSpeaker: this.currentSpeaker?.getName() || null,
+      lastSpeaker: this.lastSpeaker?.getName() || null,
+      turnPolicy: this.turnPolicy.name,
+      rundown: this.rundown.getStatus(),
+      pendingTrend: this.pendingTrendPrompt
+        ? {
+            trend: this.pendingTrendName,
+            tweetId: this.pendingTrendTweet?.id || null,
+          }
+        : null,
+      queue: {
+        breakingNews: this.newsInjector.breakingNews
+          .filter((n) => !n.discussed)
+          .map((n) => n.content),
+        regularNews: this.newsInjector.getRegularNews().map((n) => n.content),
+        listenerComment: this.userInput,
+        rosterChanges: this.pendingRosterChanges.map((c) => ({
+          type: c.type,
+          host: c.agent.getName(),
+        })),
+      },
+      roster: this.getRoster(),
+      callers: getActiveCallers(),
+      mixer: audioBus.getStatus(),
+      recording: this.recorder?.getStatus() || null,
+      moderation: this.moderation.getStatus(),
+      stream: this.twitchStreamer
+        ? {
+            ...this.twitchStreamer.getStatus(),
+            supervisor: this.streamSupervisor?.getStatus() || null,
+          }
+        : null,
+    };
+  }
+
+  printStatus(status) {
+    const { rundown } = status;
+    const remaining =
+      rundown.remainingMs === null
+        ? "open-ended"
+        : `${Math.ceil(rundown.remainingMs / 60000)} min left`;
+    if (rundown.segment) {
+      console.log(`\n📋 Now: ${rundown.segment.title} (${remaining})`);
+    }
+    if (rundown.upNext.length > 0) {
+      console.log(`   Up next: ${rundown.upNext.join(" → ")}`);
+    }
+
+    console.log("\n🎙️  Roster:");
+    for (const host of status.roster) {
+      const state = host.speaking
+        ? "🔴 speaking"
+        : host.onAir
+        ? "🟢 on air"
+        : "🪑 benched";
+      console.log(`   ${state}  ${host.name}`);
+    }
+
+    const { queue } = status;
+    console.log(
+      `\n📥 Queue: ${queue.breakingNews.length} breaking, ${
+        queue.regularNews.length
+      } news${queue.listenerComment ? ", 1 listener comment" : ""}${
+        status.pendingTrend ? `, trend "${status.pendingTrend.trend}"` : ""
+      }`
+    );
+    console.log(`📞 Callers: ${status.callers.length}`);
+    if (status.stream) {
+      const health = { live: "🟢", connecting: "🟡", failed: "🔴", stopped: "⚪" };
+      console.log(
+        `📡 Stream: ${status.stream.destinations
+          .map(
+            (destination) =>
+              `${health[destination.status]} ${destination.name}${
+                destination.error ? ` (${destination.error})` : ""
+              }`
+          )
+          .join(", ")}`
+      );
+      const { supervisor } = status.stream;
+      if (supervisor) {
+        console.log(
+          `   Encoder ${supervisor.state}, up ${formatDuration(
+            supervisor.uptimeMs
+          )}, ${supervisor.restarts} restarts${
+            supervisor.lastExit
+              ? ` (last: ${supervisor.lastExit.reason})`
+              : ""
+          }${
+            supervisor.nextRetryMs !== null
+              ? `, retrying in ${Math.ceil(supervisor.nextRetryMs / 1000)}s`
+              : ""
+          }`
+        );
+      }
+    }
+    const { delay } = status.mixer;
+    if (delay.targetMs > 0 || delay.delayMs > 0) {
+      console.log(
+        `⏳ Delay: ${(delay.delayMs / 1000).toFixed(1)}s of ${
+          delay.targetMs / 1000
+        }s${delay.rebuilding ? " (rebuilding)" : ""}`
+      );
+    }
+    if (status.moderation.enabled) {
+      const { redact, regenerate, drop } = status.moderation.counts;
+      console.log(
+        `🛡️  Moderation: ${redact} redacted, ${regenerate} regenerated, ${drop} dropped`
+      );
+    }
+    if (status.recording?.file) {
+      const { file, durationMs, chapters } = status.recording;
+      console.log(
+        `⏺️  Recording: ${path.basename(file)} (${Math.floor(
+          durationMs / 60000
+        )} min, ${chapters} chapters)`
+      );
+    }
+  }
+
+  /**
+   * Fetch a trending topic and queue it for the next turn
+   * @param {object} [options]
+   * @param {boolean} [options.interrupt=true] - Cut off the current speaker to inject it faster
+   */
+  requestTrend({ interrupt = true } = {}) {
+    console.log("\n📊 Fetching trending topics...");
+    this.trendInjector
+      .fetchAndInject()
+      .then((result) => {
+        if (result) {
+          this.pendingTrendPrompt = result.prompt;
+          this.pendingTrendName = result.trend;
+          this.pendingTrendTweet = result.tweet; // Store tweet with prompt
+          console.log(
+            `\n🔥 Trend ready: "${result.trend}" - will inject on next turn`
+          );
+
+          // Interrupt current speaker to inject trend faster
+          if (interrupt && this.currentSpeaker) {
+            this.currentSpeaker.interrupt();
+          }
+        }
+      })
+      .catch((err) => console.error("❌ Trend error:", err.message));
+  }
+
+  /**
+   * Next on-air host after the given one in roster order.
+   * Works for hosts that were just benched or removed.
+   * @param {TTSAgent} agent
+   * @returns {TTSAgent}
+   */
+  getNextSpeaker(agent) {
+    const active = this.getActiveAgents();
+    if (active.length === 1) return active[0];
+
+    let idx = this.agents.indexOf(agent);
+    if (idx === -1) {
+      // Removed host - resume from where they sat in the roster
+      idx = Math.min(agent.rosterIndex ?? 0, this.agents.length) - 1;
+    }
+
+    for (let step = 1; step <= this.agents.length; step++) {
+      const candidate = this.agents[(idx + step) % this.agents.length];
+      if (candidate !== agent && this.isActiveHost(candidate)) {
+        return candidate;
+      }
+    }
+    return active[0];
+  }
+
+  /**
+   * Ask the turn policy who speaks after the given host. Never throws -
+   * falls back to round-robin if the policy fails or picks someone off air.
+   * @param {TTSAgent} lastSpeaker
+   * @returns {Promise<TTSAgent>}
+   */
+  async chooseNextSpeaker(lastSpeaker) {
+    const roundRobin = this.getNextSpeaker(lastSpeaker);
+    const candidates = this.getActiveAgents().filter((a) => a !== lastSpeaker);
+    if (candidates.length <= 1) return roundRobin;
+
+    try {
+      const choice = await this.turnPolicy.selectNext({
+        lastSpeaker,
+        candidates,
+        history: this.sharedHistory,
+        roundRobin,
+      });
+      return candidates.includes(choice) ? choice : roundRobin;
+    } catch (err) {
+      console.error(
+        `⚠️  Turn policy "${this.turnPolicy.name}" failed, using round-robin:`,
+        err.message
+      );
+      return roundRobin;
+    }
+  }
+
+  /**
+   * Pick who answers a listener/caller - any on-air host is eligible,
+   * including whoever was just talking
+   * @returns {Promise<TTSAgent>}
+   */
+  async chooseResponder() {
+    const candidates = this.getActiveAgents();
+    const roundRobin = this.lastSpeaker
+      ? this.getNextSpeaker(this.lastSpeaker)
+      : candidates[0];
+    if (candidates.length <= 1) return candidates[0];
+
+    try {
+      const choice = await this.turnPolicy.selectNext({
+        lastSpeaker: null,
+        candidates,
+        history: this.sharedHistory,
+        roundRobin,
+      });
+      return candidates.includes(choice) ? choice : roundRobin;
+    } catch (err) {
+      console.error(
+        `⚠️  Turn policy "${this.turnPolicy.name}" failed, using round-robin:`,
+        err.message
+      );
+      return roundRobin;
+    }
+  }
+
+  /**
+   * Swap the turn-taking policy live
+   * @param {string|object} spec - Policy name or { type, ...options }
+   */
+  setTurnPolicy(spec) {
+    this.turnPolicy = createTurnPolicy(spec);
+    console.log(`\n🔀 Turn policy: ${this.turnPolicy.name}`);
+  }
+
+  getOtherHostNames(agent) {
+    return this.getActiveAgents()
+      .filter((a) => a !== agent)
+      .map((a) => a.getName())
+      .join(" and ");
+  }
+
+  /**
+   * Find a host on the roster by (partial, case-insensitive) name
+   * @param {string} query - e.g. "chen" or 'Dr. Sam "The Skeptic" Chen'
+   * @returns {TTSAgent|null}
+   */
+  findHost(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return null;
+    return (
+      this.agents.find((a) => a.getName().toLowerCase() === needle) ||
+      this.agents.find((a) => a.getName().toLowerCase().includes(needle)) ||
+      null
+    );
+  }
+
+  /**
+   * Bring a host on air mid-show. Accepts a benched host's name, a host
+   * config object, or a path to a host JSON file.
+   * @param {string|object} hostOrConfig
+   * @param {object} [options]
+   * @param {boolean} [options.announce=true] - Have the host introduce themselves on air
+   * @returns {Promise<TTSAgent>}
+   * @throws {Error} Unknown host, already on air, or their TTS can't start
+   */
+  async addHost(hostOrConfig, { announce = true } = {}) {
+    let agent = null;
+
+    if (typeof hostOrConfig === "string") {
+      agent = this.findHost(hostOrConfig);
+      if (!agent) {
+        if (!hostOrConfig.endsWith(".json")) {
+          throw new Error(`No host matching "${hostOrConfig}" on the roster`);
+        }
+        hostOrConfig = loadHostConfig(hostOrConfig);
+      } else if (!this.benchedHosts.has(agent)) {
+        throw new Error(`${agent.getName()} is already on air`);
+      }
+    }
+
+    if (!agent) {
+      if (this.findHost(hostOrConfig.name)?.getName() === hostOrConfig.name) {
+        throw new Error(`${hostOrConfig.name} is already on the roster`);
+      }
+      agent = await this._createAgent(hostOrConfig);
+      this.agents.push(agent);
+      this.departedHosts.delete(agent.getName());
+      // Stay off air until the join is handled between turns
+      this.benchedHosts.add(agent);
+    }
+
+    if (announce && this.isRunning) {
+      this.pendingRosterChanges.push({ type: "join", agent });
+      console.log(`\n👋 ${agent.getName()} will join on the next turn`);
+    } else {
+      this.benchedHosts.delete(agent);
+      console.log(`\n👋 ${agent.getName()} is on air`);
+      this._publishRosterChange("joined", agent);
+    }
+
+    return agent;
+  }
+
+  /**
+   * Take a host off the show. With signOff they say goodbye on air first.
+   * @param {string} name - Host name (partial match)
+   * @param {object} [options]
+   * @param {boolean} [options.signOff=true]
+   * @returns {TTSAgent}
+   */
+  removeHost(name, { signOff = true } = {}) {
+    const agent = this._requireActiveHost(name);
+
+    if (signOff && this.isRunning) {
+      this.pendingRosterChanges.push({ type: "leave", agent });
+      console.log(`\n👋 ${agent.getName()} will sign off on the next turn`);
+    } else {
+      this._dropHost(agent);
+    }
+
+    return agent;
+  }
+
+  /**
+   * Take a host off air silently but keep them on the roster for later
+   * @param {string} name - Host name (partial match)
+   * @returns {TTSAgent}
+   */
+  benchHost(name) {
+    const agent = this._requireActiveHost(name);
+    this.benchedHosts.add(agent);
+    console.log(`\n🪑 ${agent.getName()} benched`);
+    this._publishRosterChange("benched", agent);
+    return agent;
+  }
+
+  /**
+   * Roster snapshot for status displays
+   * @returns {Array<{name: string, onAir: boolean, speaking: boolean}>}
+   */
+  getRoster() {
+    return this.agents.map((agent) => ({
+      name: agent.getName(),
+      onAir: !this.benchedHosts.has(agent),
+      speaking: agent === this.currentSpeaker,
+    }));
+  }
+
+  _requireActiveHost(name) {
+    const agent = this.findHost(name);
+    if (!agent) {
+      throw new Error(`No host matching "${name}" on the roster`);
+    }
+    if (this.benchedHosts.has(agent)) {
+      throw new Error(`${agent.getName()} is not on air`);
+    }
+    const pendingLeaves = this.pendingRosterChanges.filter(
+      (c) => c.type === "leave"
+    ).length;
+    if (this.getOnAirAgents().length - pendingLeaves <= 1) {
+      throw new Error(
+        `Can't take ${agent.getName()} off - they're the last host on air`
+      );
+    }
+    return agent;
+  }
+
+  _dropHost(agent) {
+    // Remember roster position so round-robin continues from the right place
+    agent.rosterIndex = this.agents.indexOf(agent);
+    this.agents = this.agents.filter((a) => a !== agent);
+    this.benchedHosts.delete(agent);
+    this.departedHosts.add(agent.getName());
+    agent.cleanup();
+    audioBus.removeChannel(agent.getName());
+    console.log(`\n👋 ${agent.getName()} has left the show`);
+    this._publishRosterChange("left", agent);
+  }
+
+  _publishRosterChange(change, agent) {
+    this.events.publish("roster.changed", {
+      change,
+      host: agent.getName(),
+      roster: this.getRoster(),
+    });
+  }
+
+  _publishTurnStart(agent) {
+    this.events.publish("turn.started", {
+      host: agent.getName(),
+      segment: this.rundown.current?.type || null,
+    });
+  }
+
+  /**
+   * Publish turn.ended, plus an interruption event if the turn was cut off
+   * @param {TTSAgent} agent
+   * @param {number} startedAt - Turn start (ms timestamp)
+   * @param {boolean} completed - Whether the audio played to the end
+   */
+  _publishTurnEnd(agent, startedAt, completed) {
+    this.events.publish("turn.ended", {
+      host: agent.getName(),
+      completed,
+      durationMs: Date.now() - startedAt,
+    });
+
+    if (!completed) {
+      this.events.publish("interruption", {
+        host: agent.getName(),
+        reason: this.newsInjector.hasBreakingNews()
+          ? "breaking_news"
+          : this.userInput
+          ? "listener"
+          : "producer",
+      });
+    }
+  }
+
+  async handleRosterChange(change) {
+    const { type, agent } = change;
+
+    if (type === "join") {
+      this.benchedHosts.delete(agent);
+      this._publishRosterChange("joined", agent);
+      this.sharedHistory.push({
+        speaker: "SHOW",
+        content: `${agent.getName()} just joined the show.`,
+      });
+      await this.agentSpeak(
+        agent,
+        `You're joining the show live, alongside ${this.getOtherHostNames(
+          agent
+        )}. Introduce yourself in 1-2 punchy sentences and jump into the conversation about "${
+          this.topic
+        }".`
+      );
+    } else if (type === "leave") {
+      if (!this.agents.includes(agent)) return;
+      await this.agentSpeak(
+        agent,
+        `You're leaving the show right now. Sign off on air in 1-2 sentences - say goodbye to ${this.getOtherHostNames(
+          agent
+        )} and the listeners, in character.`
+      );
+      this._dropHost(agent);
+      this.sharedHistory.push({
+        speaker: "SHOW",
+        content: `${agent.getName()} has left the show.`,
+      });
+    }
+  }
+
   // Helper to build prompt with shared history context
   buildPrompt(basePrompt) {
     const historyContext = this.sharedHistory
-      .slice(-20)
+      .slice(-this.historyWindow)
       .map((entry) => `${entry.speaker}: ${entry.content}`)
       .join("\n");
 
-    return historyContext
+    const context = historyContext
       ? `Conversation so far:\n${historyContext}\n\n${basePrompt}`
       : basePrompt;
+    return this.memory.getContext() + context;
+  }
+
+  /**
+   * Screen a generated turn before it airs, asking the host for another
+   * take when a policy calls for it
+   * @param {TTSAgent} agent
+   * @param {string} text
+   * @param {string} prompt - The turn's prompt, for regenerating
+   * @returns {Promise<string|null>} Text to air (possibly redacted), or
+   *   null if the turn was dropped
+   */
+  async screenTurn(agent, text, prompt) {
+    for (let attempt = 0; text; attempt++) {
+      const result = await this.moderation.screen(text, {
+        source: "host",
+        speaker: agent.getName(),
+        attempt,
+      });
+      if (result.action !== "regenerate") return result.text;
+      text = await agent.generateResponse(
+        prompt + this.moderation.rewriteNote(result)
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Generate a turn and put it on air. Normally the response is streamed so
+   * its first sentence airs while the rest is being written. A sentence can't
+   * be taken back once it has aired, though, so with moderation on the whole
+   * turn is written and screened first (see screenTurn()) - slower to start,
+   * but it gets the classifier and regenerate like any pre-generated turn.
+   * @param {TTSAgent} agent
+   * @param {string} prompt - Full prompt (see buildPrompt())
+   * @param {object} [options]
+   * @param {() => boolean} [options.checkInterruption] - Stop once this returns true
+   * @returns {{text: Promise<string>, done: Promise<boolean>}} See settleTurn() -
+   *   text is empty and done false when the turn was dropped
+   */
+  speakTurn(agent, prompt, options = {}) {
+    if (!this.moderation.enabled) {
+      return this.settleTurn(agent, agent.streamResponse(prompt, options));
+    }
+
+    const text = (async () =>
+      this.screenTurn(agent, await agent.generateResponse(prompt), prompt))();
+    const done = text.then(
+      (screened) => (screened ? agent.say(screened, options) : false),
+      () => false // Reported through text
+    );
+    return this.settleTurn(agent, {
+      text: text.then((screened) => screened || ""),
+      done,
+    });
+  }
+
+  /**
+   * A model stream that breaks mid-turn shouldn't take the show down: text
+   * resolves with whatever was cut before the break (that part has aired)
+   * and done always settles - false if the turn didn't complete
+   * @param {TTSAgent} agent
+   * @param {{text: Promise<string>, done: Promise<boolean>}} turn - From streamResponse()
+   * @returns {{text: Promise<string>, done: Promise<boolean>}}
+   */
+  settleTurn(agent, turn) {
+    return {
+      text: turn.text.catch((err) => {
+        console.error(
+          `${agent.config.color}❌ ${agent.getName()}'s response failed - moving on:${RESET_COLOR}`,
+          err.message
+        );
+        return err.partialText || "";
+      }),
+      done: turn.done.catch((err) => {
+        console.error(
+          `${agent.config.color}❌ ${agent.getName()}'s playback failed:${RESET_COLOR}`,
+          err.message
+        );
+        return false;
+      }),
+    };
   }
 
   // Non-pipelined speak (for opening, breaking news, user input)
   async agentSpeak(agent, prompt) {
+    const startedAt = Date.now();
     this.currentSpeaker = agent;
+    this._publishTurnStart(agent);
 
     const fullPrompt = this.buildPrompt(prompt);
-    const response = await agent.generateResponse(fullPrompt);
+    const turn = this.speakTurn(agent, fullPrompt);
+    const response = await turn.text;
 
-    this.sharedHistory.push({
-      speaker: agent.getName(),
-      content: response,
-    });
+    if (response) {
+      this.sharedHistory.push({
+        speaker: agent.getName(),
+        content: response,
+      });
+    }
+    this.lastSpeaker = agent;
 
-    await agent.playAudio(response);
+    const completed = await turn.done;
     this.currentSpeaker = null;
+    this._publishTurnEnd(agent, startedAt, completed);
   }
 
   async handleBreakingNews() {
@@ -527,7 +1516,7 @@ export class PodcastOrchestrator {
     });
 
     // All agents react to breaking news with fast interruption
-    for (const agent of this.agents) {
+    for (const agent of this.getActiveAgents()) {
       await this.agentSpeakFast(
         agent,
         `BREAKING NEWS just came in: "${newsContent}". React to this news urgently!`
@@ -538,48 +1527,35 @@ export class PodcastOrchestrator {
     }
   }
 
-  // Fast speak for breaking news - generates text + first sentence audio, then plays with sentence-by-sentence
+  // Fast speak for breaking news - streams text into TTS so the reaction airs
+  // as soon as its first sentence is written, and stops for newer news/input
   async agentSpeakFast(agent, prompt) {
+    const startedAt = Date.now();
     this.currentSpeaker = agent;
+    this._publishTurnStart(agent);
 
     // Build full prompt with history
     const fullPrompt = this.buildPrompt(prompt);
 
-    // Generate full text response
-    const response = await agent.generateResponse(fullPrompt);
-
-    // Add to shared history
-    this.sharedHistory.push({
-      speaker: agent.getName(),
-      content: response,
+    const turn = this.speakTurn(agent, fullPrompt, {
+      checkInterruption: () =>
+        this.newsInjector.hasBreakingNews() || this.userInput,
     });
+    const response = await turn.text;
 
-    // Generate first sentence audio only for fast startup
-    const sentences = agent.splitIntoSentences(response);
-    const firstSentence = sentences[0];
-
-    console.log(
-      `${agent.config.color}🎵 Pre-generating first sentence audio for fast interrupt...${RESET_COLOR}`
-    );
-    const ttsStart = Date.now();
-    const firstSentenceAudio = await agent.tts.synthesize(firstSentence);
-    const ttsTime = Date.now() - ttsStart;
-    console.log(
-      `${agent.config.color}⏱️  Pre-gen first sentence TTS: ${ttsTime}ms (${firstSentenceAudio.length} bytes)${RESET_COLOR}`
-    );
-
-    // Now play with sentence-by-sentence (uses pre-generated first sentence)
-    const checkInterruption = () => {
-      return this.newsInjector.hasBreakingNews() || this.userInput;
-    };
+    // Add to shared history
+    if (response) {
+      this.sharedHistory.push({
+        speaker: agent.getName(),
+        content: response,
+      });
+    }
+    this.lastSpeaker = agent;
 
-    await agent.playPreGeneratedAudioSentenceBySentence(
-      response,
-      firstSentenceAudio,
-      checkInterruption
-    );
+    const completed = await turn.done;
 
     this.currentSpeaker = null;
+    this._publishTurnEnd(agent, startedAt, completed);
   }
 
   async handleUserInput() {
@@ -602,9 +1578,8 @@ export class PodcastOrchestrator {
 
     console.log(`\n🎤 Listener: "${comment}"\n`);
 
-    // Pick a random agent to respond (no pipelining during interrupts)
-    const responder =
-      this.agents[Math.floor(Math.random() * this.agents.length)];
+    // Turn policy picks who answers (no pipelining during interrupts)
+    const responder = await this.chooseResponder();
     console.log(
       `${responder.config.color}${responder.config.name} responding to listener...${RESET_COLOR}`
     );
@@ -618,10 +1593,16 @@ export class PodcastOrchestrator {
   async handleTrendInjection() {
     const prompt = this.pendingTrendPrompt;
     const tweet = this.pendingTrendTweet; // Get the tweet that was stored with this prompt
+    const trend = this.pendingTrendName;
     this.pendingTrendPrompt = null;
+    this.pendingTrendName = null;
     this.pendingTrendTweet = null;
 
     console.log(`\n📊 TRENDING TOPIC INJECTION\n`);
+    this.events.publish("trend.injected", {
+      trend,
+      tweetId: tweet?.id || null,
+    });
 
     // Add to shared history
     this.sharedHistory.push({
@@ -634,6 +1615,12 @@ export class PodcastOrchestrator {
     try {
       // Pass the tweet that was stored with this prompt (avoids race condition)
       await this.trendInjector.showTweet(tweet);
+      if (tweet) {
+        this.events.publish("overlay.shown", {
+          kind: "tweet",
+          tweetId: tweet.id,
+        });
+      }
       // Small delay to let viewers see the tweet before talking starts
       await new Promise((resolve) => setTimeout(resolve, 1500));
     } catch (err) {
@@ -641,7 +1628,8 @@ export class PodcastOrchestrator {
     }
 
     // First agent reacts to the trend
-    const firstAgent = this.agents[0];
+    const activeAgents = this.getActiveAgents();
+    const firstAgent = activeAgents[0];
     await this.agentSpeak(
       firstAgent,
       `${prompt}\n\nYou just saw this tweet trending! React to it. And when you start to react to it the very first thing you say is "Jamie pull up this tweet" - what's your take?`
@@ -654,8 +1642,8 @@ export class PodcastOrchestrator {
     }
 
     // Remaining agents respond in order
-    for (let i = 1; i < this.agents.length; i++) {
-      const agent = this.agents[i];
+    for (let i = 1; i < activeAgents.length; i++) {
+      const agent = activeAgents[i];
       await this.agentSpeak(
         agent,
         `${prompt}\n\nYour co-hosts just gave their takes. Now respond - agree, argue, or add your own perspective!`
@@ -674,33 +1662,33 @@ export class PodcastOrchestrator {
 
   playAudio(audioBuffer) {
     if (!this.isRunning) return;
-
-    if (TWITCH_MODE && this.twitchStreamer) {
-      this.twitchStreamer.writeAudio(audioBuffer);
-    } else if (LOCAL_MODE && this.localPlayer) {
-      this.localPlayer.writeAudio(audioBuffer);
-    } else if (this.audioSource) {
-      const frame = {
-        data: audioBuffer,
-        sampleRate: 24000,
-        numChannels: 1,
-        samplesPerChannel: audioBuffer.length / 2,
-      };
-      this.audioSource.captureFrame(frame);
-    }
+    audioBus.write("sfx", audioBuffer);
   }
 
   cleanup() {
-    // Stop health monitoring
-    if (this.healthCheckInterval) {
-      clearInterval(this.healthCheckInterval);
-      this.healthCheckInterval = null;
+    this.stateStore.stop();
+
+    // Stop stream health monitoring (before the stream, so it isn't restarted)
+    if (this.streamSupervisor) {
+      this.streamSupervisor.stop();
     }
 
     if (this.rl) {
       this.rl.close();
     }
 
+    if (this.controlServer) {
+      this.controlServer.stop();
+    }
+
+    audioBus.stopMusic();
+    audioBus.stop();
+
+    if (this.recorder) {
+      audioBus.removeOutput(this.recorder);
+      this.recorder.stop();
+    }
+
     if (this.localPlayer) {
       this.localPlayer.stop();
     }
@@ -718,12 +1706,201 @@ export class PodcastOrchestrator {
     }
   }
 
+  /**
+   * Stop the show and exit the process
+   */
+  shutdown() {
+    console.log("\n👋 Stopping podcast...");
+    this.saveState();
+    this.cleanup();
+    process.exit(0);
+  }
+
+  /**
+   * Cut off whoever is talking (breaking news, listener comments)
+   */
+  async interruptPlayback() {
+    if (this.currentSpeaker) {
+      await this.currentSpeaker.interrupt();
+      return;
+    }
+
+    for (const agent of this.agents) {
+      if (agent.audioPlaying) {
+        console.log(
+          `${agent.config.color}🛑 Interrupting ${agent.config.name}'s audio${RESET_COLOR}`
+        );
+        await agent.interrupt();
+        break;
+      }
+    }
+  }
+
+  /**
+   * A listener/producer comment - a host answers it on the next turn
+   * @param {string} comment
+   */
+  async listenerComment(comment) {
+    this.userInput = comment;
+    console.log(`\n🎤 YOU: "${comment}"\n`);
+    this.events.publish("listener.comment", { source: "producer", comment });
+    await this.interruptPlayback();
+  }
+
+  /**
+   * A phone caller said something - a host answers it on the next turn.
+   * Past this point a caller is only known by their callerKey(), never
+   * their number.
+   * @param {string} callerNumber
+   * @param {string} text - Transcription
+   * @returns {Promise<void>}
+   */
+  async callerSaid(callerNumber, text) {
+    const caller = callerKey(callerNumber) || "anonymous";
+    // The caller has already been heard - this keeps it out of the hosts'
+    // prompts (and so out of their mouths) and off the event feed
+    const result = await this.moderation.screen(text, {
+      source: "caller",
+      speaker: caller,
+    });
+    if (result.action === "drop") return;
+
+    this.userInput = `[CALLER ${caller}]: ${result.text}`;
+    this.events.publish("listener.comment", {
+      source: "caller",
+      caller,
+      comment: result.text,
+    });
+  }
+
+  callerConnected(callerNumber) {
+    const caller = callerKey(callerNumber) || "anonymous";
+    const history = this.hostMemory.getCallerHistory(caller);
+    if (history.length > 0) {
+      const notes = history
+        .slice(-3)
+        .map((entry) => `${entry.host}: ${entry.text}`)
+        .join(" ");
+      this.regularNews(
+        `A caller who has been on the show before just joined the podcast! What the hosts remember about them: ${notes}`
+      );
+    } else {
+      this.regularNews(`A new caller just joined the podcast!`);
+    }
+    this.events.publish("caller.joined", { caller });
+  }
+
+  callerDisconnected(callerNumber) {
+    const caller = callerKey(callerNumber) || "anonymous";
+    this.userInput = `[CALLER ${caller} DISCONNECTED]: The caller has hung up and left the show.`;
+    this.events.publish("caller.left", { caller });
+  }
+
+  /**
+   * Set a mixer channel's level (a host, "caller", "sfx" or "music")
+   * @param {string} name
+   * @param {number} gainDb
+   * @returns {object} Channel status
+   */
+  setChannelGain(name, gainDb) {
+    return audioBus.setGain(name, gainDb).getStatus();
+  }
+
+  /**
+   * @param {string} name - Mixer channel
+   * @param {boolean} muted
+   * @returns {object} Channel status
+   */
+  setChannelMute(name, muted) {
+    return audioBus.setMute(name, muted).getStatus();
+  }
+
+  /**
+   * Dump button: drop program audio that hasn't aired yet
+   * @param {number} [seconds] - Default: the whole delay
+   * @returns {object} Delay status
+   * @throws {Error} No broadcast delay running
+   */
+  dumpDelay(seconds) {
+    if (audioBus.delay.delayMs === 0) {
+      throw new Error("Nothing to dump - the broadcast delay is empty");
+    }
+    const droppedMs = audioBus.dump(seconds);
+    this.events.publish("delay.dumped", {
+      droppedMs,
+      delayMs: audioBus.delay.delayMs,
+    });
+    return { droppedMs, ...audioBus.delay.getStatus() };
+  }
+
+  /**
+   * @param {number} seconds - New broadcast delay (0 turns it off)
+   * @returns {object} Delay status
+   */
+  setBroadcastDelay(seconds) {
+    audioBus.setDelay(seconds);
+    return audioBus.delay.getStatus();
+  }
+
+  /**
+   * Show overlay text on every active output
+   * @param {string} text
+   * @param {number} [durationMs=5000]
+   */
+  showText(text, durationMs = 5000) {
+    this.textOverlay.showText(text, durationMs);
+
+    // Also show on Twitch if streaming
+    if (this.twitchStreamer) {
+      this.twitchStreamer.showText(text, durationMs);
+    }
+    this.events.publish("overlay.shown", { kind: "text", text, durationMs });
+  }
+
+  /**
+   * Capture a tweet and show it as an image overlay
+   * @param {string} tweetUrl
+   */
+  showTweet(tweetUrl) {
+    // Get the active player
+    const player = this.twitchStreamer || this.localPlayer;
+    if (!player) {
+      throw new Error("No video player active for overlay");
+    }
+
+    console.log(`\n📸 Capturing tweet: ${tweetUrl}`);
+    showTweetOverlay(player, tweetUrl, { duration: 100000 })
+      .then(() => {
+        console.log("✅ Tweet overlay shown");
+        this.events.publish("overlay.shown", { kind: "tweet", url: tweetUrl });
+      })
+      .catch((err) => console.error("❌ Tweet error:", err.message));
+  }
+
   // Public API for news injection
-  breakingNews(news) {
+  async breakingNews(news) {
     this.newsInjector.injectBreakingNews(news);
+    this.events.publish("news.breaking", { text: news });
+
+    // Interrupt current speaker
+    await this.interruptPlayback();
   }
 
   regularNews(news) {
     this.newsInjector.injectRegularNews(news);
+    this.events.publish("news.regular", { text: news });
+  }
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} "1h 05m" or "4m 12s"
+ */
+function formatDuration(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(seconds / 60);
+  if (minutes >= 60) {
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, "0")}m`;
   }
+  return `${minutes}m ${String(seconds % 60).padStart(2, "0")}s`;
 }
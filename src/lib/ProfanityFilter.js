@@ -0,0 +1,285 @@
+/**
+ * Profanity Filter
+ * Optional compliance mode: finds listed words in a host's line, bleeps or
+ * mutes them in the synthesized PCM and masks them in subtitles. The raw
+ * audio is kept too - the mixer sends the clean version only to outputs
+ * that ask for it (see AudioBus.setCleanOutputs()), so the stream can be
+ * clean while the archive stays uncensored.
+ *
+ * Word timing comes from the TTS engine when it reports it; otherwise it is
+ * estimated by spreading the spoken words across the audio by length.
+ */
+
+import fs from "fs";
+import { stripBrackets } from "./EmotionBrackets.js";
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+const PAD_MS = 80; // Each side of an estimated word - timing is approximate
+const FADE_MS = 5; // Edges of a bleep or mute, so they don't click
+const BLEEP_HZ = 1000;
+const BLEEP_AMPLITUDE = 8000; // About -12 dBFS
+const SPEECH_THRESHOLD = 500; // Trims leading/trailing silence before estimating
+
+// "*" at the end matches any ending ("fuck*" covers fucking, fucker, ...).
+// Replace with PROFANITY_WORDS_FILE or extend with PROFANITY_WORDS.
+const DEFAULT_WORDS = [
+  "fuck*",
+  "motherfuck*",
+  "shit*",
+  "bullshit*",
+  "bitch*",
+  "asshole*",
+  "cunt*",
+  "dick",
+  "dickhead*",
+  "cock",
+  "cocksuck*",
+  "pussy",
+  "bastard*",
+  "goddamn*",
+  "twat*",
+  "wank*",
+];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * @typedef {Object} WordTiming
+ * @property {string} text
+ * @property {number} startMs
+ * @property {number} endMs
+ */
+
+export class ProfanityFilter {
+  /**
+   * @param {object} [config]
+   * @param {"off"|"bleep"|"mute"} [config.mode] - Default PROFANITY_FILTER or off
+   * @param {string[]} [config.words] - Default DEFAULT_WORDS, PROFANITY_WORDS_FILE, plus PROFANITY_WORDS
+   * @param {string[]} [config.outputs] - Outputs that get clean audio and
+   *   subtitles (default PROFANITY_OUTPUTS or Twitch, LiveKit, Local)
+   * @throws {Error} Unknown mode or unreadable word file
+   */
+  constructor(config = {}) {
+    this.mode = (config.mode || process.env.PROFANITY_FILTER || "off")
+      .toLowerCase()
+      .trim();
+    if (!["off", "bleep", "mute"].includes(this.mode)) {
+      throw new Error(
+        `Unknown PROFANITY_FILTER "${this.mode}" (available: off, bleep, mute)`
+      );
+    }
+    this.words = config.words || loadWordList();
+    this.outputs = (
+      config.outputs ||
+      (process.env.PROFANITY_OUTPUTS || "Twitch,LiveKit,Local").split(",")
+    )
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+    const alternatives = this.words.map((word) => {
+      const wildcard = word.endsWith("*");
+      const stem = (wildcard ? word.slice(0, -1) : word).replace(
+        /[.*+?^${}()|[\]\\]/g,
+        "\\$&"
+      );
+      return wildcard ? `${stem}[\\p{L}\\p{N}'’]*` : stem;
+    });
+    this.pattern = new RegExp(`^(?:${alternatives.join("|")})$`, "iu");
+  }
+
+  get enabled() {
+    return this.mode !== "off" && this.words.length > 0;
+  }
+
+  /**
+   * @param {string} word
+   * @returns {boolean}
+   */
+  isProfane(word) {
+    return this.pattern.test(word);
+  }
+
+  /**
+   * Mask listed words for subtitles: "f***ing"
+   * @param {string} text
+   * @returns {string}
+   */
+  maskText(text) {
+    if (!this.enabled) return text;
+    return text.replace(WORD_PATTERN, (word) =>
+      this.isProfane(word) ? word[0] + "*".repeat(word.length - 1) : word
+    );
+  }
+
+  /**
+   * Where the listed words fall in a line's audio
+   * @param {string} text - The line as sent to TTS ([emotion] tags are not spoken)
+   * @param {Buffer} audio - PCM16 24kHz mono
+   * @param {object} [options]
+   * @param {WordTiming[]} [options.words] - Real timing from the TTS engine
+   * @returns {Array<{start: number, end: number}>} Sample ranges, merged
+   */
+  findSpans(text, audio, options = {}) {
+    const totalSamples = Math.floor(audio.length / BYTES_PER_SAMPLE);
+    const timings = options.words || estimateTimings(text, audio);
+    const pad = options.words ? FADE_MS : PAD_MS;
+
+    const spans = [];
+    for (const word of timings) {
+      if (!this.isProfane(word.text)) continue;
+      const start = Math.max(0, msToSamples(word.startMs - pad));
+      const end = Math.min(totalSamples, msToSamples(word.endMs + pad));
+      const prev = spans[spans.length - 1];
+      if (prev && start <= prev.end) {
+        prev.end = Math.max(prev.end, end);
+      } else if (end > start) {
+        spans.push({ start, end });
+      }
+    }
+    return spans;
+  }
+
+  /**
+   * Bleep or mute the listed words
+   * @param {Buffer} audio - PCM16 24kHz mono
+   * @param {string} text
+   * @param {object} [options] - See findSpans()
+   * @returns {Buffer|null} A censored copy, or null if nothing was found
+   */
+  censorAudio(audio, text, options = {}) {
+    if (!this.enabled) return null;
+    const spans = this.findSpans(text, audio, options);
+    if (spans.length === 0) return null;
+
+    const clean = Buffer.from(audio);
+    const fade = msToSamples(FADE_MS);
+    for (const { start, end } of spans) {
+      for (let i = start; i < end; i++) {
+        // 0 -> 1 -> 0 across the span edges
+        const edge = Math.min(1, (i - start) / fade, (end - 1 - i) / fade);
+        const original = audio.readInt16LE(i * BYTES_PER_SAMPLE);
+        const replacement =
+          this.mode === "bleep"
+            ? BLEEP_AMPLITUDE *
+              Math.sin((2 * Math.PI * BLEEP_HZ * (i - start)) / SAMPLE_RATE)
+            : 0;
+        const sample = original * (1 - edge) + replacement * edge;
+        clean.writeInt16LE(Math.round(sample), i * BYTES_PER_SAMPLE);
+      }
+    }
+    return clean;
+  }
+
+  /**
+   * @param {string} outputName
+   * @returns {boolean} Whether this output gets clean audio and subtitles
+   */
+  appliesTo(outputName) {
+    return (
+      this.enabled &&
+      this.outputs.some((name) => name.toLowerCase() === outputName.toLowerCase())
+    );
+  }
+}
+
+/**
+ * @returns {string[]} The configured word list
+ * @throws {Error} PROFANITY_WORDS_FILE can't be read
+ */
+function loadWordList() {
+  let words = DEFAULT_WORDS;
+  const file = process.env.PROFANITY_WORDS_FILE;
+  if (file) {
+    try {
+      words = fs
+        .readFileSync(file, "utf8")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line && !line.startsWith("#"));
+    } catch (err) {
+      throw new Error(`Can't read PROFANITY_WORDS_FILE: ${err.message}`);
+    }
+  }
+  const extra = (process.env.PROFANITY_WORDS || "")
+    .split(",")
+    .map((word) => word.trim())
+    .filter(Boolean);
+  return [...words, ...extra];
+}
+
+/**
+ * Spread the spoken words over the audio by length, with pauses for
+ * punctuation. Leading and trailing silence is left out.
+ * @param {string} text
+ * @param {Buffer} audio
+ * @returns {WordTiming[]}
+ */
+export function estimateTimings(text, audio) {
+  const spoken = stripBrackets(text);
+  const tokens = [];
+  let weight = 0;
+  let last = 0;
+  for (const match of spoken.matchAll(WORD_PATTERN)) {
+    weight += gapWeight(spoken.slice(last, match.index));
+    const start = weight;
+    weight += match[0].length + 1;
+    tokens.push({ text: match[0], start, end: weight });
+    last = match.index + match[0].length;
+  }
+  if (tokens.length === 0) return [];
+
+  const { startMs, endMs } = speechBounds(audio);
+  const msPerUnit = (endMs - startMs) / weight;
+  return tokens.map((token) => ({
+    text: token.text,
+    startMs: startMs + token.start * msPerUnit,
+    endMs: startMs + token.end * msPerUnit,
+  }));
+}
+
+/**
+ * @param {string} separator - Text between two words
+ * @returns {number} Pause length in the same units as letters
+ */
+function gapWeight(separator) {
+  if (/[.!?…]/.test(separator)) return 6;
+  if (/[,;:—–-]/.test(separator)) return 3;
+  return separator.trim() === "" && separator.length > 0 ? 0.5 : 0;
+}
+
+/**
+ * @param {Buffer} audio
+ * @returns {{startMs: number, endMs: number}} First to last audible sample
+ */
+function speechBounds(audio) {
+  const samples = Math.floor(audio.length / BYTES_PER_SAMPLE);
+  let first = 0;
+  while (
+    first < samples &&
+    Math.abs(audio.readInt16LE(first * BYTES_PER_SAMPLE)) < SPEECH_THRESHOLD
+  ) {
+    first++;
+  }
+  let last = samples - 1;
+  while (
+    last > first &&
+    Math.abs(audio.readInt16LE(last * BYTES_PER_SAMPLE)) < SPEECH_THRESHOLD
+  ) {
+    last--;
+  }
+  if (first >= samples) {
+    return { startMs: 0, endMs: samplesToMs(samples) };
+  }
+  return { startMs: samplesToMs(first), endMs: samplesToMs(last + 1) };
+}
+
+function msToSamples(ms) {
+  return Math.round((ms / 1000) * SAMPLE_RATE);
+}
+
+function samplesToMs(samples) {
+  return (samples / SAMPLE_RATE) * 1000;
+}
+
+export default ProfanityFilter;
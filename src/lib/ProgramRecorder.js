@@ -0,0 +1,423 @@
+/**
+ * Program Recorder
+ * An AudioBus output that archives the full program mix to disk, one file
+ * per hour (WAV, MP3 or Opus). Next to each file is a JSON sidecar of
+ * chapter markers - turns, segments, trends, callers, breaking news - with
+ * offsets counted in recorded samples, so they line up with the audio for
+ * clipping highlights and building episodes. The sidecar also carries the
+ * transcript, for episode titles and show notes (see EpisodePublisher.js).
+ */
+
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+
+const SAMPLE_RATE = 24000;
+const BYTES_PER_SAMPLE = 2;
+
+const FORMATS = {
+  wav: { ext: "wav", codec: null },
+  mp3: { ext: "mp3", codec: ["-c:a", "libmp3lame", "-b:a", "128k"] },
+  opus: { ext: "opus", codec: ["-c:a", "libopus", "-b:a", "64k"] },
+};
+
+// Show events that become chapter markers, and their titles
+const CHAPTER_TITLES = {
+  "show.started": () => "Show start",
+  "show.ended": () => "Show end", // Episodes are trimmed here
+  "segment.changed": (data) => data.segment.title,
+  "turn.started": (data) => data.host,
+  "trend.injected": (data) => `Trend: ${data.trend}`,
+  "news.breaking": (data) => `Breaking: ${data.text}`,
+  // Sidecars end up in the public feed - never name the caller's number
+  "caller.joined": () => "Caller joined",
+  "caller.left": () => "Caller left",
+};
+
+// Payload fields that are kept out of sidecars
+const PRIVATE_FIELDS = ["callerNumber"];
+
+/**
+ * @typedef {Object} Chapter
+ * @property {number} offsetMs - Position in the file
+ * @property {string} at - ISO time it happened
+ * @property {string} type - Show event type
+ * @property {string} title
+ * @property {object} data - The event payload, minus PRIVATE_FIELDS
+ */
+
+/**
+ * @typedef {Object} TranscriptLine
+ * @property {number} offsetMs - Position in the file
+ * @property {string} host
+ * @property {string} text
+ */
+
+export class ProgramRecorder {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dir] - Output folder (default RECORD_DIR or data/recordings)
+   * @param {string} [config.format] - wav, mp3 or opus (default RECORD_FORMAT or mp3)
+   * @param {number} [config.rotateMinutes] - Start a new file after this long (default RECORD_ROTATE_MINUTES or 60)
+   * @param {string} [config.show] - Show name (file names and sidecars)
+   * @param {string} [config.topic]
+   * @param {(fn: () => void) => void} [config.onAir] - Defers chapter and
+   *   transcript marks until their audio reaches the recording (the
+   *   broadcast delay - see AudioBus.onAir())
+   * @throws {Error} Unknown format
+   */
+  constructor(config = {}) {
+    this.name = "Recorder";
+    this.dir = path.resolve(
+      config.dir || process.env.RECORD_DIR || path.join("data", "recordings")
+    );
+    this.format = (
+      config.format ||
+      process.env.RECORD_FORMAT ||
+      "mp3"
+    ).toLowerCase();
+    if (!FORMATS[this.format]) {
+      throw new Error(
+        `Unknown recording format "${this.format}" (available: ${Object.keys(
+          FORMATS
+        ).join(", ")})`
+      );
+    }
+    this.rotateMinutes =
+      config.rotateMinutes || Number(process.env.RECORD_ROTATE_MINUTES) || 60;
+    this.show = config.show || "show";
+    this.topic = config.topic || null;
+    this.onAir = config.onAir || ((fn) => fn());
+
+    this.current = null; // File being written
+    this.lastChapter = null; // Carried into the next file on rotation
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Open the first file and start taking chapters from the show
+   * @param {import("./ShowEventBus.js").ShowEventBus} [events]
+   */
+  start(events) {
+    if (events) {
+      const mark = (event) => {
+        if (event.type === "sentence.played") {
+          this.addLine(event.data.host, event.data.text);
+        } else {
+          this.addChapter(
+            event.type,
+            CHAPTER_TITLES[event.type](event.data),
+            withoutPrivateFields(event.data)
+          );
+        }
+      };
+      this.unsubscribe = events.subscribe(
+        (event) =>
+          // The recorder is stopped right after the show ends, before a
+          // deferred mark would come due
+          event.type === "show.ended"
+            ? mark(event)
+            : this.onAir(() => mark(event)),
+        [...Object.keys(CHAPTER_TITLES), "sentence.played"]
+      );
+    }
+    this._open();
+  }
+
+  /**
+   * Audio bus output interface - the program mix, frame by frame
+   * @param {Buffer} audioBuffer - PCM16 24kHz mono
+   */
+  writeAudio(audioBuffer) {
+    if (!this.current) return;
+    try {
+      this.current.encoder.write(audioBuffer);
+    } catch (err) {
+      console.error("❌ Recording write failed:", err.message);
+      return;
+    }
+    this.current.samples += audioBuffer.length / BYTES_PER_SAMPLE;
+
+    if (this._offsetMs() >= this.rotateMinutes * 60 * 1000) {
+      this._close();
+      this._open();
+    }
+  }
+
+  /**
+   * Mark a chapter at the current position
+   * @param {string} type
+   * @param {string} title
+   * @param {object} [data]
+   */
+  addChapter(type, title, data = {}) {
+    const chapter = {
+      offsetMs: Math.round(this._offsetMs()),
+      at: new Date().toISOString(),
+      type,
+      title,
+      data,
+    };
+    this.lastChapter = chapter;
+    if (this.current) {
+      this.current.chapters.push(chapter);
+      this._writeSidecar();
+    }
+  }
+
+  /**
+   * Add a spoken line to the transcript. Lines are saved with the next
+   * chapter (every turn starts one) rather than rewriting the sidecar for
+   * each sentence.
+   * @param {string} host
+   * @param {string} text
+   */
+  addLine(host, text) {
+    if (!this.current) return;
+    this.current.transcript.push({
+      offsetMs: Math.round(this._offsetMs()),
+      host,
+      text,
+    });
+  }
+
+  /**
+   * Finish the current file (the sidecar gets its end time)
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    this._close();
+  }
+
+  getStatus() {
+    return {
+      format: this.format,
+      file: this.current?.file || null,
+      durationMs: Math.round(this._offsetMs()),
+      chapters: this.current?.chapters.length || 0,
+    };
+  }
+
+  _offsetMs() {
+    return this.current ? (this.current.samples / SAMPLE_RATE) * 1000 : 0;
+  }
+
+  _open() {
+    const startedAt = new Date();
+    const slug =
+      this.show
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "") || "show";
+    const stamp = startedAt
+      .toISOString()
+      .replace(/\.\d+Z$/, "")
+      .replace(/:/g, "-");
+    const ext = FORMATS[this.format].ext;
+    let base = path.join(this.dir, `${slug}-${stamp}`);
+    // Never overwrite - a restart can land in the same second
+    for (let n = 2; fs.existsSync(`${base}.${ext}`); n++) {
+      base = path.join(this.dir, `${slug}-${stamp}-${n}`);
+    }
+    const file = `${base}.${ext}`;
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.current = {
+        file,
+        sidecar: `${base}.json`,
+        encoder:
+          this.format === "wav"
+            ? new WavWriter(file)
+            : new FfmpegWriter(file, this.format),
+        startedAt: startedAt.toISOString(),
+        samples: 0,
+        chapters: [],
+        transcript: [],
+      };
+    } catch (err) {
+      console.error("❌ Can't start recording:", err.message);
+      this.current = null;
+      return;
+    }
+
+    // A new hour starts mid-turn - say what was on
+    if (this.lastChapter) {
+      this.current.chapters.push({
+        ...this.lastChapter,
+        offsetMs: 0,
+        continued: true,
+      });
+    }
+    this._writeSidecar();
+    console.log(`⏺️  Recording program to ${file}`);
+  }
+
+  _close() {
+    if (!this.current) return;
+    const closing = this.current;
+    try {
+      closing.encoder.close();
+    } catch (err) {
+      console.error("❌ Failed to finish recording:", err.message);
+    }
+    closing.endedAt = new Date().toISOString();
+    this._writeSidecar();
+    this.current = null;
+    console.log(`⏹️  Recording saved: ${closing.file}`);
+    return closing;
+  }
+
+  /**
+   * Write the sidecar atomically (temp file + rename)
+   */
+  _writeSidecar() {
+    const current = this.current;
+    const data = JSON.stringify(
+      {
+        show: this.show,
+        topic: this.topic,
+        file: path.basename(current.file),
+        format: this.format,
+        startedAt: current.startedAt,
+        endedAt: current.endedAt || null,
+        durationMs: Math.round(this._offsetMs()),
+        chapters: current.chapters,
+        transcript: current.transcript,
+      },
+      null,
+      2
+    );
+    const tmpPath = `${current.sidecar}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmpPath, data, "utf8");
+      fs.renameSync(tmpPath, current.sidecar);
+    } catch (err) {
+      console.error("❌ Failed to write chapter file:", err.message);
+    }
+  }
+}
+
+/**
+ * PCM16 24kHz mono WAV. Writes are synchronous so the header's sizes are
+ * patched in even when the process exits right after close().
+ */
+class WavWriter {
+  constructor(file) {
+    this.fd = fs.openSync(file, "w");
+    this.bytes = 0;
+    fs.writeSync(this.fd, wavHeader(0));
+  }
+
+  write(pcm) {
+    fs.writeSync(this.fd, pcm);
+    this.bytes += pcm.length;
+  }
+
+  close() {
+    fs.writeSync(this.fd, wavHeader(this.bytes), 0, 44, 0);
+    fs.closeSync(this.fd);
+  }
+}
+
+/**
+ * MP3/Opus through ffmpeg. ffmpeg finishes the file on its own once stdin
+ * closes, even if we exit first.
+ */
+class FfmpegWriter {
+  constructor(file, format) {
+    this.file = file;
+    this.ffmpeg = spawn(
+      "ffmpeg",
+      [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        "-y",
+        "-f",
+        "s16le",
+        "-ar",
+        String(SAMPLE_RATE),
+        "-ac",
+        "1",
+        "-i",
+        "pipe:0",
+        ...FORMATS[format].codec,
+        file,
+      ],
+      { stdio: ["pipe", "ignore", "pipe"] }
+    );
+    this.failed = false;
+
+    let stderrData = "";
+    this.ffmpeg.stderr.on("data", (data) => {
+      stderrData += data.toString();
+    });
+    this.ffmpeg.on("error", (err) => {
+      this.failed = true;
+      console.error("❌ Recording encoder failed to start:", err.message);
+    });
+    this.ffmpeg.on("close", (code) => {
+      if (code !== 0 && !this.failed) {
+        this.failed = true;
+        console.error(
+          `❌ Recording encoder exited with code ${code}: ${stderrData.trim()}`
+        );
+      }
+    });
+    this.ffmpeg.stdin.on("error", (err) => {
+      // Ignore EPIPE errors - the close handler reports why ffmpeg died
+      if (err.code !== "EPIPE") {
+        console.error("Recording stdin error:", err.message);
+      }
+    });
+  }
+
+  write(pcm) {
+    if (this.failed || this.ffmpeg.stdin.destroyed) return;
+    this.ffmpeg.stdin.write(pcm);
+  }
+
+  close() {
+    if (!this.ffmpeg.stdin.destroyed) {
+      this.ffmpeg.stdin.end();
+    }
+  }
+}
+
+/**
+ * @param {number} dataBytes
+ * @returns {Buffer} 44-byte PCM16 mono WAV header
+ */
+function wavHeader(dataBytes) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * BYTES_PER_SAMPLE, 28); // Byte rate
+  header.writeUInt16LE(BYTES_PER_SAMPLE, 32); // Block align
+  header.writeUInt16LE(16, 34); // Bits per sample
+  header.write("data", 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+/**
+ * @param {object} data - Event payload
+ * @returns {object} A copy without PRIVATE_FIELDS
+ */
+function withoutPrivateFields(data) {
+  const copy = { ...data };
+  for (const field of PRIVATE_FIELDS) delete copy[field];
+  return copy;
+}
+
+export default ProgramRecorder;
@@ -0,0 +1,257 @@
+/**
+ * Rundown
+ * Timed show segments (cold open, hot takes, trend block, caller hour,
+ * station ID, wrap) with per-segment prompts and host assignments
+ */
+
+import { EventEmitter } from "events";
+
+/**
+ * Built-in segment types.
+ * Scripted segments run a fixed block of turns and then end on their own;
+ * the others run normal conversation turns until their duration is up.
+ */
+export const SEGMENT_TYPES = {
+  cold_open: {
+    title: "Cold Open",
+    scripted: true,
+    prompt: `Give a very brief (1-2 sentence) intro and greet {others}. Keep it short and punchy about "{topic}".`,
+  },
+  conversation: {
+    title: "On Air",
+    scripted: false,
+    prompt: `Continue the conversation with {others} about {topic}. Respond to what was just said.`,
+  },
+  hot_takes: {
+    title: "Hot Takes",
+    scripted: false,
+    prompt: `HOT TAKES segment! Fire off ONE short, spicy take about {topic} - a different angle from anything said so far - and jab at what {others} just said.`,
+  },
+  trend_block: {
+    title: "What's Trending",
+    scripted: false,
+    fetchTrend: true,
+    prompt: `We're in the trending block. Keep digging into what's trending with {others} - react to what was just said and bring a new angle.`,
+  },
+  caller_hour: {
+    title: "Caller Hour",
+    scripted: false,
+    prompt: `It's CALLER HOUR on {show}! Keep the conversation with {others} going about {topic}, and hype up the phone lines - tell listeners to call 415-649-9366 and get on air.`,
+  },
+  station_id: {
+    title: "Station ID",
+    scripted: true,
+    prompt: `Do a quick station ID in ONE punchy sentence: the listeners are tuned to {show}. Stay in character.`,
+  },
+  wrap: {
+    title: "Wrap",
+    scripted: true,
+    prompt: `Wrap up this part of the show in 1-2 sentences: thank {others} and the listeners, and tease what's coming up next.`,
+  },
+};
+
+const DEFAULT_SEGMENTS = [{ type: "cold_open" }, { type: "conversation" }];
+
+/**
+ * @typedef {Object} Segment
+ * @property {string} id
+ * @property {string} type - Key of SEGMENT_TYPES
+ * @property {string} title
+ * @property {string} prompt - Turn prompt ({topic}, {others}, {show} are filled in)
+ * @property {number|null} durationMs - null = runs until something else ends it
+ * @property {string[]} hosts - Host names assigned to the segment (empty = everyone)
+ * @property {boolean} scripted
+ * @property {boolean} fetchTrend
+ */
+
+export class Rundown extends EventEmitter {
+  /**
+   * @param {Array<object>} [segments] - Segment definitions from the show config
+   * @param {object} [options]
+   * @param {boolean} [options.loop] - Start over after the last segment (24/7 mode)
+   */
+  constructor(segments = null, options = {}) {
+    super();
+    const defs = segments && segments.length > 0 ? segments : DEFAULT_SEGMENTS;
+    this.segments = defs.map((def, idx) => Rundown.normalizeSegment(def, idx));
+    this.loop = options.loop ?? Boolean(segments && segments.length > 0);
+    this.index = -1;
+    this.segmentStartedAt = null;
+    this.segmentComplete = false;
+    this.cycle = 0; // How many times the rundown has looped
+  }
+
+  /**
+   * Fill in defaults for a segment definition
+   * @param {object} def
+   * @param {number} idx
+   * @returns {Segment}
+   */
+  static normalizeSegment(def, idx) {
+    const type = SEGMENT_TYPES[def.type];
+    if (!type) {
+      throw new Error(`Unknown segment type "${def.type}"`);
+    }
+
+    return {
+      id: def.id || `${def.type}-${idx + 1}`,
+      type: def.type,
+      title: def.title || type.title,
+      prompt: def.prompt || type.prompt,
+      durationMs: def.durationMinutes ? def.durationMinutes * 60 * 1000 : null,
+      hosts: def.hosts || [],
+      scripted: type.scripted,
+      fetchTrend: Boolean(type.fetchTrend),
+    };
+  }
+
+  /**
+   * @returns {Segment|null}
+   */
+  get current() {
+    return this.segments[this.index] || null;
+  }
+
+  /**
+   * Begin the first segment
+   * @returns {Segment}
+   */
+  start() {
+    this.index = -1;
+    this.cycle = 0;
+    return this.advance();
+  }
+
+  /**
+   * Move to the next segment (wrapping around when looping)
+   * @returns {Segment|null} New segment, or null if the rundown has ended
+   */
+  advance() {
+    const previous = this.current;
+    let nextIndex = this.index + 1;
+
+    if (nextIndex >= this.segments.length) {
+      if (!this.loop) {
+        this.index = this.segments.length;
+        this.emit("ended", { previous });
+        return null;
+      }
+      nextIndex = 0;
+      this.cycle++;
+    }
+
+    this.index = nextIndex;
+    this.segmentStartedAt = Date.now();
+    this.segmentComplete = false;
+
+    const segment = this.current;
+    this.emit("segmentChanged", { segment, previous, index: this.index });
+    return segment;
+  }
+
+  /**
+   * Where the rundown is, for state snapshots
+   * @returns {{index: number, segmentId: string|null, cycle: number, elapsedMs: number, complete: boolean}}
+   */
+  getPosition() {
+    return {
+      index: this.index,
+      segmentId: this.current?.id || null,
+      cycle: this.cycle,
+      elapsedMs: this.segmentStartedAt ? Date.now() - this.segmentStartedAt : 0,
+      complete: this.segmentComplete,
+    };
+  }
+
+  /**
+   * Pick up from a saved position
+   * @param {object} position - From getPosition()
+   * @returns {Segment|null} Null if the rundown changed since the snapshot
+   */
+  resume(position) {
+    const segment = this.segments[position?.index];
+    if (!segment || segment.id !== position.segmentId) {
+      return null;
+    }
+
+    this.index = position.index;
+    this.cycle = position.cycle || 0;
+    this.segmentStartedAt = Date.now() - (position.elapsedMs || 0);
+    // A scripted segment already went out (or was cut off) - don't repeat it
+    this.segmentComplete = Boolean(position.complete) || segment.scripted;
+
+    this.emit("segmentChanged", {
+      segment,
+      previous: null,
+      index: this.index,
+      resumed: true,
+    });
+    return segment;
+  }
+
+  /**
+   * Mark a scripted segment as done so the scheduler moves on
+   */
+  completeCurrent() {
+    this.segmentComplete = true;
+  }
+
+  /**
+   * Whether the current segment has run its course
+   * @returns {boolean}
+   */
+  isSegmentOver() {
+    const segment = this.current;
+    if (!segment) return false;
+    if (this.segmentComplete) return true;
+    if (!segment.durationMs) return false;
+    return Date.now() - this.segmentStartedAt >= segment.durationMs;
+  }
+
+  /**
+   * @returns {number|null} Milliseconds left in the segment (null = open-ended)
+   */
+  remainingMs() {
+    const segment = this.current;
+    if (!segment || !segment.durationMs) return null;
+    return Math.max(
+      0,
+      segment.durationMs - (Date.now() - this.segmentStartedAt)
+    );
+  }
+
+  /**
+   * Fill in a segment prompt template
+   * @param {Segment} segment
+   * @param {{topic: string, others: string, show: string}} vars
+   * @returns {string}
+   */
+  static renderPrompt(segment, vars) {
+    return segment.prompt.replace(/\{(topic|others|show)\}/g, (_, key) =>
+      vars[key] !== undefined ? vars[key] : ""
+    );
+  }
+
+  /**
+   * Status for displays
+   * @returns {object}
+   */
+  getStatus() {
+    const segment = this.current;
+    return {
+      index: this.index,
+      cycle: this.cycle,
+      segment: segment
+        ? { id: segment.id, type: segment.type, title: segment.title }
+        : null,
+      remainingMs: this.remainingMs(),
+      upNext: this.segments
+        .slice(this.index + 1)
+        .concat(this.loop ? this.segments.slice(0, this.index + 1) : [])
+        .slice(0, 3)
+        .map((s) => s.title),
+    };
+  }
+}
+
+export default Rundown;
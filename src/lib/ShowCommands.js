@@ -0,0 +1,237 @@
+/**
+ * Show Commands
+ * Producer actions shared by every control surface - the readline console,
+ * the REST API and WebSocket clients all go through executeCommand()
+ */
+
+/**
+ * Actions and the parameter each one requires
+ */
+export const COMMANDS = {
+  comment: "text", // Listener comment - a host answers it right away
+  breaking: "text",
+  news: "text",
+  text: "text", // Overlay text
+  tweet: "url",
+  trends: null,
+  join: "host",
+  leave: "host",
+  bench: "host",
+  policy: "policy",
+  next: null, // End the current rundown segment
+  gain: "channel", // Mixer level: "music -6" (or pass gainDb)
+  mute: "channel",
+  unmute: "channel",
+  dump: null, // Drop unaired audio - optional "seconds" (default: all of it)
+  delay: null, // Broadcast delay - needs "seconds" (0 = off)
+  status: null,
+  quit: null,
+};
+
+// Console prefixes ("breaking: ...") and the action they map to
+const CONSOLE_PREFIXES = {
+  "breaking:": "breaking",
+  "news:": "news",
+  "text:": "text",
+  "tweet:": "tweet",
+  "join:": "join",
+  "leave:": "leave",
+  "bench:": "bench",
+  "policy:": "policy",
+  "gain:": "gain",
+  "mute:": "mute",
+  "unmute:": "unmute",
+  "dump:": "dump",
+  "delay:": "delay",
+};
+
+// Parameters that aren't required, named for the console prefix form
+const OPTIONAL_PARAMS = {
+  dump: "seconds",
+  delay: "seconds",
+};
+
+const CONSOLE_WORDS = {
+  quit: "quit",
+  trends: "trends",
+  hosts: "status",
+  rundown: "status",
+  next: "next",
+  dump: "dump",
+};
+
+/**
+ * Turn a line typed into the console into a command
+ * @param {string} input - Raw console line
+ * @returns {{action: string}|null} Command, or null for an empty line
+ */
+export function parseConsoleCommand(input) {
+  const trimmed = input.trim();
+  if (!trimmed) return null;
+
+  const lower = trimmed.toLowerCase();
+  if (Object.hasOwn(CONSOLE_WORDS, lower)) {
+    return { action: CONSOLE_WORDS[lower] };
+  }
+
+  for (const [prefix, action] of Object.entries(CONSOLE_PREFIXES)) {
+    if (lower.startsWith(prefix)) {
+      return {
+        action,
+        [COMMANDS[action] || OPTIONAL_PARAMS[action]]: trimmed
+          .substring(prefix.length)
+          .trim(),
+      };
+    }
+  }
+
+  // Anything else is the producer talking to the hosts
+  return { action: "comment", text: trimmed };
+}
+
+/**
+ * Run a producer command against the show
+ * @param {import("./PodcastOrchestrator.js").PodcastOrchestrator} orchestrator
+ * @param {{action: string}} command - Action plus its parameter (see COMMANDS)
+ * @returns {Promise<object>} Result for the caller
+ * @throws {Error} Not an object, unknown action, missing parameter, or a
+ *   rejected roster change
+ */
+export async function executeCommand(orchestrator, command) {
+  if (
+    command === null ||
+    typeof command !== "object" ||
+    Array.isArray(command)
+  ) {
+    throw new Error('Command must be a JSON object like { "action": "status" }');
+  }
+  const action = command.action;
+  if (typeof action !== "string" || !Object.hasOwn(COMMANDS, action)) {
+    throw new Error(
+      `Unknown action "${action}" (available: ${Object.keys(COMMANDS).join(
+        ", "
+      )})`
+    );
+  }
+
+  const param = COMMANDS[action];
+  const value = param ? command[param] : undefined;
+  if (param && (typeof value !== "string" || !value.trim())) {
+    throw new Error(`"${action}" needs a non-empty "${param}"`);
+  }
+
+  switch (action) {
+    case "comment":
+      await orchestrator.listenerComment(value.trim());
+      return { queued: true };
+
+    case "breaking":
+      await orchestrator.breakingNews(value.trim());
+      return { queued: true };
+
+    case "news":
+      orchestrator.regularNews(value.trim());
+      return { queued: true };
+
+    case "text": {
+      const durationMs = command.durationMs ?? undefined;
+      if (
+        durationMs !== undefined &&
+        !(Number.isFinite(durationMs) && durationMs > 0)
+      ) {
+        throw new Error(
+          `"text" needs "durationMs" as a positive number, got "${durationMs}"`
+        );
+      }
+      orchestrator.showText(value.trim(), durationMs);
+      return { shown: true };
+    }
+
+    case "tweet":
+      orchestrator.showTweet(value.trim());
+      return { requested: true };
+
+    case "trends":
+      orchestrator.requestTrend();
+      return { requested: true };
+
+    case "join":
+      return { host: (await orchestrator.addHost(value.trim())).getName() };
+
+    case "leave":
+      return { host: orchestrator.removeHost(value.trim()).getName() };
+
+    case "bench":
+      return { host: orchestrator.benchHost(value.trim()).getName() };
+
+    case "policy":
+      orchestrator.setTurnPolicy(value.trim());
+      return { turnPolicy: orchestrator.turnPolicy.name };
+
+    case "next":
+      orchestrator.skipSegment();
+      return { segment: orchestrator.rundown.current?.title || null };
+
+    case "gain": {
+      let channel = value.trim();
+      let gainDb = command.gainDb;
+      if (gainDb === undefined) {
+        // Console form: level after the channel name
+        const match = channel.match(/^(.+?)\s+(-?\d+(?:\.\d+)?)$/);
+        if (!match) {
+          throw new Error(`"gain" needs a level in dB, e.g. "music -6"`);
+        }
+        [, channel, gainDb] = match;
+      }
+      gainDb = Number(gainDb);
+      if (!Number.isFinite(gainDb)) {
+        throw new Error(`"gain" needs a numeric "gainDb"`);
+      }
+      return orchestrator.setChannelGain(channel, gainDb);
+    }
+
+    case "mute":
+      return orchestrator.setChannelMute(value.trim(), true);
+
+    case "unmute":
+      return orchestrator.setChannelMute(value.trim(), false);
+
+    case "dump": {
+      const seconds = parseSeconds(command.seconds, "dump");
+      return orchestrator.dumpDelay(seconds ?? undefined);
+    }
+
+    case "delay": {
+      const seconds = parseSeconds(command.seconds, "delay");
+      if (seconds === null) {
+        throw new Error(`"delay" needs "seconds", e.g. "delay: 10"`);
+      }
+      return orchestrator.setBroadcastDelay(seconds);
+    }
+
+    case "status":
+      return orchestrator.getStatus();
+
+    case "quit":
+      // Give the caller a moment to get its response before shutting down
+      setTimeout(() => orchestrator.shutdown(), 100);
+      return { stopping: true };
+  }
+}
+
+/**
+ * @param {number|string|undefined} value
+ * @param {string} action - For the error message
+ * @returns {number|null} Null when not given
+ * @throws {Error} Not a non-negative number
+ */
+function parseSeconds(value, action) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`"${action}" needs "seconds" as a number, got "${value}"`);
+  }
+  return seconds;
+}
+
+export default { COMMANDS, parseConsoleCommand, executeCommand };
@@ -0,0 +1,496 @@
+/**
+ * Show Config
+ * Loads a show definition (hosts, voices, topic, segment settings, trend
+ * personality) from a JSON file and validates it before anything goes on air
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  getAvailablePersonalities,
+  DEFAULT_PERSONALITY,
+} from "./personalities.js";
+import { getAvailableTurnPolicies } from "./TurnPolicy.js";
+import { getAvailableTTSProviders } from "./TTSProvider.js";
+import { SEGMENT_TYPES } from "./Rundown.js";
+
+export const DEFAULT_SHOW_PATH = "shows/grokkdio/show.json";
+
+// Named console colors accepted in show files (raw ANSI codes also work)
+const COLORS = {
+  red: "\x1b[31m",
+  green: "\x1b[32m",
+  yellow: "\x1b[33m",
+  blue: "\x1b[34m",
+  magenta: "\x1b[35m",
+  cyan: "\x1b[36m",
+  white: "\x1b[37m",
+};
+
+const DEFAULT_SEGMENT_SETTINGS = {
+  trendIntervalMinutes: 2,
+  minTrendTweetCount: 20000,
+  historyWindow: 20,
+  summarizeEvery: 10,
+  memoryTokenBudget: 600,
+};
+
+/**
+ * @typedef {Object} HostConfig
+ * @property {string} name
+ * @property {string} personality - Full system prompt for the host
+ * @property {string} [voiceFile] - Absolute path to a reference voice for cloning
+ *   (left out, with a warning, if the file is missing - the host falls back to voiceId)
+ * @property {string} [voiceId] - Preset XAI voice (used when no voiceFile)
+ * @property {string} [voiceInstructions]
+ * @property {string[]} [tts] - TTS provider failover order (see TTSProvider.js)
+ * @property {string} [localVoice] - espeak-ng voice or Piper model for the local fallback
+ * @property {string} color - ANSI color code for console output
+ * @property {boolean} [benched] - Starts off air; can join mid-show
+ * @property {number} [energy] - Weight for the energy-weighted turn policy (default 1)
+ * @property {string[]} [aliases] - Extra names the host answers to
+ * @property {string[]} [emotions] - Allowed [emotion] tags (default: the personality's "Available:" list)
+ */
+
+/**
+ * @typedef {Object} ShowConfig
+ * @property {string} name
+ * @property {string} topic
+ * @property {string} trendPersonality
+ * @property {{trendIntervalMinutes: number, minTrendTweetCount: number, historyWindow: number, summarizeEvery: number, memoryTokenBudget: number}} segmentSettings
+ * @property {string|{type: string}} turnPolicy - Who speaks next (see TurnPolicy.js)
+ * @property {{loop: boolean, segments: Array<object>}|null} rundown - Timed segments (see Rundown.js)
+ * @property {HostConfig[]} hosts
+ * @property {string} sourcePath
+ */
+
+/**
+ * Resolve which show file to load: --show <path>, SHOW_CONFIG, or the default
+ * @param {string[]} argv - Process arguments
+ * @returns {string}
+ */
+export function resolveShowPath(argv = process.argv) {
+  const flagIdx = argv.findIndex((arg) => arg === "--show");
+  if (flagIdx !== -1 && argv[flagIdx + 1]) {
+    return argv[flagIdx + 1];
+  }
+
+  const inline = argv.find((arg) => arg.startsWith("--show="));
+  if (inline) {
+    return inline.substring("--show=".length);
+  }
+
+  return process.env.SHOW_CONFIG || DEFAULT_SHOW_PATH;
+}
+
+/**
+ * Load and validate a show definition
+ * @param {string} filePath - Path to the show JSON file
+ * @returns {ShowConfig}
+ * @throws {Error} Lists every problem found in the file
+ */
+export function loadShowConfig(filePath) {
+  const sourcePath = path.resolve(filePath);
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Show config not found: ${sourcePath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(sourcePath, "utf8"));
+  } catch (err) {
+    throw new Error(
+      `Show config ${sourcePath} is not valid JSON: ${err.message}`
+    );
+  }
+
+  const errors = [];
+  const config = validateShowConfig(raw, path.dirname(sourcePath), errors);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid show config ${sourcePath}:\n${errors
+        .map((e) => `  - ${e}`)
+        .join("\n")}`
+    );
+  }
+
+  return { ...config, sourcePath };
+}
+
+/**
+ * Validate a parsed show definition, collecting errors instead of throwing
+ * @param {object} raw - Parsed JSON
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @param {string[]} errors - Collected error messages
+ * @returns {object} Normalized config (only meaningful if errors is empty)
+ */
+function validateShowConfig(raw, baseDir, errors) {
+  if (!isObject(raw)) {
+    errors.push("show config must be a JSON object");
+    return {};
+  }
+
+  const name = optionalString(raw, "name", "show", errors) || "Untitled Show";
+  const topic = requireString(raw, "topic", "show", errors);
+
+  const trendPersonality =
+    optionalString(raw, "trendPersonality", "show", errors) ||
+    DEFAULT_PERSONALITY;
+  if (!getAvailablePersonalities().includes(trendPersonality)) {
+    errors.push(
+      `trendPersonality: unknown personality "${trendPersonality}" (available: ${getAvailablePersonalities().join(
+        ", "
+      )})`
+    );
+  }
+
+  const segmentSettings = { ...DEFAULT_SEGMENT_SETTINGS };
+  if (raw.segmentSettings !== undefined) {
+    if (!isObject(raw.segmentSettings)) {
+      errors.push("segmentSettings: must be an object");
+    } else {
+      for (const [key, value] of Object.entries(raw.segmentSettings)) {
+        if (!(key in DEFAULT_SEGMENT_SETTINGS)) {
+          errors.push(
+            `segmentSettings.${key}: unknown setting (allowed: ${Object.keys(
+              DEFAULT_SEGMENT_SETTINGS
+            ).join(", ")})`
+          );
+        } else if (typeof value !== "number" || !(value > 0)) {
+          errors.push(`segmentSettings.${key}: must be a positive number`);
+        } else {
+          segmentSettings[key] = value;
+        }
+      }
+    }
+  }
+
+  const turnPolicy = raw.turnPolicy ?? "round-robin";
+  const policyType =
+    typeof turnPolicy === "string" ? turnPolicy : turnPolicy?.type;
+  if (!getAvailableTurnPolicies().includes(policyType)) {
+    errors.push(
+      `turnPolicy: unknown policy "${policyType}" (available: ${getAvailableTurnPolicies().join(
+        ", "
+      )})`
+    );
+  }
+
+  const hosts = [];
+  if (!Array.isArray(raw.hosts) || raw.hosts.length === 0) {
+    errors.push("hosts: must be a non-empty array");
+  } else {
+    raw.hosts.forEach((host, idx) => {
+      hosts.push(validateHost(host, baseDir, `hosts[${idx}]`, errors));
+    });
+
+    const seen = new Set();
+    for (const host of hosts) {
+      if (host.name && seen.has(host.name)) {
+        errors.push(`hosts: duplicate host name "${host.name}"`);
+      }
+      seen.add(host.name);
+    }
+  }
+
+  const rundown =
+    raw.rundown === undefined
+      ? null
+      : validateRundown(
+          raw.rundown,
+          hosts.map((h) => h.name).filter(Boolean),
+          errors
+        );
+
+  return {
+    name,
+    topic,
+    trendPersonality,
+    segmentSettings,
+    turnPolicy,
+    rundown,
+    hosts,
+  };
+}
+
+/**
+ * Validate the rundown section (timed show segments)
+ * @param {object} raw - { loop, segments: [{ type, title, prompt, durationMinutes, hosts }] }
+ * @param {string[]} hostNames - Host names declared in the show
+ * @param {string[]} errors - Collected error messages
+ * @returns {{loop: boolean, segments: Array<object>}}
+ */
+function validateRundown(raw, hostNames, errors) {
+  if (!isObject(raw)) {
+    errors.push("rundown: must be an object");
+    return null;
+  }
+
+  if (raw.loop !== undefined && typeof raw.loop !== "boolean") {
+    errors.push("rundown.loop: must be true or false");
+  }
+  const loop = raw.loop !== false;
+
+  if (!Array.isArray(raw.segments) || raw.segments.length === 0) {
+    errors.push("rundown.segments: must be a non-empty array");
+    return null;
+  }
+
+  const segments = raw.segments.map((seg, idx) => {
+    const where = `rundown.segments[${idx}]`;
+    if (!isObject(seg)) {
+      errors.push(`${where}: must be an object`);
+      return {};
+    }
+
+    const type = requireString(seg, "type", where, errors);
+    if (type && !SEGMENT_TYPES[type]) {
+      errors.push(
+        `${where}.type: unknown segment type "${type}" (available: ${Object.keys(
+          SEGMENT_TYPES
+        ).join(", ")})`
+      );
+    }
+
+    const segment = { type };
+    for (const key of ["id", "title", "prompt"]) {
+      const value = optionalString(seg, key, where, errors);
+      if (value) segment[key] = value;
+    }
+
+    if (seg.durationMinutes !== undefined) {
+      if (
+        typeof seg.durationMinutes !== "number" ||
+        !(seg.durationMinutes > 0)
+      ) {
+        errors.push(`${where}.durationMinutes: must be a positive number`);
+      } else {
+        segment.durationMinutes = seg.durationMinutes;
+      }
+    } else if (
+      SEGMENT_TYPES[type] &&
+      !SEGMENT_TYPES[type].scripted &&
+      (loop || idx < raw.segments.length - 1)
+    ) {
+      // Only the final segment of a non-looping rundown may run forever
+      errors.push(`${where}.durationMinutes: required for "${type}" segments`);
+    }
+
+    if (seg.hosts !== undefined) {
+      if (
+        !Array.isArray(seg.hosts) ||
+        seg.hosts.some((h) => typeof h !== "string" || !h.trim())
+      ) {
+        errors.push(`${where}.hosts: must be an array of host names`);
+      } else {
+        for (const host of seg.hosts) {
+          const needle = host.toLowerCase();
+          if (!hostNames.some((n) => n.toLowerCase().includes(needle))) {
+            errors.push(`${where}.hosts: no host matching "${host}"`);
+          }
+        }
+        segment.hosts = seg.hosts;
+      }
+    }
+
+    return segment;
+  });
+
+  return { loop, segments };
+}
+
+/**
+ * Validate a single host entry
+ * @param {object} raw - Host entry from the show file
+ * @param {string} baseDir - Directory relative paths are resolved against
+ * @param {string} where - Location prefix for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {HostConfig}
+ */
+export function validateHost(raw, baseDir, where, errors) {
+  if (!isObject(raw)) {
+    errors.push(`${where}: must be an object`);
+    return {};
+  }
+
+  const name = requireString(raw, "name", where, errors);
+
+  // Personality can be inline or loaded from a prompt file next to the show
+  let personality = optionalString(raw, "personality", where, errors);
+  const personalityFile = optionalString(raw, "personalityFile", where, errors);
+  if (personality && personalityFile) {
+    errors.push(
+      `${where}: set either personality or personalityFile, not both`
+    );
+  } else if (personalityFile) {
+    const promptPath = path.resolve(baseDir, personalityFile);
+    if (fs.existsSync(promptPath)) {
+      personality = fs.readFileSync(promptPath, "utf8").trimEnd();
+    } else {
+      errors.push(`${where}.personalityFile: file not found (${promptPath})`);
+    }
+  } else if (!personality) {
+    errors.push(`${where}: personality or personalityFile is required`);
+  }
+
+  let voiceFile = optionalString(raw, "voiceFile", where, errors);
+  if (voiceFile) {
+    voiceFile = path.resolve(baseDir, voiceFile);
+  }
+  const voiceId = optionalString(raw, "voiceId", where, errors);
+  // Reference clips aren't always shipped with a show - speak with the
+  // preset voice rather than refusing to start
+  if (voiceFile && !fs.existsSync(voiceFile)) {
+    console.warn(
+      `⚠️  ${where}.voiceFile: file not found (${voiceFile}) - using ${
+        voiceId ? `preset voice "${voiceId}"` : "the default preset voice"
+      }`
+    );
+    voiceFile = undefined;
+  }
+  const voiceInstructions = optionalString(
+    raw,
+    "voiceInstructions",
+    where,
+    errors
+  );
+
+  const localVoice = optionalString(raw, "localVoice", where, errors);
+
+  if (raw.tts !== undefined) {
+    if (
+      !Array.isArray(raw.tts) ||
+      raw.tts.length === 0 ||
+      raw.tts.some((name) => typeof name !== "string")
+    ) {
+      errors.push(`${where}.tts: must be a non-empty array of provider names`);
+    } else {
+      for (const name of raw.tts) {
+        if (!getAvailableTTSProviders().includes(name)) {
+          errors.push(
+            `${where}.tts: unknown provider "${name}" (available: ${getAvailableTTSProviders().join(
+              ", "
+            )})`
+          );
+        }
+      }
+    }
+  }
+
+  const colorName = optionalString(raw, "color", where, errors) || "white";
+  const color = colorName.startsWith("\x1b[") ? colorName : COLORS[colorName];
+  if (!color) {
+    errors.push(
+      `${where}.color: unknown color "${colorName}" (allowed: ${Object.keys(
+        COLORS
+      ).join(", ")})`
+    );
+  }
+
+  if (raw.benched !== undefined && typeof raw.benched !== "boolean") {
+    errors.push(`${where}.benched: must be true or false`);
+  }
+
+  if (
+    raw.energy !== undefined &&
+    (typeof raw.energy !== "number" || raw.energy < 0)
+  ) {
+    errors.push(`${where}.energy: must be a number >= 0`);
+  }
+
+  if (
+    raw.aliases !== undefined &&
+    (!Array.isArray(raw.aliases) ||
+      raw.aliases.some((a) => typeof a !== "string" || !a.trim()))
+  ) {
+    errors.push(`${where}.aliases: must be an array of non-empty strings`);
+  }
+
+  if (
+    raw.emotions !== undefined &&
+    (!Array.isArray(raw.emotions) ||
+      raw.emotions.some((e) => typeof e !== "string" || !e.trim()))
+  ) {
+    errors.push(`${where}.emotions: must be an array of non-empty strings`);
+  }
+
+  const host = { name, personality, color };
+  if (raw.benched === true) host.benched = true;
+  if (typeof raw.energy === "number") host.energy = raw.energy;
+  if (Array.isArray(raw.aliases)) host.aliases = raw.aliases;
+  if (Array.isArray(raw.emotions)) host.emotions = raw.emotions;
+  if (voiceFile) host.voiceFile = voiceFile;
+  if (voiceId) host.voiceId = voiceId;
+  if (voiceInstructions) host.voiceInstructions = voiceInstructions;
+  if (Array.isArray(raw.tts)) host.tts = raw.tts;
+  if (localVoice) host.localVoice = localVoice;
+  return host;
+}
+
+/**
+ * Load and validate a standalone host file (e.g. a guest joining mid-show)
+ * @param {string} filePath - Path to the host JSON file
+ * @returns {HostConfig}
+ * @throws {Error} Lists every problem found in the file
+ */
+export function loadHostConfig(filePath) {
+  const sourcePath = path.resolve(filePath);
+
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Host config not found: ${sourcePath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(sourcePath, "utf8"));
+  } catch (err) {
+    throw new Error(
+      `Host config ${sourcePath} is not valid JSON: ${err.message}`
+    );
+  }
+
+  const errors = [];
+  const host = validateHost(raw, path.dirname(sourcePath), "host", errors);
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid host config ${sourcePath}:\n${errors
+        .map((e) => `  - ${e}`)
+        .join("\n")}`
+    );
+  }
+
+  return host;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function requireString(obj, key, where, errors) {
+  const value = obj[key];
+  if (typeof value !== "string" || !value.trim()) {
+    errors.push(`${where}.${key}: must be a non-empty string`);
+    return undefined;
+  }
+  return value;
+}
+
+function optionalString(obj, key, where, errors) {
+  const value = obj[key];
+  if (value === undefined) return undefined;
+  if (typeof value !== "string" || !value.trim()) {
+    errors.push(`${where}.${key}: must be a non-empty string`);
+    return undefined;
+  }
+  return value;
+}
+
+export default {
+  loadShowConfig,
+  loadHostConfig,
+  resolveShowPath,
+  DEFAULT_SHOW_PATH,
+};
@@ -0,0 +1,115 @@
+/**
+ * Show Event Bus
+ * One typed stream of everything happening on air (turns, sentences,
+ * interruptions, news, trends, callers, overlays) for dashboards, loggers
+ * and bots. The ControlServer publishes it over WebSocket and SSE.
+ */
+
+import { EventEmitter } from "events";
+
+/**
+ * Event types published by the orchestrator
+ */
+export const SHOW_EVENTS = [
+  "show.started",
+  "show.ended",
+  "segment.changed",
+  "turn.started",
+  "turn.ended",
+  "sentence.played",
+  "interruption",
+  "news.breaking",
+  "news.regular",
+  "listener.comment",
+  "trend.injected",
+  "caller.joined",
+  "caller.left",
+  "roster.changed",
+  "overlay.shown",
+  "delay.dumped",
+  "moderation.action",
+  "stream.destination",
+  "stream.restarting",
+  "stream.restarted",
+];
+
+/**
+ * @typedef {Object} ShowEvent
+ * @property {string} type - One of SHOW_EVENTS
+ * @property {number} seq - Increments by one per event (for resuming feeds)
+ * @property {string} timestamp - ISO time the event was published
+ * @property {object} data - Type-specific payload
+ */
+
+export class ShowEventBus extends EventEmitter {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.historySize] - Recent events kept for clients that reconnect
+   */
+  constructor(config = {}) {
+    super();
+    this.historySize = config.historySize || 500;
+    this.history = [];
+    this.seq = 0;
+  }
+
+  /**
+   * Publish an event to every subscriber
+   * @param {string} type - One of SHOW_EVENTS
+   * @param {object} [data]
+   * @returns {ShowEvent}
+   */
+  publish(type, data = {}) {
+    const event = {
+      type,
+      seq: ++this.seq,
+      timestamp: new Date().toISOString(),
+      data,
+    };
+
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.shift();
+    }
+
+    // Listener errors must never take the show down
+    try {
+      this.emit("event", event);
+    } catch (err) {
+      console.error(`❌ Event listener failed on ${type}:`, err.message);
+    }
+    return event;
+  }
+
+  /**
+   * Subscribe to events, optionally filtered by type
+   * @param {(event: ShowEvent) => void} listener
+   * @param {string[]} [types] - Only these types (default: all)
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(listener, types = null) {
+    const wanted = types && types.length > 0 ? new Set(types) : null;
+    const handler = (event) => {
+      if (!wanted || wanted.has(event.type)) {
+        listener(event);
+      }
+    };
+    this.on("event", handler);
+    return () => this.off("event", handler);
+  }
+
+  /**
+   * Events published after the given sequence number (still in history)
+   * @param {number} seq
+   * @param {string[]} [types]
+   * @returns {ShowEvent[]}
+   */
+  since(seq, types = null) {
+    const wanted = types && types.length > 0 ? new Set(types) : null;
+    return this.history.filter(
+      (event) => event.seq > seq && (!wanted || wanted.has(event.type))
+    );
+  }
+}
+
+export default ShowEventBus;
@@ -0,0 +1,192 @@
+/**
+ * Show Memory
+ * Rolling summary of everything older than the prompt's history window -
+ * a "show so far" digest plus running gags and the positions each host has
+ * taken - so a 24/7 show doesn't forget what it already said
+ */
+
+import { EventEmitter } from "events";
+import { XAILLMPlugin } from "../plugins/xai-llm.js";
+
+const MAX_GAGS = 8;
+const MAX_POSITIONS_PER_HOST = 5;
+const CHARS_PER_TOKEN = 4; // Rough estimate, good enough for budgeting
+
+export class ShowMemory extends EventEmitter {
+  /**
+   * @param {object} [config]
+   * @param {number} [config.summarizeEvery] - Summarize once this many lines have scrolled out of the window
+   * @param {number} [config.tokenBudget] - Max tokens of memory added to each prompt
+   * @param {string} [config.model] - Model used for summarizing
+   */
+  constructor(config = {}) {
+    super();
+    this.summarizeEvery = config.summarizeEvery || 10;
+    this.tokenBudget = config.tokenBudget || 600;
+    this.digest = "";
+    this.gags = [];
+    this.positions = {}; // host name -> stances they've taken
+    this.isSummarizing = false;
+    this.llm = new XAILLMPlugin({
+      apiKey: process.env.XAI_API_KEY,
+      model: config.model || "grok-3-fast",
+      temperature: 0.2,
+      maxTokens: 700,
+      timeout: config.timeout || 20000,
+    });
+  }
+
+  /**
+   * Fold lines that have scrolled out of the prompt window into the memory,
+   * then drop them from the history. Runs in the background and never
+   * throws - on failure the lines stay put and are retried next time.
+   * Emits "summarized" with the lines that were folded in.
+   * @param {Array<{speaker: string, content: string}>} history - Shared history (trimmed in place)
+   * @param {number} historyWindow - Lines the prompt still shows verbatim
+   */
+  maybeSummarize(history, historyWindow) {
+    const overflow = history.length - historyWindow;
+    if (this.isSummarizing || overflow < this.summarizeEvery) return;
+
+    this.isSummarizing = true;
+    const lines = history.slice(0, overflow);
+
+    this.summarize(lines)
+      .then(() => {
+        // Only ever appended to since we sliced, so the old lines are still first
+        history.splice(0, lines.length);
+        this.emit("summarized", lines);
+        console.log(
+          `🧠 Show memory updated (${lines.length} lines summarized, ${this.gags.length} gags tracked)`
+        );
+      })
+      .catch((err) => {
+        console.error("⚠️  Show memory summary failed:", err.message);
+      })
+      .finally(() => {
+        this.isSummarizing = false;
+      });
+  }
+
+  /**
+   * Ask the LLM to merge new lines into the existing memory
+   * @param {Array<{speaker: string, content: string}>} lines
+   */
+  async summarize(lines) {
+    const transcript = lines
+      .map((entry) => `${entry.speaker}: ${entry.content}`)
+      .join("\n");
+
+    const reply = await this.llm.chat([
+      {
+        role: "system",
+        content: `You keep the running notes for a live talk show. Merge the new transcript into the existing notes and reply with ONLY a JSON object:
+{"digest": "...", "gags": ["..."], "positions": {"Host Name": ["..."]}}
+- digest: what the show has covered so far, at most 150 words, oldest material compressed hardest
+- gags: running jokes, catchphrases and bits worth calling back (at most ${MAX_GAGS})
+- positions: the opinions each host has committed to (at most ${MAX_POSITIONS_PER_HOST} per host, most recent last)
+Ignore SHOW and producer stage directions except as context.`,
+      },
+      {
+        role: "user",
+        content: `Existing notes:\n${JSON.stringify(
+          this.getState()
+        )}\n\nNew transcript:\n${transcript}`,
+      },
+    ]);
+
+    const parsed = parseMemoryReply(reply);
+    if (!parsed) {
+      throw new Error("reply was not valid JSON");
+    }
+    this.restoreState(parsed);
+  }
+
+  /**
+   * Memory block for the top of a host prompt, trimmed to the token budget
+   * @returns {string} Empty until the first summary
+   */
+  getContext() {
+    const sections = [];
+    if (this.digest) {
+      sections.push(`SHOW SO FAR:\n${this.digest}`);
+    }
+    if (this.gags.length > 0) {
+      sections.push(
+        `RUNNING GAGS:\n${this.gags.map((gag) => `- ${gag}`).join("\n")}`
+      );
+    }
+    const stances = Object.entries(this.positions).filter(
+      ([, list]) => list.length > 0
+    );
+    if (stances.length > 0) {
+      sections.push(
+        `WHERE EVERYONE STANDS:\n${stances
+          .map(([host, list]) => `- ${host}: ${list.join("; ")}`)
+          .join("\n")}`
+      );
+    }
+    if (sections.length === 0) return "";
+
+    const maxChars = this.tokenBudget * CHARS_PER_TOKEN;
+    let context = sections.join("\n\n");
+    if (context.length > maxChars) {
+      context = `${context.substring(0, maxChars - 3).trimEnd()}...`;
+    }
+    return `${context}\n\n`;
+  }
+
+  /**
+   * @returns {{digest: string, gags: string[], positions: Object<string, string[]>}}
+   */
+  getState() {
+    return {
+      digest: this.digest,
+      gags: [...this.gags],
+      positions: { ...this.positions },
+    };
+  }
+
+  /**
+   * Load memory from getState() (or a parsed LLM reply)
+   * @param {object} [state]
+   */
+  restoreState(state) {
+    if (!state) return;
+    this.digest = typeof state.digest === "string" ? state.digest.trim() : "";
+    this.gags = (Array.isArray(state.gags) ? state.gags : [])
+      .filter((gag) => typeof gag === "string" && gag.trim())
+      .slice(-MAX_GAGS);
+
+    this.positions = {};
+    for (const [host, list] of Object.entries(state.positions || {})) {
+      if (!Array.isArray(list)) continue;
+      const stances = list
+        .filter((stance) => typeof stance === "string" && stance.trim())
+        .slice(-MAX_POSITIONS_PER_HOST);
+      if (stances.length > 0) {
+        this.positions[host] = stances;
+      }
+    }
+  }
+}
+
+/**
+ * Pull the JSON object out of an LLM reply (tolerates code fences and chatter)
+ * @param {string} reply
+ * @returns {object|null}
+ */
+function parseMemoryReply(reply) {
+  const start = reply.indexOf("{");
+  const end = reply.lastIndexOf("}");
+  if (start === -1 || end <= start) return null;
+
+  try {
+    const parsed = JSON.parse(reply.substring(start, end + 1));
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+export default ShowMemory;
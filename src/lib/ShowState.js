@@ -0,0 +1,150 @@
+/**
+ * Show State
+ * Periodic on-disk snapshots of orchestrator state (conversation history,
+ * covered trends, queued news, rundown position) so a restarted process
+ * can pick the show back up mid-stream
+ */
+
+import fs from "fs";
+import path from "path";
+
+export const STATE_VERSION = 1;
+
+/**
+ * Default snapshot location for a show: data/state/<show-name>.json
+ * @param {string} showName
+ * @returns {string}
+ */
+export function defaultStatePath(showName = "show") {
+  const slug =
+    showName
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "") || "show";
+  return path.join("data", "state", `${slug}.json`);
+}
+
+export class ShowStateStore {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.filePath] - Snapshot file (default SHOW_STATE_FILE)
+   * @param {string} [config.showName] - Used for the default file name
+   * @param {number} [config.intervalSeconds] - Seconds between snapshots
+   * @param {number} [config.maxAgeMinutes] - Ignore snapshots older than this on resume
+   */
+  constructor(config = {}) {
+    this.filePath = path.resolve(
+      config.filePath ||
+        process.env.SHOW_STATE_FILE ||
+        defaultStatePath(config.showName)
+    );
+    this.intervalSeconds =
+      config.intervalSeconds ||
+      Number(process.env.SHOW_STATE_INTERVAL_SECONDS) ||
+      15;
+    this.maxAgeMinutes =
+      config.maxAgeMinutes ||
+      Number(process.env.SHOW_RESUME_MAX_AGE_MINUTES) ||
+      60;
+    this.timer = null;
+  }
+
+  /**
+   * Write a snapshot atomically (temp file + rename) so a crash mid-write
+   * never leaves a truncated file behind
+   * @param {object} snapshot
+   */
+  save(snapshot) {
+    const data = JSON.stringify(
+      {
+        version: STATE_VERSION,
+        savedAt: new Date().toISOString(),
+        ...snapshot,
+      },
+      null,
+      2
+    );
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, data, "utf8");
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (err) {
+      console.error("❌ Failed to save show state:", err.message);
+      try {
+        fs.unlinkSync(tmpPath);
+      } catch (cleanupErr) {
+        // Ignore
+      }
+    }
+  }
+
+  /**
+   * Read the last snapshot if there is a usable one
+   * @returns {object|null}
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) return null;
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (err) {
+      console.warn(`⚠️  Ignoring unreadable show state: ${err.message}`);
+      return null;
+    }
+
+    if (snapshot.version !== STATE_VERSION) {
+      console.warn(
+        `⚠️  Ignoring show state with version ${snapshot.version} (expected ${STATE_VERSION})`
+      );
+      return null;
+    }
+
+    const ageMinutes = (Date.now() - Date.parse(snapshot.savedAt)) / 60000;
+    if (!(ageMinutes <= this.maxAgeMinutes)) {
+      console.log(
+        `⏭️  Show state is ${Math.round(ageMinutes)} min old (max ${
+          this.maxAgeMinutes
+        }) - starting fresh`
+      );
+      return null;
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Snapshot on an interval until stop()
+   * @param {() => object} getSnapshot
+   */
+  start(getSnapshot) {
+    this.stop();
+    this.timer = setInterval(
+      () => this.save(getSnapshot()),
+      this.intervalSeconds * 1000
+    );
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Delete the snapshot (show finished cleanly - nothing to resume)
+   */
+  clear() {
+    try {
+      fs.unlinkSync(this.filePath);
+    } catch (err) {
+      // Already gone
+    }
+  }
+}
+
+export default ShowStateStore;
@@ -0,0 +1,400 @@
+/**
+ * Speech Segmenter
+ * Cuts host responses into chunks for TTS. Knows that "Dr. Sam", "U.S."
+ * and "3.5" don't end sentences, keeps [emotion] tags with the words they
+ * color, and balances chunk length: long enough to sound natural, short
+ * enough that the first one comes back from TTS quickly.
+ */
+
+import { normalizeEmotion } from "./EmotionBrackets.js";
+
+// Only matter before a capital letter - anything else never splits
+const ABBREVIATIONS = new Set([
+  "dr",
+  "mr",
+  "mrs",
+  "ms",
+  "prof",
+  "st",
+  "jr",
+  "sr",
+  "vs",
+  "mt",
+  "gen",
+  "sen",
+  "rep",
+  "gov",
+  "lt",
+  "sgt",
+  "capt",
+  "col",
+]);
+
+// Sentence punctuation, closing quotes/parens, then the gap to the next one
+const BOUNDARY = /([.!?…]+)(["'”’)]*)(\s+)/g;
+const TAG = /\[[^\[\]]*\]/g;
+const LEADING_TAG = /^\[([^\[\]]*)\]/;
+const TRAILING_TAG = /\s*\[[^\[\]]*\]$/;
+
+export const DEFAULT_SEGMENT_OPTIONS = {
+  minChars: 12, // Shorter chunks ("Wow!") ride along with the next one
+  maxChars: 240, // Longer ones are cut at a dash, semicolon or comma
+  maxFirstChars: 120, // The first chunk is kept short for fast first audio
+};
+
+/**
+ * @typedef {Object} Segment
+ * @property {string} text - Chunk as written (tags included)
+ * @property {string|null} emotion - Leading tag, or the one carried over from earlier chunks
+ */
+
+/**
+ * Split a response into TTS chunks
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.minChars]
+ * @param {number} [options.maxChars]
+ * @param {number} [options.maxFirstChars] - Cap for the first chunk (pass maxChars to disable)
+ * @param {string|null} [options.emotion] - Emotion carried in from before this text
+ * @returns {Segment[]}
+ */
+export function segmentText(text, options = {}) {
+  const {
+    minChars,
+    maxChars,
+    maxFirstChars,
+    emotion = null,
+  } = { ...DEFAULT_SEGMENT_OPTIONS, ...options };
+
+  let chunks = [];
+  let start = 0;
+  for (const end of findBoundaries(text)) {
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  chunks.push(text.slice(start));
+  chunks = chunks.map((chunk) => chunk.trim()).filter(Boolean);
+
+  chunks = attachTrailingTags(chunks);
+  chunks = mergeShort(chunks, minChars);
+
+  const sized = [];
+  chunks.forEach((chunk) => {
+    const limit = sized.length === 0 ? maxFirstChars : maxChars;
+    sized.push(...splitLong(chunk, limit, maxChars));
+  });
+
+  let carried = emotion;
+  return sized.map((chunk) => {
+    const segment = { text: chunk, emotion: carryEmotion(chunk, carried) };
+    carried = lastEmotion(chunk, segment.emotion);
+    return segment;
+  });
+}
+
+/**
+ * Emotion a chunk is spoken with: its own leading tag, else the carried one
+ * @param {string} text
+ * @param {string|null} carried
+ * @returns {string|null}
+ */
+export function carryEmotion(text, carried) {
+  const lead = text.match(LEADING_TAG);
+  return lead ? normalizeEmotion(lead[1]) || carried : carried;
+}
+
+/**
+ * Emotion still in effect after a chunk (its last tag)
+ * @param {string} text
+ * @param {string|null} current
+ * @returns {string|null}
+ */
+export function lastEmotion(text, current) {
+  const tags = text.match(TAG);
+  if (!tags) return current;
+  return normalizeEmotion(tags[tags.length - 1]) || current;
+}
+
+/**
+ * Text to hand TTS for a segment: untagged chunks get the emotion they
+ * inherit, so a whisper doesn't turn neutral at a sentence break
+ * @param {Segment} segment
+ * @returns {string}
+ */
+export function speechText(segment) {
+  if (!segment.emotion || LEADING_TAG.test(segment.text)) return segment.text;
+  return `[${segment.emotion}] ${segment.text}`;
+}
+
+/**
+ * Offsets where one sentence ends and the next begins. A boundary needs the
+ * next word's first character, so text still streaming in never splits on
+ * its own trailing punctuation.
+ * @param {string} text
+ * @returns {number[]}
+ */
+function findBoundaries(text) {
+  const boundaries = [];
+  for (const match of text.matchAll(BOUNDARY)) {
+    const [whole, punctuation, closers] = match;
+    const next = match.index + whole.length;
+    if (next >= text.length) {
+      // Nothing after the gap yet - can't tell what the next word is
+      continue;
+    }
+    if (isSentenceEnd(text, match.index, punctuation, closers, text[next])) {
+      boundaries.push(next);
+    }
+  }
+  return boundaries;
+}
+
+/**
+ * @param {string} text
+ * @param {number} at - Index of the punctuation
+ * @param {string} punctuation
+ * @param {string} closers - Closing quotes/parens after the punctuation
+ * @param {string} nextChar - First character of the following word
+ * @returns {boolean}
+ */
+function isSentenceEnd(text, at, punctuation, closers, nextChar) {
+  const lowercase = /[a-z]/.test(nextChar);
+
+  // "!" and "?" end a sentence even before a lowercase word - unless they
+  // close a quote ("Live free!" he said)
+  if (/[!?]/.test(punctuation)) return !(closers && lowercase);
+
+  // "." or an ellipsis before a lowercase word is mid-sentence
+  // ("etc. and", "I mean... whatever")
+  if (lowercase) return false;
+  if (punctuation !== ".") return true;
+
+  const word = text
+    .slice(0, at)
+    .match(/(\S+)$/)?.[1]
+    .replace(/^["'“‘(\[]+/, "");
+  if (!word) return true;
+
+  // Titles ("Dr. Sam"), initials ("J. Smith") and initialisms ("U.S. Army")
+  if (ABBREVIATIONS.has(word.toLowerCase())) return false;
+  if (/^[A-Z]$/.test(word)) return false;
+  if (/^(?:[A-Za-z]\.)+[A-Za-z]$/.test(word)) return false;
+  return true;
+}
+
+/**
+ * A tag at the end of a chunk colors what comes next, not what came before
+ * @param {string[]} chunks
+ * @returns {string[]}
+ */
+function attachTrailingTags(chunks) {
+  const out = [...chunks];
+  for (let i = 0; i < out.length - 1; i++) {
+    let match;
+    while ((match = out[i].match(TRAILING_TAG)) && match.index > 0) {
+      out[i + 1] = `${match[0].trim()} ${out[i + 1]}`;
+      out[i] = out[i].slice(0, match.index).trim();
+    }
+  }
+  return out.filter(Boolean);
+}
+
+/**
+ * @param {string[]} chunks
+ * @param {number} minChars
+ * @returns {string[]}
+ */
+function mergeShort(chunks, minChars) {
+  const out = [];
+  let pending = "";
+  for (const chunk of chunks) {
+    const joined = pending ? `${pending} ${chunk}` : chunk;
+    if (spokenLength(joined) < minChars) {
+      pending = joined;
+    } else {
+      out.push(joined);
+      pending = "";
+    }
+  }
+  if (pending) {
+    if (out.length > 0) {
+      out[out.length - 1] += ` ${pending}`;
+    } else {
+      out.push(pending);
+    }
+  }
+  return out;
+}
+
+/**
+ * Cut an over-long chunk at the last dash, semicolon, colon or comma that
+ * fits (else the last space), never inside a tag
+ * @param {string} chunk
+ * @param {number} firstLimit - Limit for the first piece
+ * @param {number} limit - Limit for the rest
+ * @returns {string[]}
+ */
+function splitLong(chunk, firstLimit, limit) {
+  const pieces = [];
+  let rest = chunk;
+  let max = firstLimit;
+
+  while (spokenLength(rest) > max) {
+    const cut = findCut(rest, max);
+    if (cut <= 0) break;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+    max = limit;
+  }
+  pieces.push(rest);
+  return pieces.filter(Boolean);
+}
+
+/**
+ * @param {string} text
+ * @param {number} max - Spoken characters allowed before the cut
+ * @returns {number} Offset to cut at, or -1
+ */
+function findCut(text, max) {
+  // Map the spoken-length limit to an offset in the raw text
+  let spoken = 0;
+  let limit = text.length;
+  let inTag = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "[") inTag = true;
+    if (!inTag && ++spoken > max) {
+      limit = i;
+      break;
+    }
+    if (text[i] === "]") inTag = false;
+  }
+
+  const window = text.slice(0, limit);
+  const clause = /(—|--|\s-\s|[;:,])\s*/g;
+  let best = -1;
+  for (const match of window.matchAll(clause)) {
+    const end = match.index + match[0].length;
+    if (end < window.length && !insideTag(text, match.index)) best = end;
+  }
+  if (best > 0) return best;
+
+  const space = window.lastIndexOf(" ");
+  return space > 0 && !insideTag(text, space) ? space : -1;
+}
+
+function insideTag(text, index) {
+  const open = text.lastIndexOf("[", index);
+  return open !== -1 && text.lastIndexOf("]", index) < open;
+}
+
+function spokenLength(text) {
+  return text.replace(TAG, "").trim().length;
+}
+
+/**
+ * Cuts segments out of an LLM token stream as soon as they are certain,
+ * using the same rules as segmentText(). Tokens are pushed in by the
+ * producer; the playback engine reads segments out with for await.
+ */
+export class SentenceStream {
+  /**
+   * @param {object} [options]
+   * @param {(text: string, index: number) => string} [options.transform] - Applied to each segment's text as it is cut (e.g. bracket repair)
+   * @param {object} [options.segment] - Overrides for DEFAULT_SEGMENT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.transform = options.transform || ((text) => text);
+    this.segmentOptions = options.segment || {};
+    this.buffer = ""; // Text after the last segment handed out
+    this.segments = [];
+    this.emotion = null; // Carried into the next segment
+    this.ended = false;
+    this.error = null;
+    this.waiting = null; // Wakes a reader blocked on the next segment
+  }
+
+  /**
+   * @param {string} token - Next chunk of model output
+   */
+  push(token) {
+    this.buffer += token;
+    const pending = this._segment();
+    if (pending.length < 2) return;
+
+    // The last chunk may still grow - keep it (and any trailing space)
+    const held = pending.pop();
+    pending.forEach((segment) => this._add(segment.text));
+    this.buffer = held.text + (/\s$/.test(this.buffer) ? " " : "");
+  }
+
+  /**
+   * The model is done - whatever is left is the last segment
+   */
+  end() {
+    this._segment().forEach((segment) => this._add(segment.text));
+    this.buffer = "";
+    this.ended = true;
+    this._wake();
+  }
+
+  /**
+   * The model stream broke - readers get the error after the segments so far
+   * @param {Error} err
+   */
+  fail(err) {
+    this.error = err;
+    this.ended = true;
+    this._wake();
+  }
+
+  /**
+   * @returns {string} Every segment cut so far, as it will be spoken
+   */
+  get text() {
+    return this.segments.map((segment) => segment.text).join(" ");
+  }
+
+  _segment() {
+    return segmentText(this.buffer, {
+      ...this.segmentOptions,
+      // Only the response's first chunk gets the short first-audio cap
+      ...(this.segments.length > 0 && {
+        maxFirstChars:
+          this.segmentOptions.maxChars || DEFAULT_SEGMENT_OPTIONS.maxChars,
+      }),
+    });
+  }
+
+  _add(text) {
+    const cut = this.transform(text, this.segments.length);
+    if (!cut) return;
+    // Emotion comes from the text as repaired, so a dropped tag isn't carried
+    const emotion = carryEmotion(cut, this.emotion);
+    this.emotion = lastEmotion(cut, emotion);
+    this.segments.push({ text: cut, emotion });
+    this._wake();
+  }
+
+  _wake() {
+    if (this.waiting) {
+      const wake = this.waiting;
+      this.waiting = null;
+      wake();
+    }
+  }
+
+  async *[Symbol.asyncIterator]() {
+    for (let i = 0; ; ) {
+      if (i < this.segments.length) {
+        yield this.segments[i++];
+      } else if (this.ended) {
+        if (this.error) throw this.error;
+        return;
+      } else {
+        await new Promise((resolve) => (this.waiting = resolve));
+      }
+    }
+  }
+}
+
+export default { segmentText, speechText, SentenceStream };
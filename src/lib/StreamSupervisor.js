@@ -0,0 +1,209 @@
+/**
+ * Stream Supervisor
+ * Keeps the RTMP encoder (see plugins/twitch-streamer.js) alive. When
+ * ffmpeg exits on its own it is restarted with exponential backoff, while
+ * the show carries on - the mixer keeps running and the stream picks the
+ * program back up. An encoder that is still running but has stopped making
+ * progress is killed and restarted the same way.
+ */
+
+import { EventEmitter } from "events";
+
+const CHECK_INTERVAL_MS = 5000;
+
+export class StreamSupervisor extends EventEmitter {
+  /**
+   * @param {import("../plugins/twitch-streamer.js").TwitchStreamer} streamer
+   * @param {object} [config]
+   * @param {number} [config.baseDelayMs] - First restart delay, doubled each
+   *   time (default STREAM_RESTART_DELAY_MS or 1000)
+   * @param {number} [config.maxDelayMs] - Longest restart delay (default STREAM_RESTART_MAX_DELAY_MS or 60000)
+   * @param {number} [config.maxRestarts] - Restarts in a row before giving up
+   *   (default STREAM_MAX_RESTARTS or 0 - never give up)
+   * @param {number} [config.stallSeconds] - No progress for this long counts
+   *   as a stall (default STREAM_STALL_SECONDS or 20)
+   * @param {number} [config.stableSeconds] - Up this long resets the backoff (default 60)
+   */
+  constructor(streamer, config = {}) {
+    super();
+    this.streamer = streamer;
+    this.baseDelayMs =
+      config.baseDelayMs ?? Number(process.env.STREAM_RESTART_DELAY_MS || 1000);
+    this.maxDelayMs =
+      config.maxDelayMs ??
+      Number(process.env.STREAM_RESTART_MAX_DELAY_MS || 60000);
+    this.maxRestarts =
+      config.maxRestarts ?? Number(process.env.STREAM_MAX_RESTARTS || 0);
+    this.stallMs =
+      (config.stallSeconds ?? Number(process.env.STREAM_STALL_SECONDS || 20)) *
+      1000;
+    this.stableMs = (config.stableSeconds ?? 60) * 1000;
+
+    this.state = "stopped"; // running, restarting, stopped or failed
+    this.startedAt = null; // Current run
+    this.supervisedSince = null;
+    this.restarts = 0; // Total since start()
+    this.attempt = 0; // Restarts in a row, for the backoff
+    this.lastExit = null;
+    this.lastProgress = null;
+    this.lastProgressAt = null; // When the output time last moved
+    this.stallReason = null; // Set when we killed it ourselves
+    this.retryTimer = null;
+    this.retryAt = null;
+    this.checkInterval = null;
+
+    this._onStopped = (exit) => this._handleExit(exit);
+    this._onProgress = (progress) => this._handleProgress(progress);
+    this._onError = (err) => console.error("❌ Stream encoder error:", err.message);
+  }
+
+  /**
+   * Start watching a streamer that has already been started
+   */
+  start() {
+    this.streamer.on("stopped", this._onStopped);
+    this.streamer.on("progress", this._onProgress);
+    this.streamer.on("error", this._onError);
+    this.supervisedSince = Date.now();
+    this._markRunning();
+    this.checkInterval = setInterval(() => this._checkStall(), CHECK_INTERVAL_MS);
+  }
+
+  /**
+   * Stop watching (the streamer itself is stopped by its owner)
+   */
+  stop() {
+    clearInterval(this.checkInterval);
+    this.checkInterval = null;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.streamer.off("stopped", this._onStopped);
+    this.streamer.off("progress", this._onProgress);
+    this.streamer.off("error", this._onError);
+    this.state = "stopped";
+  }
+
+  getStatus() {
+    const now = Date.now();
+    return {
+      state: this.state,
+      uptimeMs: this.state === "running" ? now - this.startedAt : 0,
+      supervisedMs: this.supervisedSince ? now - this.supervisedSince : 0,
+      restarts: this.restarts,
+      lastExit: this.lastExit,
+      nextRetryMs: this.retryAt ? Math.max(0, this.retryAt - now) : null,
+      progress: this.lastProgress,
+    };
+  }
+
+  _markRunning() {
+    this.state = "running";
+    this.startedAt = Date.now();
+    this.lastProgress = null;
+    this.lastProgressAt = this.startedAt; // Connecting counts toward a stall
+  }
+
+  /**
+   * @param {{frame: number|null, timeMs: number|null, speed: number|null}} progress
+   */
+  _handleProgress(progress) {
+    const previous = this.lastProgress?.timeMs ?? -1;
+    this.lastProgress = progress;
+    if (progress.timeMs !== null && progress.timeMs > previous) {
+      this.lastProgressAt = Date.now();
+    }
+  }
+
+  _checkStall() {
+    if (this.state !== "running") return;
+    const stalledMs = Date.now() - this.lastProgressAt;
+    if (stalledMs < this.stallMs) return;
+
+    console.error(
+      `🧊 Stream encoder stalled (no progress for ${Math.round(
+        stalledMs / 1000
+      )}s) - restarting`
+    );
+    this.stallReason = "stalled";
+    if (this.streamer.streaming) {
+      this.streamer.kill();
+    } else {
+      // Its exit was missed - nothing left to kill
+      this._handleExit({ code: null, signal: null, unexpected: true });
+    }
+  }
+
+  /**
+   * @param {{code: number|null, signal: string|null, unexpected: boolean}} exit
+   */
+  _handleExit({ code, signal, unexpected }) {
+    if (!unexpected || this.state !== "running") return;
+
+    const uptimeMs = Date.now() - this.startedAt;
+    const reason = this.stallReason || describeExit(code, signal);
+    this.stallReason = null;
+    this.lastExit = { code, signal, reason, uptimeMs, at: new Date().toISOString() };
+
+    // A run that stayed up a while starts the backoff over
+    if (uptimeMs >= this.stableMs) this.attempt = 0;
+    this._scheduleRestart(reason);
+  }
+
+  /**
+   * @param {string} reason
+   */
+  _scheduleRestart(reason) {
+    if (this.maxRestarts > 0 && this.attempt >= this.maxRestarts) {
+      console.error(
+        `🚨 Stream encoder gave up after ${this.attempt} restarts in a row`
+      );
+      this.state = "failed";
+      this.emit("failed", this.lastExit);
+      return;
+    }
+
+    const delayMs = Math.min(
+      this.maxDelayMs,
+      this.baseDelayMs * 2 ** this.attempt
+    );
+    this.attempt++;
+    this.state = "restarting";
+    this.retryAt = Date.now() + delayMs;
+    console.log(
+      `🔁 Restarting stream encoder in ${(delayMs / 1000).toFixed(1)}s (${reason}, attempt ${this.attempt})`
+    );
+    this.emit("restarting", { attempt: this.attempt, delayMs, reason });
+    this.retryTimer = setTimeout(() => this._restart(), delayMs);
+  }
+
+  async _restart() {
+    this.retryTimer = null;
+    this.retryAt = null;
+    this.restarts++;
+    this._markRunning(); // Before start(), so an instant exit is caught
+    try {
+      await this.streamer.start();
+    } catch (err) {
+      // Nothing was spawned, so no "stopped" will follow - back off again
+      console.error("❌ Stream encoder restart failed:", err.message);
+      this._scheduleRestart(`restart failed: ${err.message}`);
+      return;
+    }
+    if (this.state !== "running") return; // Already exited again
+    console.log(`✅ Stream encoder restarted (${this.restarts} restarts so far)`);
+    this.emit("restarted", { restarts: this.restarts });
+  }
+}
+
+/**
+ * @param {number|null} code
+ * @param {string|null} signal
+ * @returns {string}
+ */
+function describeExit(code, signal) {
+  if (signal) return `killed by ${signal}`;
+  if (code === null) return "failed to start";
+  return `exit ${code}`;
+}
+
+export default StreamSupervisor;
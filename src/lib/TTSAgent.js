@@ -1,29 +1,49 @@
 /**
  * TTS-based Podcast Agent
  * Uses separate LLM + TTS instead of realtime API
- * Supports both preset voices (XAITTSPlugin) and voice cloning (XAITTSClonePlugin)
+ * Speech goes through a failover chain of TTS providers (see TTSProvider.js)
  */
 
 import { XAILLMPlugin } from "../plugins/xai-llm.js";
-import { XAITTSPlugin } from "../plugins/xai-tts.js";
-import { XAITTSClonePlugin } from "../plugins/xai-tts-clone.js";
+import { createTTSChain } from "./TTSProvider.js";
+import { PlaybackEngine } from "./PlaybackEngine.js";
+import { SentenceStream, segmentText } from "./SpeechSegmenter.js";
+import {
+  getEmotionVocabulary,
+  getRepairPrompt,
+  repairBrackets,
+  validateBrackets,
+} from "./EmotionBrackets.js";
+
+/** @typedef {import("./SpeechSegmenter.js").Segment} Segment */
 
 const RESET_COLOR = "\x1b[0m";
 
 export class TTSAgent {
-  constructor(config, topic) {
+  /**
+   * @param {object} config - Host config (name, personality, voice, color)
+   * @param {string} topic - Show topic
+   * @param {object} [options]
+   * @param {import("./HostMemory.js").HostMemoryStore} [options.hostMemory] - Memories from past shows
+   * @param {import("./AudioClock.js").AudioClock} [options.clock] - Where the host's audio is played (their mixer channel)
+   * @param {import("./ProfanityFilter.js").ProfanityFilter} [options.censor] - Censors lines for clean outputs
+   */
+  constructor(config, topic, options = {}) {
     this.config = config;
     this.topic = topic;
+    this.hostMemory = options.hostMemory || null;
     this.isActive = false;
     this.isSpeaking = false;
-    this.audioPlaying = false;
     this.currentTranscript = "";
     this.wasInterrupted = false;
     this.interruptionChance = parseFloat(
       process.env.AI_INTERRUPTION_CHANCE || "0.0"
     );
-    this.shouldPlayAudio = true;
     this.conversationHistory = [];
+    this.emotionVocab = getEmotionVocabulary(
+      config.personality,
+      config.emotions
+    );
 
     // Create LLM connection
     this.llm = new XAILLMPlugin({
@@ -32,20 +52,19 @@ export class TTSAgent {
       temperature: 0.9,
     });
 
-    // Create TTS connection - use voice cloning if voiceFile is specified
-    if (config.voiceFile) {
-      this.tts = new XAITTSClonePlugin({
-        apiKey: process.env.XAI_API_KEY,
-        voiceFile: config.voiceFile,
-        instructions: config.voiceInstructions || "audio",
-      });
-      this.useVoiceCloning = true;
-    } else {
-      this.tts = new XAITTSPlugin({
-        apiKey: process.env.XAI_API_KEY,
-        voiceId: config.voiceId,
-      });
-      this.useVoiceCloning = false;
+    // TTS failover chain - cloned/preset cloud voice, then the local engine
+    this.tts = createTTSChain(config);
+
+    // Every spoken line goes through one engine (see PlaybackEngine.js)
+    this.playback = new PlaybackEngine({
+      name: config.name,
+      tts: this.tts,
+      color: config.color,
+      clock: options.clock,
+      censor: options.censor,
+    });
+    for (const event of ["audio", "subtitle", "finished"]) {
+      this.playback.on(event, (data) => this.emit(event, data));
     }
 
     // Few-shot examples for emotion brackets
@@ -74,28 +93,28 @@ IMPORTANT: Pay attention to the [emotion brackets] in your co-host's dialogue! R
   }
 
   async initialize() {
-    // Initialize TTS plugin (loads voice file for cloning)
-    if (this.tts.initialize) {
-      await this.tts.initialize();
-    }
+    // Initialize TTS providers (loads voice file for cloning, drops any
+    // provider that can't start)
+    await this.tts.initialize();
 
-    const modeStr = this.useVoiceCloning ? "voice cloning" : "preset voice";
     console.log(
-      `${this.config.color}✅ ${this.config.name} initialized (LLM + TTS, ${modeStr})${RESET_COLOR}`
+      `${this.config.color}✅ ${this.config.name} initialized (LLM + TTS: ${this.tts.names.join(
+        " → "
+      )})${RESET_COLOR}`
     );
   }
 
   async generateResponseOnly(prompt) {
     // Just generate text response, don't speak it
     const messages = [
-      { role: "system", content: this.systemPrompt },
+      { role: "system", content: this.getSystemPrompt(prompt) },
       ...this.conversationHistory,
       { role: "user", content: prompt },
     ];
 
     try {
       const response = await this.llm.chat(messages);
-      return response;
+      return await this.checkBrackets(response, messages);
     } catch (error) {
       console.error(
         `${this.config.color}❌ ${this.config.name} pre-gen error:${RESET_COLOR}`,
@@ -105,300 +124,13 @@ IMPORTANT: Pay attention to the [emotion brackets] in your co-host's dialogue! R
     }
   }
 
-  async speakPreGenerated(text, audioBuffer, addToHistory = true) {
-    this.isActive = true;
-    this.isSpeaking = true;
-    this.shouldPlayAudio = true;
-    this.wasInterrupted = false;
-
-    try {
-      this.currentTranscript = text;
-      console.log(
-        `${this.config.color}${this.config.name}:${RESET_COLOR} ${text}`
-      );
-
-      // Add to history
-      if (addToHistory) {
-        this.conversationHistory.push({ role: "assistant", content: text });
-
-        if (this.conversationHistory.length > 12) {
-          this.conversationHistory = this.conversationHistory.slice(-12);
-        }
-      }
-
-      // Play pre-generated audio in chunks
-      if (this.shouldPlayAudio) {
-        console.log(
-          `${this.config.color}🔊 Playing pre-generated audio (${audioBuffer.length} bytes)${RESET_COLOR}`
-        );
-
-        this.audioPlaying = true;
-
-        // Split into 100ms chunks to prevent buffer overflow
-        const chunkSize = 4800; // 100ms at 24kHz, 16-bit
-        for (let i = 0; i < audioBuffer.length; i += chunkSize) {
-          if (this.wasInterrupted || !this.shouldPlayAudio) break;
-
-          const chunk = audioBuffer.slice(i, i + chunkSize);
-          this.emit("audio", chunk);
-        }
-
-        // Calculate duration
-        const durationMs = (audioBuffer.length / (24000 * 2)) * 1000;
-
-        // Remove emotion brackets from subtitle text
-        let cleanText = text.replace(/\[.*?\]/g, "").trim();
-        cleanText = cleanText.toLowerCase();
-        cleanText = cleanText.charAt(0).toUpperCase() + cleanText.slice(1);
-
-        // Emit subtitle event
-        this.emit("subtitle", {
-          name: this.config.name,
-          text: cleanText,
-          duration: durationMs,
-        });
-
-        // Wait for audio to finish
-        await new Promise((resolve) => {
-          const checkInterval = setInterval(() => {
-            if (this.wasInterrupted || !this.shouldPlayAudio) {
-              clearInterval(checkInterval);
-              resolve();
-            }
-          }, 100);
-
-          setTimeout(() => {
-            clearInterval(checkInterval);
-            resolve();
-          }, durationMs);
-        });
-
-        this.audioPlaying = false;
-        this.emit("finished");
-      }
-    } catch (error) {
-      console.error(
-        `${this.config.color}❌ ${this.config.name} error:${RESET_COLOR}`,
-        error.message
-      );
-      throw error;
-    } finally {
-      this.isActive = false;
-      this.isSpeaking = false;
-      this.currentTranscript = "";
-    }
-  }
-
-  async speak(prompt, addToHistory = true, preGeneratedResponse = null) {
-    this.isActive = true;
-    this.isSpeaking = true;
-    this.shouldPlayAudio = true;
-    this.wasInterrupted = false;
-
-    try {
-      let response;
-      let llmTime = 0;
-
-      // Use pre-generated response if available
-      if (preGeneratedResponse) {
-        response = preGeneratedResponse;
-        console.log(
-          `${this.config.color}⚡ ${this.config.name} using pre-generated response${RESET_COLOR}`
-        );
-      } else {
-        // Build messages
-        const messages = [
-          { role: "system", content: this.systemPrompt },
-          ...this.conversationHistory,
-          { role: "user", content: prompt },
-        ];
-
-        // Get LLM response
-        console.log(
-          `${this.config.color}💭 ${this.config.name} thinking...${RESET_COLOR}`
-        );
-
-        const startTime = Date.now();
-        response = await this.llm.chat(messages);
-        llmTime = Date.now() - startTime;
-      }
-
-      this.currentTranscript = response;
-      console.log(
-        `${this.config.color}${this.config.name}:${RESET_COLOR} ${response}`
-      );
-      console.log(`${this.config.color}⏱️  LLM: ${llmTime}ms${RESET_COLOR}`);
-
-      // Add to history
-      if (addToHistory) {
-        this.conversationHistory.push(
-          { role: "user", content: prompt },
-          { role: "assistant", content: response }
-        );
-
-        // Keep history manageable (last 6 messages)
-        if (this.conversationHistory.length > 12) {
-          this.conversationHistory = this.conversationHistory.slice(-12);
-        }
-      }
-
-      // Generate audio (start immediately, no extra delay)
-      if (this.shouldPlayAudio) {
-        console.log(`${this.config.color}🎵 Generating audio...${RESET_COLOR}`);
-        const ttsStart = Date.now();
-        const audioBuffer = await this.tts.synthesize(response);
-        const ttsTime = Date.now() - ttsStart;
-        console.log(
-          `${this.config.color}⏱️  Generated TTS: ${ttsTime}ms (${audioBuffer.length} bytes)${RESET_COLOR}`
-        );
-
-        this.audioPlaying = true;
-        this.emit("audio", audioBuffer);
-
-        // Calculate duration
-        const durationMs = (audioBuffer.length / (24000 * 2)) * 1000;
-
-        // Remove emotion brackets from subtitle text
-        let cleanText = response.replace(/\[.*?\]/g, "").trim();
-
-        // Convert to normal case (lowercase with first letter capitalized)
-        cleanText = cleanText.toLowerCase();
-        cleanText = cleanText.charAt(0).toUpperCase() + cleanText.slice(1);
-
-        // Emit subtitle event with timing info
-        this.emit("subtitle", {
-          name: this.config.name,
-          text: cleanText,
-          duration: durationMs,
-        });
-
-        // Wait for audio to finish (or be interrupted)
-        await new Promise((resolve) => {
-          const checkInterval = setInterval(() => {
-            if (this.wasInterrupted || !this.shouldPlayAudio) {
-              clearInterval(checkInterval);
-              resolve();
-            }
-          }, 100);
-
-          setTimeout(() => {
-            clearInterval(checkInterval);
-            resolve();
-          }, durationMs);
-        });
-
-        this.audioPlaying = false;
-        this.emit("finished"); // Signal that audio is done
-      }
-    } catch (error) {
-      console.error(
-        `${this.config.color}❌ ${this.config.name} error:${RESET_COLOR}`,
-        error.message
-      );
-      throw error;
-    } finally {
-      this.isActive = false;
-      this.isSpeaking = false;
-      this.currentTranscript = "";
-    }
-  }
-
-  // Speak using external shared history (prompt already contains context)
-  async speakWithHistory(prompt) {
-    this.isActive = true;
-    this.isSpeaking = true;
-    this.shouldPlayAudio = true;
-    this.wasInterrupted = false;
-
-    try {
-      // Build messages - use system prompt + external prompt (no internal history)
-      const messages = [
-        { role: "system", content: this.systemPrompt },
-        { role: "user", content: prompt },
-      ];
-
-      // Get LLM response
-      console.log(
-        `${this.config.color}💭 ${this.config.name} thinking...${RESET_COLOR}`
-      );
-
-      const startTime = Date.now();
-      const response = await this.llm.chat(messages);
-      const llmTime = Date.now() - startTime;
-
-      this.currentTranscript = response;
-      console.log(
-        `${this.config.color}${this.config.name}:${RESET_COLOR} ${response}`
-      );
-      console.log(`${this.config.color}⏱️  LLM: ${llmTime}ms${RESET_COLOR}`);
-
-      // Generate audio
-      if (this.shouldPlayAudio) {
-        console.log(`${this.config.color}🎵 Generating audio...${RESET_COLOR}`);
-        const ttsStart = Date.now();
-        const audioBuffer = await this.tts.synthesize(response);
-        const ttsTime = Date.now() - ttsStart;
-        console.log(
-          `${this.config.color}⏱️  Generated TTS: ${ttsTime}ms (${audioBuffer.length} bytes)${RESET_COLOR}`
-        );
-
-        this.audioPlaying = true;
-        this.emit("audio", audioBuffer);
-
-        // Calculate duration
-        const durationMs = (audioBuffer.length / (24000 * 2)) * 1000;
-
-        // Remove emotion brackets from subtitle text
-        let cleanText = response.replace(/\[.*?\]/g, "").trim();
-        cleanText = cleanText.toLowerCase();
-        cleanText = cleanText.charAt(0).toUpperCase() + cleanText.slice(1);
-
-        // Emit subtitle event
-        this.emit("subtitle", {
-          name: this.config.name,
-          text: cleanText,
-          duration: durationMs,
-        });
-
-        // Wait for audio to finish (or be interrupted)
-        await new Promise((resolve) => {
-          const checkInterval = setInterval(() => {
-            if (this.wasInterrupted || !this.shouldPlayAudio) {
-              clearInterval(checkInterval);
-              resolve();
-            }
-          }, 100);
-
-          setTimeout(() => {
-            clearInterval(checkInterval);
-            resolve();
-          }, durationMs);
-        });
-
-        this.audioPlaying = false;
-        this.emit("finished");
-      }
-
-      return response;
-    } catch (error) {
-      console.error(
-        `${this.config.color}❌ ${this.config.name} error:${RESET_COLOR}`,
-        error.message
-      );
-      throw error;
-    } finally {
-      this.isActive = false;
-      this.isSpeaking = false;
-    }
-  }
-
   // Generate text response only (for pipelined conversation)
   async generateResponse(prompt) {
     this.isActive = true;
     this.wasInterrupted = false;
 
     const messages = [
-      { role: "system", content: this.systemPrompt },
+      { role: "system", content: this.getSystemPrompt(prompt) },
       { role: "user", content: prompt },
     ];
 
@@ -407,7 +139,10 @@ IMPORTANT: Pay attention to the [emotion brackets] in your co-host's dialogue! R
     );
 
     const startTime = Date.now();
-    const response = await this.llm.chat(messages);
+    const response = await this.checkBrackets(
+      await this.llm.chat(messages),
+      messages
+    );
     const llmTime = Date.now() - startTime;
 
     this.currentTranscript = response;
@@ -419,527 +154,199 @@ IMPORTANT: Pay attention to the [emotion brackets] in your co-host's dialogue! R
     return response;
   }
 
-  // Generate TTS and play audio for already-generated text (for pipelined conversation)
-  async playAudio(text) {
-    if (!text || this.wasInterrupted) return;
-
-    this.isSpeaking = true;
-    this.shouldPlayAudio = true;
-
-    try {
-      console.log(`${this.config.color}🎵 Generating audio...${RESET_COLOR}`);
-      const ttsStart = Date.now();
-      const audioBuffer = await this.tts.synthesize(text);
-      const ttsTime = Date.now() - ttsStart;
-      console.log(
-        `${this.config.color}⏱️  Generated TTS: ${ttsTime}ms (${audioBuffer.length} bytes)${RESET_COLOR}`
-      );
-
-      if (this.wasInterrupted) return;
-
-      const durationMs = (audioBuffer.length / (24000 * 2)) * 1000;
-      const playStartTime = Date.now();
-
-      console.log(
-        `${this.config.color}▶️  PLAY START: fresh audio (${
-          audioBuffer.length
-        } bytes, ${durationMs.toFixed(0)}ms duration)${RESET_COLOR}`
-      );
+  /**
+   * Make sure a response follows the emotion bracket format. A reply with
+   * no tags at all is sent back once for a rewrite; anything else (or a
+   * rewrite that still misses) is repaired in place.
+   * @param {string} response
+   * @param {Array<object>} messages - The request that produced it
+   * @returns {Promise<string>}
+   */
+  async checkBrackets(response, messages) {
+    const check = validateBrackets(response, this.emotionVocab);
+    if (check.valid) return response;
 
-      this.audioPlaying = true;
-      this.emit("audio", audioBuffer);
+    console.log(
+      `${this.config.color}🎭 ${this.config.name} bracket problems: ${check.problems.join(
+        "; "
+      )}${RESET_COLOR}`
+    );
 
-      // Subtitle - clean up emotion brackets
-      let cleanText = text.replace(/\[.*?\]/g, "").trim();
-      cleanText = cleanText.toLowerCase();
-      cleanText = cleanText.charAt(0).toUpperCase() + cleanText.slice(1);
+    let fixed = response;
+    if (check.problems.includes("no emotion tags")) {
+      try {
+        const retry = await this.llm.chat([
+          ...messages,
+          { role: "assistant", content: response },
+          {
+            role: "user",
+            content: getRepairPrompt(check.problems, this.emotionVocab),
+          },
+        ]);
+        const retryCheck = validateBrackets(retry, this.emotionVocab);
+        if (!retryCheck.problems.includes("no emotion tags")) {
+          fixed = retry;
+        }
+      } catch (error) {
+        console.error(
+          `${this.config.color}❌ ${this.config.name} bracket re-prompt failed:${RESET_COLOR}`,
+          error.message
+        );
+      }
+    }
 
-      this.emit("subtitle", {
-        name: this.config.name,
-        text: cleanText,
-        duration: durationMs,
-      });
+    return repairBrackets(fixed, this.emotionVocab);
+  }
 
-      // Wait for audio to finish (or be interrupted)
-      await new Promise((resolve) => {
-        const checkInterval = setInterval(() => {
-          if (this.wasInterrupted || !this.shouldPlayAudio) {
-            clearInterval(checkInterval);
-            resolve();
-          }
-        }, 100);
-
-        setTimeout(() => {
-          clearInterval(checkInterval);
-          resolve();
-        }, durationMs);
-      });
+  /**
+   * Generate and speak a response at once: sentences are cut from the LLM
+   * token stream as they complete and go straight to TTS, so the first one
+   * airs while the model is still writing the rest
+   * @param {string} prompt
+   * @param {object} [options]
+   * @param {() => boolean} [options.checkInterruption] - Stop once this returns true
+   * @returns {{text: Promise<string>, done: Promise<boolean>}} text resolves
+   *   with the full response when the model finishes (rejects if the stream
+   *   fails - the error's partialText is what was cut before it broke); done
+   *   resolves when playback ends - true if completed
+   */
+  streamResponse(prompt, options = {}) {
+    this.isActive = true;
+    this.wasInterrupted = false;
 
-      const playEndTime = Date.now();
-      console.log(
-        `${this.config.color}⏹️  PLAY END: actually waited ${
-          playEndTime - playStartTime
-        }ms${RESET_COLOR}`
-      );
+    const messages = [
+      { role: "system", content: this.getSystemPrompt(prompt) },
+      { role: "user", content: prompt },
+    ];
 
-      this.audioPlaying = false;
-      this.emit("finished");
-    } finally {
-      this.isSpeaking = false;
-      this.isActive = false;
-    }
-  }
+    console.log(
+      `${this.config.color}💭 ${this.config.name} thinking (streaming)...${RESET_COLOR}`
+    );
 
-  // Play pre-generated audio buffer (skips TTS entirely - for pipelined conversation)
-  async playPreGeneratedAudio(text, audioBuffer) {
-    if (!audioBuffer || this.wasInterrupted) return;
+    const startTime = Date.now();
+    // Too late to re-prompt once a sentence is on air - repair each one
+    // as it is cut instead
+    const sentences = new SentenceStream({
+      transform: (sentence, index) =>
+        repairBrackets(sentence, this.emotionVocab, {
+          requireOpener: index === 0,
+        }),
+    });
 
-    this.isSpeaking = true;
-    this.shouldPlayAudio = true;
-    this.currentTranscript = text;
+    // Keep reading to the end even if playback is interrupted, so the full
+    // response still makes it into the show history
+    const text = (async () => {
+      try {
+        for await (const token of this.llm.streamChat(messages)) {
+          sentences.push(token);
+        }
+        sentences.end();
+      } catch (error) {
+        sentences.fail(error);
+        error.partialText = sentences.text;
+        throw error;
+      }
 
-    try {
-      const durationMs = (audioBuffer.length / (24000 * 2)) * 1000 - 2000;
-      const playStartTime = Date.now();
+      const response = sentences.text;
 
+      this.currentTranscript = response;
       console.log(
-        `${this.config.color}▶️  PLAY START: pre-gen audio (${
-          audioBuffer.length
-        } bytes, ${durationMs.toFixed(0)}ms duration)${RESET_COLOR}`
+        `${this.config.color}${this.config.name}:${RESET_COLOR} ${response}`
       );
-
-      if (this.wasInterrupted) return;
-
-      this.audioPlaying = true;
-      this.emit("audio", audioBuffer);
-
-      // Subtitle - clean up emotion brackets
-      let cleanText = text.replace(/\[.*?\]/g, "").trim();
-      cleanText = cleanText.toLowerCase();
-      cleanText = cleanText.charAt(0).toUpperCase() + cleanText.slice(1);
-
-      this.emit("subtitle", {
-        name: this.config.name,
-        text: cleanText,
-        duration: durationMs,
-      });
-
-      // Wait for audio to finish (or be interrupted)
-      await new Promise((resolve) => {
-        const checkInterval = setInterval(() => {
-          if (this.wasInterrupted || !this.shouldPlayAudio) {
-            clearInterval(checkInterval);
-            resolve();
-          }
-        }, 100);
-
-        setTimeout(() => {
-          clearInterval(checkInterval);
-          resolve();
-        }, durationMs);
-      });
-
-      const playEndTime = Date.now();
       console.log(
-        `${this.config.color}⏹️  PLAY END: actually waited ${
-          playEndTime - playStartTime
+        `${this.config.color}⏱️  LLM (streamed): ${
+          Date.now() - startTime
         }ms${RESET_COLOR}`
       );
+      return response;
+    })();
 
-      this.audioPlaying = false;
-      this.emit("finished");
-    } finally {
-      this.isSpeaking = false;
-      this.isActive = false;
-    }
-  }
-
-  async interrupt() {
-    this.wasInterrupted = true;
-    this.shouldPlayAudio = false;
-    this.audioPlaying = false;
-    console.log(
-      `${this.config.color}⚡ ${this.config.name} interrupted!${RESET_COLOR}`
-    );
-  }
+    // A broken stream still plays what it had, but the turn isn't complete
+    const done = this._speak(sentences, {
+      checkInterruption: options.checkInterruption,
+      startedAt: startTime,
+    }).then((completed) => completed && !sentences.error);
 
-  getName() {
-    return this.config.name;
+    return { text, done };
   }
 
   /**
-   * Split text into sentences for sentence-by-sentence playback
-   * Handles emotion brackets like [laughs] that shouldn't be split
+   * Speak an already-generated response
+   * @param {string} text
+   * @param {object} [options]
+   * @param {Buffer} [options.firstSentenceAudio] - From prefetchFirstSentence()
+   * @param {() => boolean} [options.checkInterruption] - Stop once this returns true
+   * @returns {Promise<boolean>} True if completed, false if interrupted
    */
-  splitIntoSentences(text) {
-    // Match sentences ending with . ! ? followed by space or end
-    // But preserve emotion brackets that might span sentences
-    const sentences = [];
-
-    // Split on sentence-ending punctuation followed by space or end
-    const parts = text.split(/(?<=[.!?])\s+/);
-
-    for (const part of parts) {
-      const trimmed = part.trim();
-      if (trimmed) {
-        sentences.push(trimmed);
-      }
-    }
-
-    // If no sentences found, return the whole text as one
-    if (sentences.length === 0 && text.trim()) {
-      sentences.push(text.trim());
-    }
+  async say(text, options = {}) {
+    if (!text || this.wasInterrupted) return false;
 
-    return sentences;
+    this.currentTranscript = text;
+    return this._speak(segmentText(text), options);
   }
 
   /**
-   * Play audio sentence-by-sentence with interruption checks between sentences.
-   * Generates ALL audio upfront, then plays with overlap for seamless playback.
-   *
-   * @param {string} text - Full text to speak
-   * @param {Function} checkInterruption - Callback that returns true if interrupted
-   * @returns {Promise<boolean>} - Returns true if completed, false if interrupted
+   * @param {Iterable<Segment>|AsyncIterable<Segment>} sentences
+   * @param {object} options - See say(); startedAt is passed to the engine
+   * @returns {Promise<boolean>}
    */
-  async playAudioSentenceBySentence(text, checkInterruption) {
-    if (!text || this.wasInterrupted) return false;
-
-    const sentences = this.splitIntoSentences(text);
-    console.log(
-      `${this.config.color}📝 Split into ${sentences.length} sentences${RESET_COLOR}`
-    );
-
-    if (sentences.length === 0) return true;
-
+  async _speak(sentences, options) {
     this.isSpeaking = true;
-    this.shouldPlayAudio = true;
-    this.currentTranscript = text;
-
     try {
-      // STEP 1: Generate ALL audio upfront in parallel
-      console.log(
-        `${this.config.color}🎵 Generating all ${sentences.length} sentence audios upfront...${RESET_COLOR}`
-      );
-      const ttsStartAll = Date.now();
-
-      const audioBuffers = await Promise.all(
-        sentences.map(async (sentence, idx) => {
-          const ttsStart = Date.now();
-          const audio = await this.tts.synthesize(sentence);
-          const ttsTime = Date.now() - ttsStart;
-          console.log(
-            `${this.config.color}  ✓ Sentence ${idx + 1}: ${ttsTime}ms (${
-              audio.length
-            } bytes)${RESET_COLOR}`
-          );
-          return audio;
-        })
-      );
-
-      const totalTtsTime = Date.now() - ttsStartAll;
-      console.log(
-        `${this.config.color}⏱️  All TTS done in ${totalTtsTime}ms${RESET_COLOR}`
-      );
-
-      // Check for interruption after TTS generation
-      if (this.wasInterrupted || (checkInterruption && checkInterruption())) {
-        console.log(
-          `${this.config.color}🛑 Interrupted after TTS generation${RESET_COLOR}`
-        );
-        return false;
-      }
-
-      // STEP 2: Play sentences with overlap (add next 2s before current ends)
-      const OVERLAP_MS = 2000; // Add next sentence 2s before current ends
-
-      for (let i = 0; i < sentences.length; i++) {
-        const sentence = sentences[i];
-        const audioBuffer = audioBuffers[i];
-        const isLastSentence = i === sentences.length - 1;
-
-        // Check for interruption before each sentence
-        if (this.wasInterrupted || (checkInterruption && checkInterruption())) {
-          console.log(
-            `${this.config.color}🛑 INTERRUPTED before sentence ${i + 1}/${
-              sentences.length
-            } - stopping playback${RESET_COLOR}`
-          );
-          this.wasInterrupted = true;
-          this.audioPlaying = false;
-          return false;
-        }
-
-        console.log(
-          `${this.config.color}🎤 Playing sentence ${i + 1}/${
-            sentences.length
-          }: "${sentence}"${RESET_COLOR}`
-        );
-
-        // Calculate audio duration
-        const durationMs = (audioBuffer.length / (24000 * 2)) * 1000;
-
-        // Start playing this sentence
-        const playStartTime = Date.now();
-        this.audioPlaying = true;
-        this.emit("audio", audioBuffer);
-
-        // Emit subtitle for this sentence
-        let cleanText = sentence.replace(/\[.*?\]/g, "").trim();
-        cleanText = cleanText.toLowerCase();
-        cleanText = cleanText.charAt(0).toUpperCase() + cleanText.slice(1);
-
-        this.emit("subtitle", {
-          name: this.config.name,
-          text: cleanText,
-          duration: durationMs,
-        });
-
-        // Calculate wait time - reduced overlap for tighter timing
-        const waitTime = isLastSentence
-          ? durationMs
-          : Math.max(100, durationMs - OVERLAP_MS);
-
-        console.log(
-          `${this.config.color}   ⏱️  Audio duration: ${durationMs.toFixed(
-            0
-          )}ms, will wait: ${waitTime.toFixed(0)}ms (overlap: ${
-            isLastSentence ? 0 : OVERLAP_MS
-          }ms)${RESET_COLOR}`
-        );
-
-        // Wait for audio (or until overlap point for next sentence)
-        const waitStartTime = Date.now();
-        await new Promise((resolve) => {
-          const checkInterval = setInterval(() => {
-            if (this.wasInterrupted || !this.shouldPlayAudio) {
-              clearInterval(checkInterval);
-              resolve();
-            }
-            if (checkInterruption && checkInterruption()) {
-              this.wasInterrupted = true;
-              clearInterval(checkInterval);
-              resolve();
-            }
-          }, 50);
-
-          setTimeout(() => {
-            clearInterval(checkInterval);
-            resolve();
-          }, waitTime);
-        });
-
-        const actualWait = Date.now() - waitStartTime;
-        const totalElapsed = Date.now() - playStartTime;
-        console.log(
-          `${this.config.color}   ⏹️  Sentence ${
-            i + 1
-          } wait done - waited ${actualWait}ms (total elapsed since emit: ${totalElapsed}ms)${RESET_COLOR}`
-        );
-
-        // If interrupted during playback, stop immediately
-        if (this.wasInterrupted) {
-          console.log(
-            `${this.config.color}🛑 INTERRUPTED during sentence ${
-              i + 1
-            } - stopping remaining ${
-              sentences.length - i - 1
-            } sentences${RESET_COLOR}`
-          );
-          this.audioPlaying = false;
-          return false;
-        }
+      const completed = await this.playback.playSentences(sentences, {
+        prefetched: [options.firstSentenceAudio],
+        shouldStop: options.checkInterruption,
+        startedAt: options.startedAt,
+      });
+      if (!completed) {
+        this.wasInterrupted = true;
       }
-
-      this.audioPlaying = false;
-      this.emit("finished");
-      return true;
+      return completed;
     } finally {
       this.isSpeaking = false;
-      this.audioPlaying = false;
       this.isActive = false;
     }
   }
 
   /**
-   * Play pre-generated audio sentence-by-sentence with interruption checks.
-   * This version takes the full response text and pre-generated audio for the FIRST sentence,
-   * then generates remaining sentences in parallel before playing with overlap.
-   *
-   * @param {string} text - Full text to speak
-   * @param {Buffer} firstSentenceAudio - Pre-generated audio for first sentence (optional)
-   * @param {Function} checkInterruption - Callback that returns true if interrupted
-   * @returns {Promise<boolean>} - Returns true if completed, false if interrupted
+   * Synthesize just the first sentence so say() can start without waiting
+   * on TTS (used to pre-generate the next turn)
+   * @param {string} text
+   * @returns {Promise<Buffer|null>}
    */
-  async playPreGeneratedAudioSentenceBySentence(
-    text,
-    firstSentenceAudio,
-    checkInterruption
-  ) {
-    if (!text || this.wasInterrupted) return false;
+  async prefetchFirstSentence(text) {
+    const [firstSentence] = segmentText(text || "");
+    return firstSentence ? this.playback.synthesize(firstSentence) : null;
+  }
+
+  get audioPlaying() {
+    return this.playback.isPlaying;
+  }
 
-    const sentences = this.splitIntoSentences(text);
+  async interrupt() {
+    this.wasInterrupted = true;
+    this.playback.interrupt();
     console.log(
-      `${this.config.color}📝 Split into ${sentences.length} sentences (first may be prefetched)${RESET_COLOR}`
+      `${this.config.color}⚡ ${this.config.name} interrupted!${RESET_COLOR}`
     );
+  }
 
-    if (sentences.length === 0) return true;
-
-    this.isSpeaking = true;
-    this.shouldPlayAudio = true;
-    this.currentTranscript = text;
-
-    try {
-      // STEP 1: Generate ALL audio upfront (use firstSentenceAudio if provided)
-      console.log(
-        `${this.config.color}🎵 Generating remaining sentence audios...${RESET_COLOR}`
-      );
-      const ttsStartAll = Date.now();
-
-      const audioBuffers = await Promise.all(
-        sentences.map(async (sentence, idx) => {
-          // Use pre-generated first sentence if available
-          if (idx === 0 && firstSentenceAudio) {
-            console.log(
-              `${this.config.color}  ✓ Sentence 1: using pre-generated audio (${firstSentenceAudio.length} bytes)${RESET_COLOR}`
-            );
-            return firstSentenceAudio;
-          }
-
-          const ttsStart = Date.now();
-          const audio = await this.tts.synthesize(sentence);
-          const ttsTime = Date.now() - ttsStart;
-          console.log(
-            `${this.config.color}  ✓ Sentence ${idx + 1}: ${ttsTime}ms (${
-              audio.length
-            } bytes)${RESET_COLOR}`
-          );
-          return audio;
-        })
-      );
-
-      const totalTtsTime = Date.now() - ttsStartAll;
-      console.log(
-        `${this.config.color}⏱️  All TTS done in ${totalTtsTime}ms${RESET_COLOR}`
-      );
-
-      // Check for interruption after TTS generation
-      if (this.wasInterrupted || (checkInterruption && checkInterruption())) {
-        console.log(
-          `${this.config.color}🛑 Interrupted after TTS generation${RESET_COLOR}`
-        );
-        return false;
-      }
-
-      // STEP 2: Play sentences with minimal overlap for seamless flow
-      const OVERLAP_MS = 500; // Reduced overlap - just 500ms for smooth transition
-
-      for (let i = 0; i < sentences.length; i++) {
-        const sentence = sentences[i];
-        const audioBuffer = audioBuffers[i];
-        const isLastSentence = i === sentences.length - 1;
-
-        // Check for interruption before each sentence
-        if (this.wasInterrupted || (checkInterruption && checkInterruption())) {
-          console.log(
-            `${this.config.color}🛑 INTERRUPTED before sentence ${i + 1}/${
-              sentences.length
-            } - stopping playback${RESET_COLOR}`
-          );
-          this.wasInterrupted = true;
-          this.audioPlaying = false;
-          return false;
-        }
-
-        console.log(
-          `${this.config.color}🎤 Playing sentence ${i + 1}/${
-            sentences.length
-          }: "${sentence}"${RESET_COLOR}`
-        );
-
-        // Calculate audio duration
-        const durationMs = (audioBuffer.length / (24000 * 2)) * 1000;
-
-        // Start playing this sentence
-        const playStartTime = Date.now();
-        this.audioPlaying = true;
-        this.emit("audio", audioBuffer);
-
-        // Emit subtitle for this sentence
-        let cleanText = sentence.replace(/\[.*?\]/g, "").trim();
-        cleanText = cleanText.toLowerCase();
-        cleanText = cleanText.charAt(0).toUpperCase() + cleanText.slice(1);
-
-        this.emit("subtitle", {
-          name: this.config.name,
-          text: cleanText,
-          duration: durationMs,
-        });
-
-        // Calculate wait time - reduced overlap for tighter timing
-        const waitTime = isLastSentence
-          ? durationMs
-          : Math.max(100, durationMs - OVERLAP_MS);
-
-        console.log(
-          `${this.config.color}   ⏱️  Audio duration: ${durationMs.toFixed(
-            0
-          )}ms, will wait: ${waitTime.toFixed(0)}ms (overlap: ${
-            isLastSentence ? 0 : OVERLAP_MS
-          }ms)${RESET_COLOR}`
-        );
-
-        // Wait for audio (or until overlap point for next sentence)
-        const waitStartTime = Date.now();
-        await new Promise((resolve) => {
-          const checkInterval = setInterval(() => {
-            if (this.wasInterrupted || !this.shouldPlayAudio) {
-              clearInterval(checkInterval);
-              resolve();
-            }
-            if (checkInterruption && checkInterruption()) {
-              this.wasInterrupted = true;
-              clearInterval(checkInterval);
-              resolve();
-            }
-          }, 50);
-
-          setTimeout(() => {
-            clearInterval(checkInterval);
-            resolve();
-          }, waitTime);
-        });
-
-        const actualWait = Date.now() - waitStartTime;
-        const totalElapsed = Date.now() - playStartTime;
-        console.log(
-          `${this.config.color}   ⏹️  Sentence ${
-            i + 1
-          } wait done - waited ${actualWait}ms (total elapsed since emit: ${totalElapsed}ms)${RESET_COLOR}`
-        );
-
-        // If interrupted during playback, stop immediately
-        if (this.wasInterrupted) {
-          console.log(
-            `${this.config.color}🛑 INTERRUPTED during sentence ${
-              i + 1
-            } - stopping remaining ${
-              sentences.length - i - 1
-            } sentences${RESET_COLOR}`
-          );
-          this.audioPlaying = false;
-          return false;
-        }
-      }
+  getName() {
+    return this.config.name;
+  }
 
-      this.audioPlaying = false;
-      this.emit("finished");
-      return true;
-    } finally {
-      this.isSpeaking = false;
-      this.audioPlaying = false;
-      this.isActive = false;
-    }
+  /**
+   * System prompt plus whatever this host remembers from past shows that
+   * relates to the prompt
+   * @param {string} prompt - The turn's prompt (used to pick relevant memories)
+   * @returns {string}
+   */
+  getSystemPrompt(prompt = "") {
+    if (!this.hostMemory) return this.systemPrompt;
+    return (
+      this.systemPrompt +
+      this.hostMemory.getContext(this.getName(), `${this.topic}\n${prompt}`)
+    );
   }
 
   async cleanup() {
@@ -0,0 +1,195 @@
+/**
+ * TTS Cache
+ * Content-addressed disk cache of synthesized PCM, keyed by voice identity,
+ * text and delivery instructions. Stock lines (intros, sign-offs, station
+ * IDs) come back instantly instead of another 5-8s voice-clone call.
+ * Least recently used entries are evicted once the cache passes its size cap.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export class TTSCache {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.dir] - Cache directory (default TTS_CACHE_DIR or data/tts-cache)
+   * @param {number} [config.maxMB] - Size cap in MB (default TTS_CACHE_MAX_MB or 500; 0 disables)
+   */
+  constructor(config = {}) {
+    this.dir = path.resolve(
+      config.dir ||
+        process.env.TTS_CACHE_DIR ||
+        path.join("data", "tts-cache")
+    );
+    const maxMB = config.maxMB ?? Number(process.env.TTS_CACHE_MAX_MB ?? 500);
+    this.maxBytes = maxMB * 1024 * 1024;
+    this.entries = null; // key -> bytes, least recently used first
+    this.totalBytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  get enabled() {
+    return this.maxBytes > 0;
+  }
+
+  /**
+   * Content address for a line of speech
+   * @param {{voice: string, text: string, instructions?: string}} parts
+   * @returns {string} sha256 hex
+   */
+  static key({ voice, text, instructions = "" }) {
+    return crypto
+      .createHash("sha256")
+      .update(JSON.stringify([voice, instructions, text]))
+      .digest("hex");
+  }
+
+  /**
+   * @param {{voice: string, text: string, instructions?: string}} parts
+   * @returns {Buffer|null} Cached PCM, or null on a miss
+   */
+  get(parts) {
+    if (!this.enabled) return null;
+    this._load();
+
+    const key = TTSCache.key(parts);
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return null;
+    }
+
+    try {
+      const pcm = fs.readFileSync(this._path(key));
+      this._touch(key);
+      this.hits++;
+      return pcm;
+    } catch (err) {
+      // Deleted behind our back - forget it
+      this._forget(key);
+      this.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store PCM for a line, evicting old entries to stay under the cap
+   * @param {{voice: string, text: string, instructions?: string}} parts
+   * @param {Buffer} pcm
+   */
+  set(parts, pcm) {
+    if (!this.enabled || !pcm || pcm.length === 0) return;
+    if (pcm.length > this.maxBytes) return;
+    this._load();
+
+    const key = TTSCache.key(parts);
+    const filePath = this._path(key);
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      fs.writeFileSync(tmpPath, pcm);
+      fs.renameSync(tmpPath, filePath);
+    } catch (err) {
+      console.error("❌ Failed to write TTS cache entry:", err.message);
+      try {
+        fs.unlinkSync(tmpPath);
+      } catch (cleanupErr) {
+        // Ignore
+      }
+      return;
+    }
+
+    this._forget(key);
+    this.entries.set(key, pcm.length);
+    this.totalBytes += pcm.length;
+    this._evict();
+  }
+
+  /**
+   * @returns {{entries: number, bytes: number, hits: number, misses: number}}
+   */
+  getStats() {
+    this._load();
+    return {
+      entries: this.entries.size,
+      bytes: this.totalBytes,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+
+  _path(key) {
+    return path.join(this.dir, `${key}.pcm`);
+  }
+
+  /**
+   * Build the LRU index from disk on first use, oldest mtime first
+   */
+  _load() {
+    if (this.entries) return;
+    this.entries = new Map();
+    if (!fs.existsSync(this.dir)) return;
+
+    const files = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith(".pcm")) continue;
+      try {
+        const stat = fs.statSync(path.join(this.dir, file));
+        files.push({
+          key: file.slice(0, -4),
+          size: stat.size,
+          at: stat.mtimeMs,
+        });
+      } catch (err) {
+        // Ignore files removed while scanning
+      }
+    }
+
+    files.sort((a, b) => a.at - b.at);
+    for (const { key, size } of files) {
+      this.entries.set(key, size);
+      this.totalBytes += size;
+    }
+    this._evict();
+  }
+
+  /**
+   * Mark an entry as just used; the mtime keeps the order across restarts
+   */
+  _touch(key) {
+    const size = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, size);
+    try {
+      const now = new Date();
+      fs.utimesSync(this._path(key), now, now);
+    } catch (err) {
+      // Ignore - only affects eviction order after a restart
+    }
+  }
+
+  _forget(key) {
+    if (!this.entries.has(key)) return;
+    this.totalBytes -= this.entries.get(key);
+    this.entries.delete(key);
+  }
+
+  _evict() {
+    for (const key of this.entries.keys()) {
+      if (this.totalBytes <= this.maxBytes) break;
+      this._forget(key);
+      try {
+        fs.unlinkSync(this._path(key));
+      } catch (err) {
+        // Already gone
+      }
+    }
+  }
+}
+
+// Shared by every host's TTS plugins
+export const ttsCache = new TTSCache();
+
+export default TTSCache;
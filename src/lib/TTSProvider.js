@@ -0,0 +1,207 @@
+/**
+ * TTS Providers
+ * Registry of speech engines plus a failover chain, so a host falls back to
+ * the next voice (ending with the offline local engine) instead of dead air
+ * when a provider is down.
+ */
+
+import { XAITTSPlugin } from "../plugins/xai-tts.js";
+import { XAITTSClonePlugin } from "../plugins/xai-tts-clone.js";
+import { LocalTTSPlugin } from "../plugins/local-tts.js";
+import { EmotionalTTS } from "./EmotionProsody.js";
+
+/**
+ * Every provider returns PCM16 24kHz mono, so the playback engine never
+ * needs to know which one produced a sentence. emotionControl says how
+ * [emotion] tags reach it (see EmotionProsody.js).
+ * @typedef {Object} TTSProvider
+ * @property {(text: string, options?: object) => Promise<Buffer>} synthesize
+ * @property {() => Promise<void>} [initialize]
+ * @property {() => object} getFormat
+ * @property {"instructions"|"ssml"|"postprocess"} [emotionControl]
+ */
+
+/**
+ * Provider factories, keyed by the name used in show files and TTS_PROVIDERS.
+ * A factory returns null when the host isn't set up for that provider.
+ * @type {Object<string, (host: import("./ShowConfig.js").HostConfig) => TTSProvider|null>}
+ */
+const PROVIDERS = {
+  "xai-clone": (host) =>
+    host.voiceFile
+      ? new XAITTSClonePlugin({
+          apiKey: process.env.XAI_API_KEY,
+          voiceFile: host.voiceFile,
+          instructions: host.voiceInstructions || "audio",
+        })
+      : null,
+  xai: (host) =>
+    new XAITTSPlugin({
+      apiKey: process.env.XAI_API_KEY,
+      voiceId: host.voiceId,
+    }),
+  local: (host) => new LocalTTSPlugin({ voice: host.localVoice }),
+};
+
+const FAILOVER_COOLDOWN_MS = Number(
+  process.env.TTS_FAILOVER_COOLDOWN_MS || 60000
+);
+
+/**
+ * Add or replace a provider
+ * @param {string} name
+ * @param {(host: object) => TTSProvider|null} factory
+ */
+export function registerTTSProvider(name, factory) {
+  PROVIDERS[name] = factory;
+}
+
+/**
+ * @returns {string[]} Registered provider names
+ */
+export function getAvailableTTSProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Provider order for a host: the show file's `tts` list, else TTS_PROVIDERS,
+ * else the cloned voice, the preset voice and then the local fallback
+ * @param {import("./ShowConfig.js").HostConfig} host
+ * @returns {string[]}
+ */
+export function getProviderOrder(host) {
+  if (host.tts) return host.tts;
+  if (process.env.TTS_PROVIDERS) {
+    return process.env.TTS_PROVIDERS.split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+  }
+  return host.voiceFile ? ["xai-clone", "xai", "local"] : ["xai", "local"];
+}
+
+/**
+ * Tries each provider in order. One that fails is skipped for a cooldown
+ * and the next one speaks; if every provider is cooling down they are all
+ * tried anyway rather than going silent.
+ */
+export class FailoverTTS {
+  /**
+   * @param {Array<{name: string, provider: TTSProvider}>} chain
+   * @param {object} [options]
+   * @param {string} [options.label] - Host name for logs
+   * @param {number} [options.cooldownMs]
+   */
+  constructor(chain, options = {}) {
+    this.chain = chain;
+    this.label = options.label || "TTS";
+    this.cooldownMs = options.cooldownMs ?? FAILOVER_COOLDOWN_MS;
+    this.downUntil = new Map(); // Provider name -> retry time
+    this.lastProvider = null; // Name of the provider that last spoke
+  }
+
+  /**
+   * @returns {string[]} Provider names in failover order
+   */
+  get names() {
+    return this.chain.map((entry) => entry.name);
+  }
+
+  /**
+   * Initialize every provider, dropping the ones that can't start (missing
+   * voice file, local engine not installed)
+   * @throws {Error} If no provider is usable
+   */
+  async initialize() {
+    const usable = [];
+    for (const entry of this.chain) {
+      try {
+        if (entry.provider.initialize) {
+          await entry.provider.initialize();
+        }
+        usable.push(entry);
+      } catch (error) {
+        console.warn(
+          `⚠️  ${this.label}: ${entry.name} TTS unavailable - ${error.message}`
+        );
+      }
+    }
+
+    if (usable.length === 0) {
+      throw new Error(`${this.label}: no TTS provider could start`);
+    }
+    this.chain = usable;
+  }
+
+  /**
+   * @param {string} text
+   * @returns {Promise<Buffer>} PCM16 24kHz mono
+   */
+  async synthesize(text) {
+    const now = Date.now();
+    const healthy = this.chain.filter(
+      (entry) => !(this.downUntil.get(entry.name) > now)
+    );
+    const coolingDown = this.chain.filter(
+      (entry) => !healthy.includes(entry)
+    );
+
+    let lastError;
+    for (const entry of [...healthy, ...coolingDown]) {
+      try {
+        const audio = await entry.provider.synthesize(text);
+        this.downUntil.delete(entry.name);
+        if (this.lastProvider !== entry.name) {
+          if (this.lastProvider) {
+            console.log(`🔁 ${this.label}: now speaking via ${entry.name}`);
+          }
+          this.lastProvider = entry.name;
+        }
+        return audio;
+      } catch (error) {
+        lastError = error;
+        this.downUntil.set(entry.name, Date.now() + this.cooldownMs);
+        console.warn(
+          `⚠️  ${this.label}: ${entry.name} TTS failed - ${error.message}`
+        );
+      }
+    }
+
+    throw lastError;
+  }
+
+  getFormat() {
+    return this.chain[0].provider.getFormat();
+  }
+}
+
+/**
+ * Build the failover chain for a host
+ * @param {import("./ShowConfig.js").HostConfig} host
+ * @returns {FailoverTTS}
+ */
+export function createTTSChain(host) {
+  const chain = [];
+  for (const name of getProviderOrder(host)) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new Error(
+        `Unknown TTS provider "${name}" (available: ${getAvailableTTSProviders().join(
+          ", "
+        )})`
+      );
+    }
+    const provider = factory(host);
+    if (provider) chain.push({ name, provider: new EmotionalTTS(provider) });
+  }
+
+  if (chain.length === 0) {
+    throw new Error(`${host.name}: no TTS provider fits this host's config`);
+  }
+  return new FailoverTTS(chain, { label: host.name });
+}
+
+export default {
+  createTTSChain,
+  registerTTSProvider,
+  getAvailableTTSProviders,
+};
@@ -532,6 +532,16 @@ When introducing this trend, say "Jamie pull up this tweet" to signal the tweet
     return this.discussedTrends.has(trendName);
   }
 
+  /**
+   * Mark trends as already covered (e.g. restored after a restart)
+   * @param {string[]} trendNames
+   */
+  restoreDiscussed(trendNames) {
+    for (const name of trendNames) {
+      this.discussedTrends.add(name);
+    }
+  }
+
   /**
    * Reset discussed trends history (allows repeats)
    */
@@ -0,0 +1,246 @@
+/**
+ * Turn Policies
+ * Decide which host speaks next. The orchestrator always computes the
+ * round-robin choice and hands it to the policy as a fallback.
+ */
+
+import { XAILLMPlugin } from "../plugins/xai-llm.js";
+
+/**
+ * @typedef {Object} TurnContext
+ * @property {object|null} lastSpeaker - Agent who just spoke (null for listener/caller turns)
+ * @property {object[]} candidates - On-air agents eligible to speak next
+ * @property {Array<{speaker: string, content: string}>} history - Shared show history
+ * @property {object} roundRobin - Round-robin choice, used as fallback
+ */
+
+const TITLES = new Set(["dr", "dr.", "mr", "mr.", "mrs", "mrs.", "ms", "ms."]);
+
+/**
+ * Names a host can be addressed by: first/last name, quoted nickname, plus
+ * any aliases from the show config
+ * @param {object} agent - TTSAgent
+ * @returns {string[]} Lowercase aliases
+ */
+export function getHostAliases(agent) {
+  const name = agent.getName();
+  const aliases = new Set([name.toLowerCase()]);
+
+  const nickname = name.match(/"([^"]+)"/);
+  if (nickname) {
+    aliases.add(nickname[1].toLowerCase());
+  }
+
+  const plainWords = name.replace(/"[^"]*"/g, " ").split(/\s+/);
+  for (const word of plainWords) {
+    const w = word.toLowerCase();
+    if (w.length > 1 && !TITLES.has(w)) {
+      aliases.add(w);
+    }
+  }
+
+  for (const alias of agent.config.aliases || []) {
+    aliases.add(alias.toLowerCase());
+  }
+
+  return [...aliases];
+}
+
+/**
+ * Base policy - strict round-robin
+ */
+export class RoundRobinTurnPolicy {
+  constructor() {
+    this.name = "round-robin";
+  }
+
+  /**
+   * @param {TurnContext} context
+   * @returns {Promise<object>} Next agent
+   */
+  async selectNext(context) {
+    return context.roundRobin;
+  }
+}
+
+/**
+ * Whoever got named in the last line answers. Falls back to round-robin
+ * when nobody was addressed.
+ */
+export class MostAddressedTurnPolicy extends RoundRobinTurnPolicy {
+  constructor() {
+    super();
+    this.name = "most-addressed";
+  }
+
+  async selectNext(context) {
+    const lastLine = context.history[context.history.length - 1];
+    if (!lastLine) return context.roundRobin;
+
+    const text = lastLine.content.replace(/\[.*?\]/g, " ").toLowerCase();
+    let best = null;
+    let bestCount = 0;
+    let bestPosition = -1;
+
+    for (const agent of context.candidates) {
+      let count = 0;
+      let lastPosition = -1;
+      for (const alias of getHostAliases(agent)) {
+        const pattern = new RegExp(`\\b${escapeRegExp(alias)}\\b`, "g");
+        for (const match of text.matchAll(pattern)) {
+          count++;
+          lastPosition = Math.max(lastPosition, match.index);
+        }
+      }
+
+      // Most mentions wins; on a tie, whoever was named last was addressed
+      if (
+        count > bestCount ||
+        (count === bestCount && count > 0 && lastPosition > bestPosition)
+      ) {
+        best = agent;
+        bestCount = count;
+        bestPosition = lastPosition;
+      }
+    }
+
+    return best || context.roundRobin;
+  }
+}
+
+/**
+ * Ask Grok who would naturally jump in next
+ */
+export class LLMDirectedTurnPolicy extends RoundRobinTurnPolicy {
+  constructor(config = {}) {
+    super();
+    this.name = "llm-directed";
+    this.historyLines = config.historyLines || 6;
+    this.llm = new XAILLMPlugin({
+      apiKey: process.env.XAI_API_KEY,
+      model: config.model || "grok-3-fast",
+      temperature: 0.3,
+      maxTokens: 30,
+      timeout: config.timeout || 5000,
+    });
+  }
+
+  async selectNext(context) {
+    const recent = context.history
+      .slice(-this.historyLines)
+      .map((entry) => `${entry.speaker}: ${entry.content}`)
+      .join("\n");
+    const names = context.candidates.map((a) => a.getName());
+
+    const reply = await this.llm.chat([
+      {
+        role: "system",
+        content: `You are the producer of a live radio show deciding who speaks next. Pick the host who would most naturally jump in - whoever was addressed, attacked, or has the strongest reaction. Reply with ONLY the exact host name from the list.`,
+      },
+      {
+        role: "user",
+        content: `Conversation so far:\n${recent}\n\nWho speaks next? Choose one of:\n${names.join(
+          "\n"
+        )}`,
+      },
+    ]);
+
+    const answer = reply
+      .trim()
+      .replace(/^["']|["'.]$/g, "")
+      .toLowerCase();
+    const chosen =
+      context.candidates.find((a) => a.getName().toLowerCase() === answer) ||
+      context.candidates.find((a) =>
+        getHostAliases(a).some((alias) => answer.includes(alias))
+      );
+
+    if (!chosen) {
+      console.warn(
+        `⚠️  LLM picked unknown speaker "${reply}", using round-robin`
+      );
+    }
+    return chosen || context.roundRobin;
+  }
+}
+
+/**
+ * Weighted random pick by host energy (config.energy, default 1).
+ * Hosts who have been quiet for a while get a boost so nobody disappears.
+ */
+export class EnergyWeightedTurnPolicy extends RoundRobinTurnPolicy {
+  constructor(config = {}) {
+    super();
+    this.name = "energy-weighted";
+    this.quietBoost = config.quietBoost ?? 0.5; // Extra weight per turn spent quiet
+  }
+
+  async selectNext(context) {
+    const weights = context.candidates.map((agent) => {
+      const energy = agent.config.energy ?? 1;
+      const turnsQuiet = this._turnsSinceSpoke(agent, context.history);
+      return Math.max(0, energy) * (1 + this.quietBoost * turnsQuiet);
+    });
+
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total <= 0) return context.roundRobin;
+
+    let roll = Math.random() * total;
+    for (let i = 0; i < context.candidates.length; i++) {
+      roll -= weights[i];
+      if (roll <= 0) return context.candidates[i];
+    }
+    return context.candidates[context.candidates.length - 1];
+  }
+
+  _turnsSinceSpoke(agent, history) {
+    const name = agent.getName();
+    let turns = 0;
+    for (let i = history.length - 1; i >= 0 && turns < 10; i--) {
+      if (history[i].speaker === name) break;
+      turns++;
+    }
+    return turns;
+  }
+}
+
+const POLICIES = {
+  "round-robin": RoundRobinTurnPolicy,
+  "most-addressed": MostAddressedTurnPolicy,
+  "llm-directed": LLMDirectedTurnPolicy,
+  "energy-weighted": EnergyWeightedTurnPolicy,
+};
+
+/**
+ * @returns {string[]} Built-in policy names
+ */
+export function getAvailableTurnPolicies() {
+  return Object.keys(POLICIES);
+}
+
+/**
+ * Create a turn policy from a show config value
+ * @param {string|{type: string}} [spec] - Policy name, or { type, ...options }
+ * @returns {RoundRobinTurnPolicy}
+ */
+export function createTurnPolicy(spec = "round-robin") {
+  const { type, ...options } = typeof spec === "string" ? { type: spec } : spec;
+  // Own keys only - "constructor" and friends aren't policies
+  const Policy = Object.hasOwn(POLICIES, type) ? POLICIES[type] : null;
+
+  if (!Policy) {
+    throw new Error(
+      `Unknown turn policy "${type}" (available: ${getAvailableTurnPolicies().join(
+        ", "
+      )})`
+    );
+  }
+
+  return new Policy(options);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export default { createTurnPolicy, getAvailableTurnPolicies };
@@ -89,16 +89,6 @@ export class LocalAudioPlayer extends EventEmitter {
     // Check if background video exists
     const backgroundVideo = process.env.BACKGROUND_VIDEO || "./media/gta.mp4";
 
-    // Check for background music
-    const backgroundMusic =
-      process.env.BACKGROUND_MUSIC ||
-      path.join(process.cwd(), "media", "background-music.mp3");
-    const hasMusic = fs.existsSync(backgroundMusic);
-
-    if (hasMusic) {
-      console.log(`🎵 Found background music: ${backgroundMusic}`);
-    }
-
     // FFmpeg loops video and overlays audio + text
     const ffmpegArgs = [
       // Loop the background video (no audio)
@@ -108,7 +98,7 @@ export class LocalAudioPlayer extends EventEmitter {
       "-i",
       backgroundVideo,
 
-      // Audio input from stdin (podcast audio)
+      // Audio input from stdin (mixed program, music included - see AudioBus)
       "-f",
       "s16le",
       "-ar",
@@ -118,21 +108,10 @@ export class LocalAudioPlayer extends EventEmitter {
       "-i",
       "pipe:0",
 
-      // Background music input (optional, looped)
-      ...(hasMusic
-        ? [
-            "-stream_loop",
-            "-1",
-            "-i",
-            backgroundMusic,
-            "-filter_complex",
-            "[1:a]aresample=async=1:first_pts=0,volume=1.0[voice];[2:a]volume=0.15[music];[voice][music]amix=inputs=2:duration=longest:dropout_transition=0[aout]",
-            "-map",
-            "0:v:0",
-            "-map",
-            "[aout]",
-          ]
-        : ["-map", "0:v:0", "-map", "1:a:0"]),
+      "-map",
+      "0:v:0",
+      "-map",
+      "1:a:0",
 
       // Scale video, add image overlay, and add dynamic text overlay from file
       "-vf",
@@ -0,0 +1,187 @@
+/**
+ * Local TTS Plugin
+ * Offline speech via espeak-ng or Piper, run as a child process
+ * Returns PCM16 24kHz mono buffer (same format as XAITTSPlugin)
+ */
+
+import { EventEmitter } from "events";
+import { spawn } from "child_process";
+
+export class LocalTTSPlugin extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.engine =
+      config.engine || process.env.LOCAL_TTS_ENGINE || "espeak-ng";
+    // espeak-ng voice (e.g. "en-us+m3") or path to a Piper .onnx model
+    this.voice = config.voice || process.env.LOCAL_TTS_VOICE || "";
+    this.binary = config.binary || this.engine;
+    this.piperSampleRate = config.piperSampleRate || 22050; // Piper raw output rate
+
+    // Output format (always PCM16 24kHz mono to match XAITTSPlugin)
+    this.sampleRate = 24000;
+    this.channels = 1;
+    this.bitsPerSample = 16;
+
+    this.timeout = config.timeout || 15000;
+
+    // espeak-ng reads SSML prosody; Piper output is shaped afterwards
+    this.emotionControl = this.engine === "espeak-ng" ? "ssml" : "postprocess";
+  }
+
+  /**
+   * Check the engine is configured and its binary is installed. Checked here
+   * rather than in the constructor, so a failover chain can drop this
+   * provider instead of failing to create the host.
+   * @throws {Error} Unknown engine, Piper without a voice, or no binary
+   */
+  async initialize() {
+    if (!["espeak-ng", "piper"].includes(this.engine)) {
+      throw new Error(
+        `Unknown local TTS engine "${this.engine}" (available: espeak-ng, piper)`
+      );
+    }
+    if (this.engine === "piper" && !this.voice) {
+      throw new Error("Piper needs a voice model (LOCAL_TTS_VOICE)");
+    }
+    const versionFlag = this.engine === "piper" ? "--help" : "--version";
+    await this._run(this.binary, [versionFlag]).catch((err) => {
+      throw new Error(`Local TTS engine not available: ${err.message}`);
+    });
+    console.log(
+      `🗣️  Local TTS ready: ${this.engine}${
+        this.voice ? ` (${this.voice})` : ""
+      }`
+    );
+  }
+
+  /**
+   * Convert text to speech locally
+   * @param {string} text - Text to convert to speech
+   * @param {object} [options]
+   * @param {string} [options.ssml] - SSML version of the text (espeak-ng only)
+   * @returns {Promise<Buffer>} - Audio buffer (PCM16 24kHz mono)
+   */
+  async synthesize(text, options = {}) {
+    // Local engines would read emotion brackets out loud
+    const spoken = text.replace(/\[.*?\]/g, " ").replace(/\s+/g, " ").trim();
+    if (!spoken) return Buffer.alloc(0);
+    const ssml = this.engine === "espeak-ng" ? options.ssml : null;
+
+    const startTime = Date.now();
+    let raw;
+    let inputArgs;
+    if (this.engine === "piper") {
+      raw = await this._run(
+        this.binary,
+        ["--model", this.voice, "--output-raw"],
+        spoken
+      );
+      inputArgs = [
+        "-f",
+        "s16le",
+        "-ar",
+        String(this.piperSampleRate),
+        "-ac",
+        "1",
+      ];
+    } else {
+      // Text goes in on stdin, so a line starting with "-" can't pass as an option
+      const args = ["--stdout", "--stdin"];
+      if (this.voice) args.push("-v", this.voice);
+      if (ssml) args.push("-m"); // Interpret SSML markup
+      raw = await this._run(this.binary, args, ssml || spoken);
+      inputArgs = []; // WAV - ffmpeg reads the header
+    }
+
+    const pcmBuffer = await this._run(
+      "ffmpeg",
+      [
+        "-hide_banner",
+        "-loglevel",
+        "error",
+        ...inputArgs,
+        "-i",
+        "pipe:0",
+        "-f",
+        "s16le",
+        "-acodec",
+        "pcm_s16le",
+        "-ar",
+        String(this.sampleRate),
+        "-ac",
+        String(this.channels),
+        "pipe:1",
+      ],
+      raw
+    );
+
+    console.log(
+      `⏱️  Local TTS (${this.engine}): ${Date.now() - startTime}ms`
+    );
+    return pcmBuffer;
+  }
+
+  /**
+   * Run a command, feeding it stdin and collecting stdout
+   * @param {string} command
+   * @param {string[]} args
+   * @param {string|Buffer} [input]
+   * @returns {Promise<Buffer>}
+   */
+  _run(command, args, input) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, args, { stdio: ["pipe", "pipe", "pipe"] });
+      const chunks = [];
+      let stderrData = "";
+
+      const timer = setTimeout(() => {
+        child.kill("SIGKILL");
+        reject(new Error(`${command} timed out after ${this.timeout}ms`));
+      }, this.timeout);
+
+      child.stdout.on("data", (chunk) => chunks.push(chunk));
+      child.stderr.on("data", (data) => {
+        stderrData += data.toString();
+      });
+
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve(Buffer.concat(chunks));
+        } else {
+          reject(new Error(`${command} failed (code ${code}): ${stderrData}`));
+        }
+      });
+
+      child.on("error", (err) => {
+        clearTimeout(timer);
+        reject(new Error(`${command} spawn error: ${err.message}`));
+      });
+
+      child.stdin.on("error", (err) => {
+        // Ignore EPIPE errors - the process may close stdin early
+        if (err.code !== "EPIPE") {
+          console.error(`${command} stdin error:`, err.message);
+        }
+      });
+
+      if (input !== undefined) child.stdin.write(input);
+      child.stdin.end();
+    });
+  }
+
+  /**
+   * Get audio format information
+   * @returns {Object} - Audio format details
+   */
+  getFormat() {
+    return {
+      sampleRate: this.sampleRate,
+      channels: this.channels,
+      bitsPerSample: this.bitsPerSample,
+      encoding: "pcm_s16le",
+    };
+  }
+}
+
+export default LocalTTSPlugin;
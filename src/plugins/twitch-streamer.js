@@ -1,6 +1,8 @@
 /**
  * Twitch Streaming Integration for LiveKit Agent
- * Streams agent audio output to Twitch via RTMP
+ * Streams agent audio output to Twitch via RTMP - and simulcasts the same
+ * encode to YouTube, Kick or any other RTMP server through ffmpeg's tee
+ * muxer. A destination that drops is left out; the others keep going.
  */
 
 import { spawn, execSync } from "child_process";
@@ -9,14 +11,87 @@ import fs from "fs";
 import path from "path";
 import { ImageOverlayManager } from "../lib/ImageOverlayManager.js";
 
+// Platforms with a known ingest server: set <NAME>_STREAM_KEY to stream there
+// (and <NAME>_RTMP_URL to use another ingest server)
+const DESTINATION_PRESETS = [
+  { name: "Twitch", env: "TWITCH", rtmpUrl: "rtmp://live.twitch.tv/app/" },
+  { name: "YouTube", env: "YOUTUBE", rtmpUrl: "rtmp://a.rtmp.youtube.com/live2/" },
+  {
+    name: "Kick",
+    env: "KICK",
+    rtmpUrl: "rtmps://fa723fc1b171.global-contribute.live-video.net/app/",
+  },
+];
+
+// Slave muxer #1 failed: Broken pipe, continuing with 2/3 slaves.
+const SLAVE_FAILED = /Slave muxer #(\d+) failed: (.+?), continuing with/;
+// Progress lines only start once every destination has been opened
+// frame=  123 fps= 30 q=28.0 size=  1024kB time=00:00:04.10 bitrate=... speed=1.01x
+const PROGRESS = /^(?:frame|size)=/;
+const PROGRESS_FRAME = /frame=\s*(\d+)/;
+const PROGRESS_TIME = /time=(\d+):(\d+):([\d.]+)/;
+const PROGRESS_SPEED = /speed=\s*([\d.]+)x/;
+
+/**
+ * @typedef {Object} StreamDestination
+ * @property {string} name
+ * @property {string} url - Ingest URL including the stream key (never logged)
+ * @property {"connecting"|"live"|"failed"|"stopped"} status
+ * @property {string|null} error - Why it failed
+ * @property {number|null} since - When the status last changed
+ */
+
+/**
+ * Destinations from the presets' stream keys plus STREAM_RTMP_URLS
+ * ("Name=rtmp://host/app/key,Other=rtmps://...")
+ * @param {object} config - See TwitchStreamer
+ * @returns {Array<{name: string, url: string}>}
+ */
+function resolveDestinations(config) {
+  if (config.destinations) return config.destinations;
+
+  const destinations = [];
+  for (const preset of DESTINATION_PRESETS) {
+    const isTwitch = preset.name === "Twitch";
+    const key =
+      (isTwitch && config.streamKey) ||
+      process.env[`${preset.env}_STREAM_KEY`];
+    if (!key) continue;
+    const rtmpUrl =
+      (isTwitch && config.rtmpUrl) ||
+      process.env[`${preset.env}_RTMP_URL`] ||
+      preset.rtmpUrl;
+    destinations.push({ name: preset.name, url: `${rtmpUrl}${key}` });
+  }
+
+  for (const entry of (process.env.STREAM_RTMP_URLS || "").split(",")) {
+    const split = entry.indexOf("=");
+    if (split === -1) continue;
+    const name = entry.slice(0, split).trim();
+    const url = entry.slice(split + 1).trim();
+    if (name && url) destinations.push({ name, url });
+  }
+  return destinations;
+}
+
 export class TwitchStreamer extends EventEmitter {
+  /**
+   * @param {object} [config]
+   * @param {string} [config.streamKey] - Twitch key (default TWITCH_STREAM_KEY)
+   * @param {string} [config.rtmpUrl] - Twitch ingest (default TWITCH_RTMP_URL or live.twitch.tv)
+   * @param {Array<{name: string, url: string}>} [config.destinations] - Replaces
+   *   the destinations taken from the environment (see resolveDestinations())
+   */
   constructor(config = {}) {
     super();
-    this.streamKey = config.streamKey || process.env.TWITCH_STREAM_KEY;
-    this.rtmpUrl =
-      config.rtmpUrl ||
-      process.env.TWITCH_RTMP_URL ||
-      "rtmp://live.twitch.tv/app/";
+    /** @type {StreamDestination[]} */
+    this.destinations = resolveDestinations(config).map(({ name, url }) => ({
+      name,
+      url,
+      status: "stopped",
+      error: null,
+      since: null,
+    }));
     this.sampleRate = config.sampleRate || 24000;
     this.channels = config.channels || 1;
     this.overlayText = config.overlayText || "AI Podcast";
@@ -24,7 +99,6 @@ export class TwitchStreamer extends EventEmitter {
 
     this.ffmpegProcess = null;
     this.isStreaming = false;
-    this.keepAliveInterval = null;
 
     // Subtitle feature flag (disabled by default to avoid SIGBUS issues)
     this.enableSubtitles = config.enableSubtitles || false;
@@ -64,32 +138,26 @@ export class TwitchStreamer extends EventEmitter {
       this.ffmpegProcess = null;
     }
 
-    if (!this.streamKey) {
-      throw new Error("Missing TWITCH_STREAM_KEY");
+    if (this.destinations.length === 0) {
+      throw new Error(
+        "No stream destinations - set TWITCH_STREAM_KEY, YOUTUBE_STREAM_KEY, KICK_STREAM_KEY or STREAM_RTMP_URLS"
+      );
     }
 
-    console.log("🎥 Starting Twitch stream...");
+    console.log(
+      `🎥 Starting stream to ${this.destinations
+        .map((destination) => destination.name)
+        .join(", ")}...`
+    );
 
     // Check for background video
     const backgroundVideo = process.env.BACKGROUND_VIDEO || "./media/gta.mp4";
     const useVideo = fs.existsSync(backgroundVideo);
 
-    // Check for background music
-    const backgroundMusic =
-      process.env.BACKGROUND_MUSIC ||
-      path.join(process.cwd(), "media", "background-music.mp3");
-    const hasMusic = fs.existsSync(backgroundMusic);
-
-    if (hasMusic) {
-      console.log(`🎵 Found background music: ${backgroundMusic}`);
-    } else {
-      console.log(`⚠️  No background music found at: ${backgroundMusic}`);
-    }
-
-    // Input indices: 0=video, 1=music(if exists), 2or1=voice, +1=overlay (via pipe:3)
-    const musicIdx = hasMusic ? 1 : -1;
-    const voiceIdx = hasMusic ? 2 : 1;
-    const overlayIdx = hasMusic ? 3 : 2;
+    // Input indices: 0=video, 1=program audio, 2=overlay (via pipe:3)
+    // Music is already in the program mix (see AudioBus)
+    const voiceIdx = 1;
+    const overlayIdx = 2;
 
     const ffmpegArgs = [
       // Video input: loop background video or fallback to static
@@ -99,10 +167,7 @@ export class TwitchStreamer extends EventEmitter {
         ? ["-loop", "1", "-i", this.coverImage]
         : ["-f", "lavfi", "-i", "color=c=#1a1a2e:s=1280x720:r=30"]),
 
-      // Background music input (looped)
-      ...(hasMusic ? ["-stream_loop", "-1", "-i", backgroundMusic] : []),
-
-      // Audio input: raw PCM from stdin (podcast voices) - NON-BLOCKING
+      // Audio input: raw PCM from stdin (mixed program) - NON-BLOCKING
       "-f",
       "s16le",
       "-ar",
@@ -122,12 +187,10 @@ export class TwitchStreamer extends EventEmitter {
       "-thread_queue_size", "16",
       "-i", "pipe:3",
 
-      // Complex filter: audio mixing + video overlay + call-to-action text
+      // Complex filter: audio resampling + video overlay + call-to-action text
       // Flashy phone number in top-left corner with pulsing effect
       "-filter_complex",
-      hasMusic
-        ? `[${musicIdx}:a]aresample=48000,volume=0.15[music];[${voiceIdx}:a]aresample=async=1:first_pts=0,volume=1.0[voice];[music][voice]amix=inputs=2:duration=first:dropout_transition=0[aout];[0:v]scale=1280:720,drawtext=text='📞 CALL 415-649-9366 TO JOIN':fontsize=28:fontcolor=yellow@0.9:borderw=2:bordercolor=black:x=30:y=50:enable='gte(mod(t\\,2)\\,0)'[base];[${overlayIdx}:v]format=rgba[ovl];[base][ovl]overlay=(W-w)/2:(H-h)/2:eof_action=pass[vout]`
-        : `[${voiceIdx}:a]aresample=async=1:first_pts=0,volume=1.0[aout];[0:v]scale=1280:720,drawtext=text='📞 CALL 415-649-9366 TO JOIN':fontsize=28:fontcolor=yellow@0.9:borderw=2:bordercolor=black:x=30:y=50:enable='gte(mod(t\\,2)\\,0)'[base];[${overlayIdx}:v]format=rgba[ovl];[base][ovl]overlay=(W-w)/2:(H-h)/2:eof_action=pass[vout]`,
+      `[${voiceIdx}:a]aresample=async=1:first_pts=0,volume=1.0[aout];[0:v]scale=1280:720,drawtext=text='📞 CALL 415-649-9366 TO JOIN':fontsize=28:fontcolor=yellow@0.9:borderw=2:bordercolor=black:x=30:y=50:enable='gte(mod(t\\,2)\\,0)'[base];[${overlayIdx}:v]format=rgba[ovl];[base][ovl]overlay=(W-w)/2:(H-h)/2:eof_action=pass[vout]`,
 
       "-map", "[vout]",
       "-map", "[aout]",
@@ -158,16 +221,22 @@ export class TwitchStreamer extends EventEmitter {
       "-ar",
       "48000", // Twitch requires 48kHz
 
-      // Output
+      // Output: one encode, an FLV muxer per destination. onfail=ignore
+      // keeps the rest going when one drops
+      "-flags",
+      "+global_header",
       "-f",
-      "flv",
-      `${this.rtmpUrl}${this.streamKey}`,
+      "tee",
+      this.destinations
+        .map((destination) => `[f=flv:onfail=ignore]${escapeTeeUrl(destination.url)}`)
+        .join("|"),
     ];
 
     // Spawn with 4 stdio: stdin (audio), stdout, stderr, and fd3 (overlay frames)
-    this.ffmpegProcess = spawn("ffmpeg", ffmpegArgs, {
+    const ffmpegProcess = spawn("ffmpeg", ffmpegArgs, {
       stdio: ["pipe", "pipe", "pipe", "pipe"],
     });
+    this.ffmpegProcess = ffmpegProcess;
 
     // Get the overlay pipe (fd 3)
     this.overlayPipe = this.ffmpegProcess.stdio[3];
@@ -187,10 +256,12 @@ export class TwitchStreamer extends EventEmitter {
       }
     });
 
+    // Destination health comes from the tee muxer's log
+    let stderrLine = "";
     this.ffmpegProcess.stderr.on("data", (data) => {
-      const output = data.toString();
-      // Show all ffmpeg output for debugging
-      // console.log("FFmpeg:", output);
+      const lines = (stderrLine + data.toString()).split(/[\r\n]+/);
+      stderrLine = lines.pop();
+      lines.forEach((line) => this._parseLog(line));
     });
 
     this.ffmpegProcess.on("error", (err) => {
@@ -201,6 +272,8 @@ export class TwitchStreamer extends EventEmitter {
 
     this.ffmpegProcess.on("close", (code, signal) => {
       console.log(`FFmpeg process exited with code ${code}, signal: ${signal}`);
+      // A process replaced by a restart - its successor owns the state now
+      if (ffmpegProcess !== this.ffmpegProcess) return;
 
       const wasStreaming = this.isStreaming;
       this.isStreaming = false;
@@ -208,7 +281,7 @@ export class TwitchStreamer extends EventEmitter {
       if (wasStreaming) {
         console.error("⚠️  FFmpeg stream ended unexpectedly.");
         if (signal === "SIGPIPE") {
-          console.error("   → SIGPIPE: RTMP connection to Twitch was broken");
+          console.error("   → SIGPIPE: RTMP connection was broken");
         } else if (signal === "SIGSEGV") {
           console.error("   → SIGSEGV: FFmpeg crashed (memory issue)");
         } else if (code === 1) {
@@ -218,42 +291,101 @@ export class TwitchStreamer extends EventEmitter {
         }
       }
 
-      this.emit("stopped", { code, signal });
+      for (const destination of this.destinations) {
+        if (destination.status !== "failed") {
+          this._setStatus(destination, "stopped");
+        }
+      }
+      // unexpected is false after stop() - nothing to restart
+      this.emit("stopped", { code, signal, unexpected: wasStreaming });
     });
 
     this.isStreaming = true;
+    for (const destination of this.destinations) {
+      this._setStatus(destination, "connecting");
+    }
 
-    // Always use keep-alive to prevent stdin starvation
-    console.log("🔄 Starting stdin keep-alive (100ms silence every 500ms)");
-    this.keepAliveInterval = setInterval(() => {
-      if (
-        this.isStreaming &&
-        this.ffmpegProcess &&
-        !this.ffmpegProcess.stdin.destroyed
-      ) {
-        try {
-          // Send 100ms of silence to keep stdin alive
-          const silenceBuffer = Buffer.alloc(4800); // 100ms at 24kHz, 16-bit
-          this.ffmpegProcess.stdin.write(silenceBuffer);
-        } catch (err) {
-          // Ignore write errors
-        }
-      }
-    }, 500); // Every 500ms
+    // No keep-alive needed: the audio bus sends a frame (silence if
+    // nobody is talking) every 20ms
 
     // Start overlay frame pusher - sends RGBA frames at 2fps
     this._startOverlayFramePusher();
 
     this.emit("started");
 
-    console.log("✅ Twitch stream started");
-    if (hasMusic) {
-      console.log("🎵 Background music enabled (15% volume)");
-    }
+    console.log("✅ Stream started");
     console.log(
       `📝 Subtitles: ${this.enableSubtitles ? "enabled" : "disabled"}`
     );
-    console.log("📺 Check your stream at: https://twitch.tv/YOUR_USERNAME");
+  }
+
+  /**
+   * @param {string} line - One line of ffmpeg's log
+   */
+  _parseLog(line) {
+    const failed = line.match(SLAVE_FAILED);
+    if (failed) {
+      const destination = this.destinations[Number(failed[1])];
+      if (destination) {
+        console.error(`⚠️  Stream to ${destination.name} dropped: ${failed[2]}`);
+        this._setStatus(destination, "failed", failed[2]);
+      }
+      return;
+    }
+    if (PROGRESS.test(line)) {
+      for (const destination of this.destinations) {
+        if (destination.status === "connecting") {
+          console.log(`📡 Live on ${destination.name}`);
+          this._setStatus(destination, "live");
+        }
+      }
+
+      // For stall detection (see StreamSupervisor.js)
+      const frame = line.match(PROGRESS_FRAME);
+      const time = line.match(PROGRESS_TIME);
+      const speed = line.match(PROGRESS_SPEED);
+      this.emit("progress", {
+        frame: frame ? Number(frame[1]) : null,
+        timeMs: time
+          ? ((Number(time[1]) * 60 + Number(time[2])) * 60 + Number(time[3])) *
+            1000
+          : null,
+        speed: speed ? Number(speed[1]) : null,
+      });
+    }
+  }
+
+  /**
+   * @param {StreamDestination} destination
+   * @param {StreamDestination["status"]} status
+   * @param {string} [error]
+   */
+  _setStatus(destination, status, error = null) {
+    if (destination.status === status) return;
+    destination.status = status;
+    destination.error = error;
+    destination.since = Date.now();
+    this.emit("destination", {
+      name: destination.name,
+      status,
+      error,
+    });
+  }
+
+  /**
+   * Destination health for status displays (no stream keys)
+   * @returns {{streaming: boolean, destinations: Array<{name: string, status: string, error: string|null, since: number|null}>}}
+   */
+  getStatus() {
+    return {
+      streaming: this.isStreaming,
+      destinations: this.destinations.map(({ name, status, error, since }) => ({
+        name,
+        status,
+        error,
+        since,
+      })),
+    };
   }
 
   /**
@@ -265,12 +397,16 @@ export class TwitchStreamer extends EventEmitter {
     const FRAME_SIZE = 1280 * 720 * 4;
     
     // Create transparent frame (all zeros = transparent black)
-    this._transparentFrame = Buffer.alloc(FRAME_SIZE);
+    this._transparentFrame = this._transparentFrame || Buffer.alloc(FRAME_SIZE);
     
-    // Current overlay frame (starts as transparent)
-    this._currentOverlayFrame = this._transparentFrame;
+    // Current overlay frame (starts as transparent; kept across restarts)
+    this._currentOverlayFrame =
+      this._currentOverlayFrame || this._transparentFrame;
     
     // Push frames at 2fps (every 500ms)
+    if (this.overlayFrameInterval) {
+      clearInterval(this.overlayFrameInterval);
+    }
     this.overlayFrameInterval = setInterval(() => {
       if (!this.isStreaming || !this.overlayPipe || this.overlayPipe.destroyed) {
         return;
@@ -478,12 +614,6 @@ export class TwitchStreamer extends EventEmitter {
     console.log("🛑 Stopping Twitch stream...");
     this.isStreaming = false;
 
-    // Stop keep-alive
-    if (this.keepAliveInterval) {
-      clearInterval(this.keepAliveInterval);
-      this.keepAliveInterval = null;
-    }
-
     // Stop overlay frame pusher
     if (this.overlayFrameInterval) {
       clearInterval(this.overlayFrameInterval);
@@ -516,6 +646,20 @@ export class TwitchStreamer extends EventEmitter {
     this.ffmpegProcess.kill("SIGINT");
   }
 
+  /**
+   * Kill a hung encoder. Unlike stop(), this counts as an unexpected exit,
+   * so a supervisor restarts it.
+   */
+  kill() {
+    const proc = this.ffmpegProcess;
+    if (!proc || proc.exitCode !== null || proc.signalCode !== null) return;
+    try {
+      proc.kill("SIGKILL");
+    } catch (err) {
+      console.error("Error killing ffmpeg:", err.message);
+    }
+  }
+
   /**
    * Check if currently streaming
    * @returns {boolean}
@@ -525,4 +669,13 @@ export class TwitchStreamer extends EventEmitter {
   }
 }
 
+/**
+ * Escape the characters the tee muxer treats specially in an output URL
+ * @param {string} url
+ * @returns {string}
+ */
+function escapeTeeUrl(url) {
+  return url.replace(/[\\'|]/g, "\\$&");
+}
+
 export default TwitchStreamer;
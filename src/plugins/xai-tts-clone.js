@@ -8,6 +8,8 @@ import { EventEmitter } from "events";
 import { spawn } from "child_process";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
+import { ttsCache } from "../lib/TTSCache.js";
 
 const MAX_INPUT_LENGTH = 4096;
 
@@ -26,7 +28,10 @@ export class XAITTSClonePlugin extends EventEmitter {
 
     // Cached voice file as base64
     this.voiceBase64 = null;
+    this.voiceHash = null; // Voice identity for the TTS cache (file contents, not path)
     this.initialized = false;
+    this.cache = config.cache === undefined ? ttsCache : config.cache; // false disables
+    this.emotionControl = "instructions"; // Emotions become per-line instructions
 
     // Timeout for API calls (voice clone can be slower)
     this.timeout = config.timeout || 35000; // 35s default timeout (most succeed in 5-8s)
@@ -49,6 +54,10 @@ export class XAITTSClonePlugin extends EventEmitter {
 
     const fileBuffer = fs.readFileSync(absolutePath);
     this.voiceBase64 = fileBuffer.toString("base64");
+    this.voiceHash = crypto
+      .createHash("sha256")
+      .update(fileBuffer)
+      .digest("hex");
     this.initialized = true;
 
     const fileSizeKB = (fileBuffer.length / 1024).toFixed(1);
@@ -62,10 +71,13 @@ export class XAITTSClonePlugin extends EventEmitter {
   /**
    * Convert text to speech using voice cloning
    * @param {string} text - Text to convert to speech
-   * @param {number} retries - Number of retries on failure
+   * @param {object} [options]
+   * @param {string} [options.instructions] - Delivery for this line (default: the host's voice instructions)
+   * @param {number} [options.retries] - Number of retries on failure
    * @returns {Promise<Buffer>} - Audio buffer (PCM16 24kHz mono)
    */
-  async synthesize(text, retries = 3) {
+  async synthesize(text, options = {}) {
+    const { instructions = this.instructions, retries = 3 } = options;
     if (!this.initialized) {
       await this.initialize();
     }
@@ -75,11 +87,22 @@ export class XAITTSClonePlugin extends EventEmitter {
     // Truncate text to max length
     const inputText = text.substring(0, MAX_INPUT_LENGTH);
 
+    const cacheKey = {
+      voice: `xai-clone:${this.voiceHash}`,
+      text: inputText,
+      instructions,
+    };
+    const cached = this.cache && this.cache.get(cacheKey);
+    if (cached) {
+      console.log(`⏱️  Voice clone: cache hit (${cached.length} bytes)`);
+      return cached;
+    }
+
     const payload = {
       model: "grok-voice",
       input: inputText,
       response_format: "mp3",
-      instructions: this.instructions,
+      instructions,
       voice: this.voiceBase64,
       sampling_params: {
         max_new_tokens: 512,
@@ -128,6 +151,9 @@ export class XAITTSClonePlugin extends EventEmitter {
       );
 
       clearTimeout(timeoutId);
+      if (this.cache) {
+        this.cache.set(cacheKey, pcmBuffer);
+      }
       return pcmBuffer;
     } catch (error) {
       clearTimeout(timeoutId);
@@ -143,7 +169,10 @@ export class XAITTSClonePlugin extends EventEmitter {
           console.log(
             `⚠️  Voice clone timeout, retrying immediately... (${retries} retries left)`
           );
-          return this.synthesize(text, retries - 1);
+          return this.synthesize(text, {
+            instructions,
+            retries: retries - 1,
+          });
         }
 
         throw timeoutError;
@@ -161,7 +190,10 @@ export class XAITTSClonePlugin extends EventEmitter {
             `⚠️  Voice clone failed, retrying in 2s... (${retries} retries left)`
           );
           await new Promise((r) => setTimeout(r, 2000));
-          return this.synthesize(text, retries - 1);
+          return this.synthesize(text, {
+            instructions,
+            retries: retries - 1,
+          });
         }
       }
 
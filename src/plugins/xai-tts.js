@@ -5,6 +5,7 @@
 
 import WebSocket from "ws";
 import { EventEmitter } from "events";
+import { ttsCache } from "../lib/TTSCache.js";
 
 export class XAITTSPlugin extends EventEmitter {
   constructor(config = {}) {
@@ -18,15 +19,37 @@ export class XAITTSPlugin extends EventEmitter {
     this.bitsPerSample = 16; // s16le
     this.connectionTimeout = config.connectionTimeout || 10000; // 10s connection timeout
     this.responseTimeout = config.responseTimeout || 35000; // 35s total response timeout
+    this.cache = config.cache === undefined ? ttsCache : config.cache; // false disables
+    this.emotionControl = "postprocess"; // No delivery controls - shape the PCM instead
   }
 
   /**
-   * Convert text to speech using XAI's streaming TTS
+   * Convert text to speech, from the TTS cache when this voice has said it
+   * before
    * @param {string} text - Text to convert to speech
    * @param {number} retries - Number of retries on failure
    * @returns {Promise<Buffer>} - Audio buffer (PCM16)
    */
   async synthesize(text, retries = 5) {
+    const cacheKey = { voice: `xai:${this.voiceId}`, text };
+    const cached = this.cache && this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const audio = await this._synthesizeRemote(text, retries);
+    // Partial audio from a timeout is aired once, never replayed from cache
+    if (this.cache && !audio.partial) {
+      this.cache.set(cacheKey, audio);
+    }
+    return audio;
+  }
+
+  /**
+   * Convert text to speech using XAI's streaming TTS
+   * @param {string} text - Text to convert to speech
+   * @param {number} retries - Number of retries on failure
+   * @returns {Promise<Buffer>} - Audio buffer (PCM16)
+   */
+  async _synthesizeRemote(text, retries) {
     return new Promise((resolve, reject) => {
       const audioChunks = [];
       const wsBase = this.baseUrl
@@ -65,7 +88,7 @@ export class XAITTSPlugin extends EventEmitter {
             console.warn(
               `⚠️  TTS response timeout, returning partial audio (${audioChunks.length} chunks)`
             );
-            resolve(Buffer.concat(audioChunks));
+            resolve(partialAudio(audioChunks));
           } else {
             reject(
               new Error(
@@ -154,7 +177,7 @@ export class XAITTSPlugin extends EventEmitter {
           if (audioChunks.length > 0) {
             // Got some audio but connection closed before is_last
             resolved = true;
-            resolve(Buffer.concat(audioChunks));
+            resolve(partialAudio(audioChunks));
           } else {
             resolved = true;
             const reasonText = reason ? reason.toString() : "none";
@@ -166,7 +189,10 @@ export class XAITTSPlugin extends EventEmitter {
               );
               await new Promise((r) => setTimeout(r, 2000));
               try {
-                const result = await this.synthesize(text, retries - 1);
+                const result = await this._synthesizeRemote(
+                  text,
+                  retries - 1
+                );
                 resolve(result);
               } catch (err) {
                 reject(err);
@@ -283,4 +309,15 @@ export class XAITTSPlugin extends EventEmitter {
   }
 }
 
+/**
+ * Audio cut short before is_last - flagged so it stays out of the cache
+ * @param {Buffer[]} chunks
+ * @returns {Buffer}
+ */
+function partialAudio(chunks) {
+  const audio = Buffer.concat(chunks);
+  audio.partial = true;
+  return audio;
+}
+
 export default XAITTSPlugin;
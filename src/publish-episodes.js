@@ -0,0 +1,50 @@
+/**
+ * Podcast Publisher - Entry Point
+ * Cuts finished program recordings into episodes and updates the RSS feed.
+ * With --serve, keeps serving the feed and publishes new recordings as they
+ * finish.
+ */
+
+import { EpisodePublisher } from "./lib/EpisodePublisher.js";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const SERVE = process.argv.includes("--serve");
+const SCAN_MINUTES = Number(process.env.PODCAST_SCAN_MINUTES || 10);
+
+async function main() {
+  const publisher = new EpisodePublisher();
+
+  let publishing = false;
+  const publish = async () => {
+    if (publishing) return;
+    publishing = true;
+    try {
+      const added = await publisher.publishNew();
+      if (added.length === 0) {
+        console.log("🎧 No new episodes");
+      }
+    } catch (err) {
+      console.error("❌ Publishing failed:", err.message);
+    } finally {
+      publishing = false;
+    }
+  };
+
+  await publish();
+  if (!SERVE) return;
+
+  await publisher.serve();
+  setInterval(publish, SCAN_MINUTES * 60 * 1000);
+
+  process.on("SIGINT", () => {
+    publisher.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((err) => {
+  console.error("❌", err.message);
+  process.exit(1);
+});
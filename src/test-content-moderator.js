@@ -0,0 +1,84 @@
+/**
+ * Content Moderator Tests
+ * Policy matching, severity → action, redaction and the audit log
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ContentModerator } from './lib/ContentModerator.js';
+
+const auditFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'moderation-')), 'audit.jsonl');
+const moderator = new ContentModerator({ enabled: true, auditFile });
+
+test('clean lines and disabled moderation pass through', async () => {
+  const line = '[laughs] The Fed printed 2 trillion dollars in 2020, wake up!';
+  assert.deepEqual(await moderator.screen(line, { source: 'host' }), { action: 'allow', text: line, violations: [] });
+  const off = new ContentModerator({ enabled: false, auditFile });
+  assert.equal((await off.screen('Call me at 555-123-4567', { source: 'caller' })).action, 'allow');
+});
+
+test('phone numbers are redacted, from hosts and callers', async () => {
+  const result = await moderator.screen('Call +1 (555) 123-4567 right now!', { source: 'caller', speaker: '+15550000000' });
+  assert.equal(result.action, 'redact');
+  assert.equal(result.text, 'Call (number redacted) right now!');
+  assert.equal((await moderator.screen('My cell is 555.123.4567.', { source: 'host', speaker: 'Alex' })).text, 'My cell is (number redacted).');
+});
+
+test('lists of years and numbers are not phone numbers', async () => {
+  for (const line of ['Bitcoin went from 2019 2020 2021 to the moon', 'I said it in 1999 2000 2001 and 2002', 'Ranked 10 20 30 40 50 60']) {
+    assert.equal((await moderator.screen(line, { source: 'host' })).action, 'allow', line);
+  }
+  const station = new ContentModerator({ enabled: true, auditFile });
+  assert.equal((await station.screen('Ring +44 20 7946 0958 tonight', { source: 'host' })).text, 'Ring (number redacted) tonight');
+});
+
+test("the station's own number is allowed on air", async () => {
+  const plug = '[hyped] Call 415-649-9366 and get on air! Or (415) 649 9366 if you like brackets.';
+  assert.equal((await moderator.screen(plug, { source: 'host', speaker: 'Alex' })).action, 'allow');
+  assert.equal((await moderator.screen('Dial +1 415.649.9366 now.', { source: 'host' })).action, 'allow');
+  const station = new ContentModerator({ enabled: true, auditFile });
+  const mixed = await station.screen('Not 555-123-4567, call 415-649-9366!', { source: 'host' });
+  assert.equal(mixed.text, 'Not (number redacted), call 415-649-9366!');
+});
+
+test('doxxing is regenerated for hosts, then dropped', async () => {
+  const line = 'He lives at 42 Maple Street, go say hi.';
+  const first = await moderator.screen(line, { source: 'host', speaker: 'Tammy', attempt: 0 });
+  assert.equal(first.action, 'regenerate');
+  assert.equal(first.text, null);
+  assert.match(moderator.rewriteNote(first), /home addresses/);
+  assert.equal((await moderator.screen(line, { source: 'host', attempt: 1 })).action, 'drop');
+  assert.equal((await moderator.screen(line, { source: 'caller' })).action, 'drop');
+  assert.equal((await moderator.screen('Ten years down the Road Less Traveled', { source: 'host' })).action, 'allow');
+});
+
+test('threats are dropped, and callers are never regenerated', async () => {
+  assert.equal((await moderator.screen("I'm gonna kill you, Chen", { source: 'host' })).action, 'drop');
+  assert.equal((await moderator.screen('email me at joe@example.com', { source: 'caller' })).action, 'drop');
+});
+
+test('custom policies: word lists and action overrides', async () => {
+  const custom = new ContentModerator({
+    enabled: true,
+    auditFile,
+    policies: [{ id: 'rivals', severity: 'high', action: 'redact', words: ['Rival FM*'], replacement: 'a certain show' }],
+  });
+  const result = await custom.screen('Unlike Rival FM, we tell the truth. Rival FMs lie.', { source: 'host' });
+  assert.equal(result.text, 'Unlike a certain show, we tell the truth. a certain show lie.');
+  assert.throws(() => new ContentModerator({ policies: [{ id: 'x', severity: 'extreme' }] }), /severity/);
+});
+
+test('every action is audited with the original text', () => {
+  const entries = fs.readFileSync(auditFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  const caller = entries.find((entry) => entry.source === 'caller' && entry.action === 'redact');
+  assert.equal(caller.speaker, '+15550000000');
+  assert.deepEqual(caller.policies, ['phone-number']);
+  assert.equal(caller.text, 'Call +1 (555) 123-4567 right now!');
+  assert.equal(caller.aired, 'Call (number redacted) right now!');
+  assert.ok(entries.every((entry) => entry.at && entry.action !== 'allow'));
+  assert.deepEqual(moderator.getStatus().counts, { redact: 2, regenerate: 1, drop: 4 });
+});
@@ -1,113 +1,106 @@
 /**
- * Test XAI TTS with Emotion Brackets
- * Tests if XAI TTS can handle [emotion] tags
+ * Emotion Bracket Tests
+ * Parser, validator and repair pass against lines in our hosts' style
+ * Run: npm test
  */
 
-import 'dotenv/config';
-import { XAITTSPlugin } from './plugins/xai-tts.js';
-import { spawn } from 'child_process';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
 import fs from 'fs';
+import {
+  parseBrackets,
+  stripBrackets,
+  validateBrackets,
+  repairBrackets,
+  getEmotionVocabulary,
+} from './lib/EmotionBrackets.js';
 
-async function testEmotionBrackets() {
-  console.log('🎭 Testing XAI TTS with Emotion Brackets\n');
+const alexVocab = getEmotionVocabulary(
+  fs.readFileSync(new URL('./shows/grokkdio/alex.md', import.meta.url), 'utf8')
+);
 
-  const tts = new XAITTSPlugin({
-    apiKey: process.env.XAI_API_KEY,
-    voiceId: 'ara',
-  });
+test('parses a response into emotion spans', () => {
+  assert.deepEqual(
+    parseBrackets('[yells] WAKE UP PEOPLE! [laughs maniacally] They\'re watching us!'),
+    [
+      { emotion: 'yells', text: 'WAKE UP PEOPLE!' },
+      { emotion: 'laughs maniacally', text: 'They\'re watching us!' },
+    ]
+  );
+});
 
-  const testCases = [
-    {
-      name: 'No brackets (baseline)',
-      text: 'Hello everyone, welcome to the show!'
-    },
-    {
-      name: 'With emotion brackets',
-      text: '[yells] HELLO EVERYONE! [laughs] Welcome to the show! [whispers] This is amazing...'
-    },
-    {
-      name: 'Multiple emotions',
-      text: '[excited] Hey there! [gasps] Oh my god! [whispers intensely] The truth is out there... [screams] WAKE UP!'
-    },
-    {
-      name: 'Conspiracy style',
-      text: '[yells] WAKE UP PEOPLE! [laughs maniacally] They\'re watching us! [whispers] The AI... [gasps dramatically] it\'s already here!'
-    }
-  ];
+test('text before the first tag has no emotion', () => {
+  assert.deepEqual(parseBrackets('Look, [sighs] fine.'), [
+    { emotion: null, text: 'Look,' },
+    { emotion: 'sighs', text: 'fine.' },
+  ]);
+});
 
-  for (let i = 0; i < testCases.length; i++) {
-    const testCase = testCases[i];
-    console.log(`\n📝 Test ${i + 1}: ${testCase.name}`);
-    console.log(`   Text: "${testCase.text}"`);
-    console.log('   Generating audio...');
+test('normalizes tag case and spacing', () => {
+  assert.equal(parseBrackets('[ Whispers   Intensely ] psst')[0].emotion, 'whispers intensely');
+});
 
-    try {
-      const audioBuffer = await tts.synthesize(testCase.text);
-      console.log(`   ✅ Generated ${audioBuffer.length} bytes`);
+test('strips tags for subtitles', () => {
+  assert.equal(
+    stripBrackets('[whispers] The AI... [gasps dramatically] it\'s already here!'),
+    'The AI... it\'s already here!'
+  );
+});
 
-      // Save to file
-      const filename = `test-${i + 1}-${testCase.name.replace(/\s+/g, '-').toLowerCase()}.raw`;
-      fs.writeFileSync(filename, audioBuffer);
-      console.log(`   💾 Saved to ${filename}`);
+test('reads the vocabulary from a persona file', () => {
+  assert.deepEqual(alexVocab.openers, ['yells', 'shouts', 'excited', 'whispers intensely', 'laughs']);
+  assert.ok(alexVocab.allowed.has('gasps dramatically'));
+  assert.ok(!alexVocab.allowed.has('seething'));
+});
 
-      // Calculate duration
-      const durationSec = audioBuffer.length / (24000 * 2); // 24kHz, 16-bit
-      console.log(`   ⏱️  Duration: ${durationSec.toFixed(1)}s`);
-      
-      console.log('   ✅ Done!\n');
-      
-      // Wait between tests to avoid rate limiting
-      await new Promise(r => setTimeout(r, 1500));
-      
-    } catch (err) {
-      console.error(`   ❌ Error: ${err.message}`);
-    }
-  }
+test('an explicit emotions list overrides the persona file', () => {
+  const vocab = getEmotionVocabulary('4. Available: [yells]', ['Calm', 'deadpan']);
+  assert.deepEqual([...vocab.allowed], ['calm', 'deadpan']);
+  assert.deepEqual(vocab.openers, ['calm']);
+});
 
-  console.log('\n🎉 All tests complete!');
-  console.log('\n📊 Results saved as .raw files');
-  console.log('\n🔊 To play them:');
-  console.log('   ffplay -f s16le -ar 24000 -channels 1 test-1-no-brackets-\\(baseline\\).raw');
-  console.log('   ffplay -f s16le -ar 24000 -channels 1 test-2-with-emotion-brackets.raw');
-  console.log('   ffplay -f s16le -ar 24000 -channels 1 test-3-multiple-emotions.raw');
-  console.log('   ffplay -f s16le -ar 24000 -channels 1 test-4-conspiracy-style.raw');
-  console.log('\n📊 Analysis:');
-  console.log('   Compare the audio files to see if emotion brackets affect the voice.');
-  console.log('   ✅ If brackets work: Different tones, volume, whispers vs yells');
-  console.log('   ❌ If brackets don\'t work: They\'re read as text or ignored');
-  
-  process.exit(0);
-}
+test('accepts a well-formed response', () => {
+  const check = validateBrackets(
+    '[yells] Taxes are THEFT! [whispers intensely] The Fed is printing money!',
+    alexVocab
+  );
+  assert.equal(check.valid, true);
+  assert.deepEqual(check.problems, []);
+});
 
-async function playAudio(audioBuffer) {
-  return new Promise((resolve, reject) => {
-    const ffplay = spawn('ffplay', [
-      '-f', 's16le',
-      '-ar', '24000',
-      '-channels', '1',
-      '-nodisp',
-      '-autoexit',
-      '-loglevel', 'quiet',
-      '-'
-    ]);
+test('flags missing tags, missing opener, unknown tags and dangling tags', () => {
+  assert.deepEqual(validateBrackets('No tags here.', alexVocab).problems, ['no emotion tags']);
+  assert.deepEqual(
+    validateBrackets('Okay so [seething] hello [yells]', alexVocab).problems,
+    [
+      'does not start with an emotion tag',
+      'tag not in vocabulary: [seething]',
+      'ends with a tag and no words',
+    ]
+  );
+  assert.ok(validateBrackets('[yells] WAKE [whisp', alexVocab).problems.includes('unbalanced bracket'));
+});
 
-    ffplay.on('error', (err) => {
-      resolve(); // Ignore playback errors
-    });
+test('repair adds the opener and drops unknown and dangling tags', () => {
+  assert.equal(
+    repairBrackets('Okay so [seething] hello [yells]', alexVocab),
+    '[yells] Okay so hello'
+  );
+  assert.equal(
+    repairBrackets('[Excited]  This is INSANE! [] really', alexVocab),
+    '[excited] This is INSANE! really'
+  );
+});
 
-    ffplay.stdin.on('error', (err) => {
-      resolve(); // Ignore pipe errors
-    });
+test('repair removes stray brackets', () => {
+  const repaired = repairBrackets('oops] [excited] fine [whisp', alexVocab);
+  assert.equal(repaired, '[yells] oops [excited] fine whisp');
+  assert.equal(validateBrackets(repaired, alexVocab).valid, true);
+});
 
-    ffplay.on('close', () => resolve());
-
-    try {
-      ffplay.stdin.write(audioBuffer);
-      ffplay.stdin.end();
-    } catch (err) {
-      resolve();
-    }
-  });
-}
-
-testEmotionBrackets().catch(console.error);
+test('repair leaves later sentences without an opener when asked', () => {
+  assert.equal(
+    repairBrackets('And another thing!', alexVocab, { requireOpener: false }),
+    'And another thing!'
+  );
+});
@@ -0,0 +1,139 @@
+/**
+ * Podcast Feed Tests
+ * Episode cutting from recording sidecars, and the RSS feed
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cutEpisodes, buildFeed, formatTimestamp } from './lib/EpisodePublisher.js';
+
+const MIN = 60 * 1000;
+
+const chapter = (offsetMs, type, title) => ({ offsetMs, type, title, data: {} });
+
+// An hour-long recording with a rundown
+const recording = {
+  show: 'Grokkdio FM',
+  topic: 'AI, crypto and conspiracies',
+  startedAt: '2026-10-19T18:00:00.000Z',
+  durationMs: 60 * MIN,
+  chapters: [
+    chapter(0, 'show.started', 'Show start'),
+    chapter(1000, 'segment.changed', 'Cold Open'),
+    chapter(2000, 'turn.started', 'Alex'),
+    chapter(3 * MIN, 'segment.changed', 'Hot Takes'),
+    chapter(10 * MIN, 'news.breaking', 'Breaking: Fed cuts rates'),
+    chapter(25 * MIN, 'segment.changed', 'Call-In Hour'),
+    // Older sidecars named the caller in the title
+    chapter(26 * MIN, 'caller.joined', 'Caller +15551234567 joined'),
+    chapter(55 * MIN, 'show.ended', 'Show end'),
+  ],
+  transcript: [
+    { offsetMs: 5000, host: 'Alex', text: '[yells] WAKE UP!' },
+    { offsetMs: 4 * MIN, host: 'Tammy', text: '[sighs] Here we go again.' },
+    { offsetMs: 30 * MIN, host: 'Chen', text: '[deadpan] Caller, you are on air.' },
+  ],
+};
+
+test('cuts at segments, folding short ones into the next', () => {
+  const cuts = cutEpisodes(recording);
+  assert.deepEqual(
+    cuts.map((c) => [c.startMs, c.endMs, c.segment]),
+    [
+      [0, 25 * MIN, 'Cold Open'],
+      [25 * MIN, 55 * MIN, 'Call-In Hour'],
+    ]
+  );
+});
+
+test('episode chapters skip turns and start at zero', () => {
+  const [first, second] = cutEpisodes(recording);
+  assert.deepEqual(first.chapters, [
+    { offsetMs: 0, title: 'Cold Open' },
+    { offsetMs: 3 * MIN, title: 'Hot Takes' },
+    { offsetMs: 10 * MIN, title: 'Breaking: Fed cuts rates' },
+  ]);
+  assert.deepEqual(second.chapters, [
+    { offsetMs: 0, title: 'Call-In Hour' },
+    { offsetMs: MIN, title: 'Caller joined' },
+  ]);
+  assert.deepEqual(second.transcript, [
+    { offsetMs: 5 * MIN, host: 'Chen', text: '[deadpan] Caller, you are on air.' },
+  ]);
+});
+
+test('cuts by window without a rundown, merging a short tail', () => {
+  const cuts = cutEpisodes(
+    { ...recording, chapters: [], durationMs: 62 * MIN },
+    { by: 'window', windowMinutes: 20 }
+  );
+  assert.deepEqual(
+    cuts.map((c) => [c.startMs, c.endMs]),
+    [
+      [0, 20 * MIN],
+      [20 * MIN, 40 * MIN],
+      [40 * MIN, 62 * MIN],
+    ]
+  );
+  assert.equal(cuts[0].chapters[0].title, 'Intro');
+});
+
+test('a recording shorter than the minimum has no episodes', () => {
+  assert.deepEqual(cutEpisodes({ ...recording, chapters: [], durationMs: 2 * MIN }), []);
+});
+
+test('feed is RSS 2.0 with iTunes tags, newest first, escaped', () => {
+  const episode = (number, airedAt, title) => ({
+    id: `rec@${number}`,
+    number,
+    title,
+    notes: 'Alex & Tammy argue about <fiat> money.',
+    file: `episodes/${number}-ep.mp3`,
+    bytes: 1234,
+    durationMs: 25 * MIN,
+    airedAt,
+    chapters: [{ offsetMs: 0, title: 'Cold Open' }, { offsetMs: 65 * MIN, title: 'Late' }],
+  });
+  const feed = buildFeed(
+    { title: 'Grokkdio FM', description: 'Replays', link: 'https://pod.example.com/' },
+    [
+      episode(1, '2026-10-19T18:00:00.000Z', 'Taxes & Theft'),
+      episode(2, '2026-10-19T19:00:00.000Z', 'The Fed "Knows"'),
+    ]
+  );
+
+  assert.match(feed, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0" xmlns:itunes="http:\/\/www.itunes.com\/dtds\/podcast-1.0.dtd"/);
+  assert.ok(feed.indexOf('The Fed &quot;Knows&quot;') < feed.indexOf('Taxes &amp; Theft'));
+  assert.match(feed, /<enclosure url="https:\/\/pod.example.com\/episodes\/1-ep.mp3" length="1234" type="audio\/mpeg"\/>/);
+  assert.match(feed, /<atom:link href="https:\/\/pod.example.com\/feed.xml" rel="self"/);
+  assert.match(feed, /<itunes:duration>1500<\/itunes:duration>/);
+  assert.match(feed, /<pubDate>Mon, 19 Oct 2026 18:00:00 GMT<\/pubDate>/);
+  assert.match(feed, /Alex &amp; Tammy argue about &lt;fiat&gt; money.\n\nChapters:\n00:00 Cold Open\n1:05:00 Late/);
+  assert.doesNotMatch(feed, /<itunes:image/);
+});
+
+test("a caller's number never reaches the feed", () => {
+  const [, callIn] = cutEpisodes(recording);
+  const feed = buildFeed({ title: 'Grokkdio FM', link: 'https://pod.example.com/' }, [
+    {
+      id: 'rec@2',
+      number: 2,
+      title: 'Call-In Hour',
+      notes: 'Listeners call in.',
+      file: 'episodes/2-ep.mp3',
+      bytes: 1234,
+      durationMs: 30 * MIN,
+      airedAt: '2026-10-19T18:25:00.000Z',
+      chapters: callIn.chapters,
+    },
+  ]);
+  assert.match(feed, /01:00 Caller joined/);
+  assert.doesNotMatch(feed, /555|1234567/);
+});
+
+test('timestamps', () => {
+  assert.equal(formatTimestamp(0), '00:00');
+  assert.equal(formatTimestamp(61500), '01:01');
+  assert.equal(formatTimestamp(3723000), '1:02:03');
+});
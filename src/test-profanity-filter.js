@@ -0,0 +1,71 @@
+/**
+ * Profanity Filter Tests
+ * Word matching, subtitle masking and where bleeps land in the audio
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProfanityFilter, estimateTimings } from './lib/ProfanityFilter.js';
+
+const SAMPLE_RATE = 24000;
+
+// A steady tone, loud enough to count as speech
+const tone = (seconds) => {
+  const audio = Buffer.alloc(Math.round(seconds * SAMPLE_RATE) * 2);
+  for (let i = 0; i < audio.length / 2; i++) {
+    audio.writeInt16LE(Math.round(10000 * Math.sin((2 * Math.PI * 220 * i) / SAMPLE_RATE)), i * 2);
+  }
+  return audio;
+};
+
+const filter = (mode = 'bleep') => new ProfanityFilter({ mode, words: ['fuck*', 'shit'], outputs: ['Twitch'] });
+
+test('matches whole words, with wildcard endings', () => {
+  const f = filter();
+  assert.ok(f.isProfane('FUCKING'));
+  assert.ok(f.isProfane('shit'));
+  assert.ok(!f.isProfane('shitake'));
+  assert.ok(!f.isProfane('Scunthorpe'));
+});
+
+test('masks subtitles, keeping the first letter', () => {
+  assert.equal(filter().maskText('Holy shit, that is fucking wild.'), 'Holy s***, that is f****** wild.');
+  assert.equal(filter('off').maskText('Holy shit'), 'Holy shit');
+});
+
+test('estimated timing skips [emotion] tags and spreads words over the audio', () => {
+  const words = estimateTimings('[yells] One two three.', tone(1.5));
+  assert.deepEqual(words.map((w) => w.text), ['One', 'two', 'three']);
+  assert.ok(words[0].startMs < 1);
+  assert.ok(Math.abs(words[2].endMs - 1500) < 1);
+  assert.ok(words[1].startMs > words[0].endMs - 1);
+});
+
+test('bleeps only the listed word, leaving the original untouched', () => {
+  const audio = tone(2);
+  const text = 'This is some serious shit right here.';
+  const clean = filter().censorAudio(audio, text);
+  const [span] = filter().findSpans(text, audio);
+
+  assert.ok(clean);
+  assert.ok(span.start > 0.8 * SAMPLE_RATE && span.end < 1.7 * SAMPLE_RATE);
+  assert.equal(Buffer.compare(audio.subarray(0, span.start * 2), clean.subarray(0, span.start * 2)), 0);
+  assert.notEqual(Buffer.compare(audio, clean), 0);
+  assert.equal(Buffer.compare(audio, tone(2)), 0);
+});
+
+test('mute silences the span, and clean lines are left alone', () => {
+  const audio = tone(1);
+  const clean = filter('mute').censorAudio(audio, 'Oh shit');
+  const [span] = filter('mute').findSpans('Oh shit', audio);
+  const middle = Math.floor((span.start + span.end) / 2);
+  assert.equal(clean.readInt16LE(middle * 2), 0);
+  assert.equal(filter().censorAudio(audio, 'Oh shoot'), null);
+});
+
+test('outputs are matched by name', () => {
+  assert.ok(filter().appliesTo('twitch'));
+  assert.ok(!filter().appliesTo('Recorder'));
+  assert.ok(!filter('off').appliesTo('Twitch'));
+});
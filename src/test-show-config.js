@@ -0,0 +1,111 @@
+/**
+ * Show Config Tests
+ * Loading and validating show and host files
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadShowConfig, loadHostConfig, resolveShowPath, DEFAULT_SHOW_PATH } from './lib/ShowConfig.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'show-config-'));
+fs.writeFileSync(path.join(dir, 'alex.md'), 'You are Alex.\n');
+fs.writeFileSync(path.join(dir, 'alex.m4a'), '');
+
+const writeShow = (name, show) => {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, JSON.stringify(show));
+  return file;
+};
+
+const host = (overrides = {}) => ({ name: 'Alex', personalityFile: 'alex.md', ...overrides });
+
+test('the bundled show loads from a fresh checkout', () => {
+  const show = loadShowConfig(DEFAULT_SHOW_PATH);
+  assert.equal(show.hosts.length, 3);
+  assert.ok(show.hosts.every((h) => h.personality && h.color));
+  assert.ok(show.rundown.segments.length > 0);
+});
+
+test('relative paths resolve against the show file', () => {
+  const show = loadShowConfig(writeShow('ok.json', { topic: 'Crypto', hosts: [host({ voiceFile: 'alex.m4a', color: 'cyan' })] }));
+  const [alex] = show.hosts;
+  assert.equal(alex.personality, 'You are Alex.');
+  assert.equal(alex.voiceFile, path.join(dir, 'alex.m4a'));
+  assert.equal(alex.color, '\x1b[36m');
+  assert.equal(show.name, 'Untitled Show');
+  assert.equal(show.turnPolicy, 'round-robin');
+  assert.equal(show.rundown, null);
+});
+
+test('a missing voice file falls back to the preset voice', () => {
+  const show = loadShowConfig(writeShow('voice.json', { topic: 'AI', hosts: [host({ voiceFile: 'nope.m4a', voiceId: 'rex' })] }));
+  assert.equal(show.hosts[0].voiceFile, undefined);
+  assert.equal(show.hosts[0].voiceId, 'rex');
+});
+
+test('every problem is reported at once', () => {
+  const file = writeShow('bad.json', {
+    turnPolicy: 'loudest',
+    segmentSettings: { historyWindow: -1, vibes: 3 },
+    hosts: [
+      host({ color: 'teal', personality: 'Inline too' }),
+      host({ personalityFile: 'missing.md', tts: ['carrier-pigeon'] }),
+    ],
+    rundown: { segments: [{ type: 'hot_takes', hosts: ['Nobody'] }, { type: 'karaoke' }] },
+  });
+  assert.throws(
+    () => loadShowConfig(file),
+    (err) => {
+      for (const expected of [
+        'show.topic: must be a non-empty string',
+        'turnPolicy: unknown policy "loudest"',
+        'segmentSettings.historyWindow: must be a positive number',
+        'segmentSettings.vibes: unknown setting',
+        'hosts[0]: set either personality or personalityFile, not both',
+        'hosts[0].color: unknown color "teal"',
+        'hosts[1].personalityFile: file not found',
+        'hosts[1].tts: unknown provider "carrier-pigeon"',
+        'hosts: duplicate host name "Alex"',
+        'rundown.segments[0].durationMinutes: required for "hot_takes" segments',
+        'rundown.segments[0].hosts: no host matching "Nobody"',
+        'rundown.segments[1].type: unknown segment type "karaoke"',
+      ]) {
+        assert.ok(err.message.includes(expected), `missing: ${expected}\n${err.message}`);
+      }
+      return true;
+    }
+  );
+});
+
+test('missing files and bad JSON', () => {
+  assert.throws(() => loadShowConfig(path.join(dir, 'none.json')), /Show config not found/);
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ "topic": ');
+  assert.throws(() => loadShowConfig(path.join(dir, 'broken.json')), /is not valid JSON/);
+});
+
+test('host files validate on their own', () => {
+  const file = writeShow('guest.json', host({ energy: 2, benched: true }));
+  assert.deepEqual(
+    { ...loadHostConfig(file), personality: undefined, color: undefined },
+    { name: 'Alex', energy: 2, benched: true, personality: undefined, color: undefined }
+  );
+  assert.throws(
+    () => loadHostConfig(writeShow('guest-bad.json', { name: 'Guest', energy: -1 })),
+    (err) => /personality or personalityFile is required/.test(err.message) && /energy: must be a number >= 0/.test(err.message)
+  );
+});
+
+test('show path: --show, --show=, SHOW_CONFIG, default', () => {
+  assert.equal(resolveShowPath(['node', 'index.js', '--show', 'a.json']), 'a.json');
+  assert.equal(resolveShowPath(['node', 'index.js', '--show=b.json']), 'b.json');
+  const saved = process.env.SHOW_CONFIG;
+  process.env.SHOW_CONFIG = 'c.json';
+  assert.equal(resolveShowPath(['node', 'index.js']), 'c.json');
+  delete process.env.SHOW_CONFIG;
+  assert.equal(resolveShowPath(['node', 'index.js']), DEFAULT_SHOW_PATH);
+  if (saved !== undefined) process.env.SHOW_CONFIG = saved;
+});
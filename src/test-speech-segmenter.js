@@ -0,0 +1,147 @@
+/**
+ * Speech Segmenter Tests
+ * Chunking of lines in our hosts' style, whole and streamed token by token
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { segmentText, speechText, SentenceStream } from './lib/SpeechSegmenter.js';
+
+const texts = (text, options) => segmentText(text, options).map((s) => s.text);
+
+// Feed text in small pieces, the way the LLM stream does
+function stream(text, size = 3, options) {
+  const sentences = new SentenceStream(options);
+  for (let i = 0; i < text.length; i += size) {
+    sentences.push(text.slice(i, i + size));
+  }
+  sentences.end();
+  return sentences.segments;
+}
+
+test('splits a host line at each sentence, tags attached', () => {
+  assert.deepEqual(
+    segmentText(
+      '[yells] Whoa, easy on the collectivism there, Tammy! [excited] Taxes are theft, plain and simple! [whispers intensely] The government\'s using fiat currency to enslave us—crypto\'s the way out!'
+    ),
+    [
+      { text: '[yells] Whoa, easy on the collectivism there, Tammy!', emotion: 'yells' },
+      { text: '[excited] Taxes are theft, plain and simple!', emotion: 'excited' },
+      {
+        text: '[whispers intensely] The government\'s using fiat currency to enslave us—crypto\'s the way out!',
+        emotion: 'whispers intensely',
+      },
+    ]
+  );
+});
+
+test('untagged sentences carry the previous emotion', () => {
+  const segments = segmentText('[yells] Taxes are THEFT! They print money. [whispers intensely] The Fed knows.');
+  assert.deepEqual(
+    segments.map((s) => s.emotion),
+    ['yells', 'yells', 'whispers intensely']
+  );
+  assert.equal(speechText(segments[1]), '[yells] They print money.');
+  assert.equal(speechText(segments[2]), '[whispers intensely] The Fed knows.');
+});
+
+test('abbreviations, initialisms and decimals do not end a sentence', () => {
+  assert.deepEqual(
+    texts('[deadpan] Dr. Fauci and the U.S. Army didn\'t do that. Inflation was 3.5 percent, Mr. Jones. I slept 3 hours.'),
+    [
+      '[deadpan] Dr. Fauci and the U.S. Army didn\'t do that.',
+      'Inflation was 3.5 percent, Mr. Jones.',
+      'I slept 3 hours.',
+    ]
+  );
+});
+
+test('a period or ellipsis before a lowercase word is mid-sentence', () => {
+  assert.deepEqual(
+    texts('[sighs] Guns, crypto, chemtrails, etc. and that was before lunch. I mean... whatever, Alex.'),
+    ['[sighs] Guns, crypto, chemtrails, etc. and that was before lunch.', 'I mean... whatever, Alex.']
+  );
+});
+
+test('an ellipsis before a tag or capital ends a sentence', () => {
+  assert.deepEqual(
+    texts('[whispers] They are listening right now... [gasps dramatically] it\'s already here! Wake up...'),
+    ['[whispers] They are listening right now...', '[gasps dramatically] it\'s already here! Wake up...']
+  );
+});
+
+test('quotes stay with their sentence', () => {
+  assert.deepEqual(
+    texts('[scoffs] You know what he told me? "Live free!" he said. "Or don\'t." Then he left.'),
+    ['[scoffs] You know what he told me?', '"Live free!" he said.', '"Or don\'t." Then he left.']
+  );
+});
+
+test('a tag at the end of a sentence moves to the next one', () => {
+  assert.deepEqual(
+    texts('[seething] Oh that is RICH coming from you. [mocking] Please, go on, enlighten us.'),
+    ['[seething] Oh that is RICH coming from you.', '[mocking] Please, go on, enlighten us.']
+  );
+  assert.deepEqual(
+    texts('[furious] Unbelievable, absolutely unbelievable! [losing it]'),
+    ['[furious] Unbelievable, absolutely unbelievable! [losing it]']
+  );
+});
+
+test('short sentences ride along with the next one', () => {
+  assert.deepEqual(
+    texts('[excited] Wow! No. Look at the numbers on this chart.'),
+    ['[excited] Wow! No. Look at the numbers on this chart.']
+  );
+  assert.deepEqual(texts('[sighs] Fine.'), ['[sighs] Fine.']);
+});
+
+test('long sentences are cut at a dash or comma, never inside a tag', () => {
+  const rant =
+    '[frantic] They are watching us from the satellites, the cameras, the phones in our pockets — every single device you own [breathless] reports back to the same people who run the banks and the media and the schools';
+  const segments = texts(rant, { maxFirstChars: 80, maxChars: 100 });
+  assert.ok(segments.length > 1);
+  assert.equal(segments.join(' '), rant);
+  for (const segment of segments) {
+    assert.ok(segment.replace(/\[[^\]]*\]/g, '').trim().length <= 100, segment);
+    assert.equal(segment.split('[').length, segment.split(']').length, segment);
+  }
+  assert.ok(segments[0].endsWith(','), segments[0]);
+});
+
+test('text with no punctuation is one segment', () => {
+  assert.deepEqual(texts('[deadpan] basic capitalism'), ['[deadpan] basic capitalism']);
+  assert.deepEqual(segmentText('   '), []);
+});
+
+test('streaming cuts the same segments as the whole text', () => {
+  const line =
+    '[sighs] Look, neither of you are completely wrong here. [amused] But Alex, it\'s not a conspiracy - it\'s just corporate greed. Dr. Smith said so. [deadpan] Basic capitalism.';
+  for (const size of [1, 3, 7]) {
+    assert.deepEqual(stream(line, size), segmentText(line));
+  }
+});
+
+test('streaming releases a sentence once the next one starts', () => {
+  const sentences = new SentenceStream();
+  sentences.push('[yells] Taxes are THEFT! ');
+  assert.equal(sentences.segments.length, 0);
+  // Too short to stand alone yet - it might still join the first sentence
+  sentences.push('The Fed');
+  assert.equal(sentences.segments.length, 0);
+  sentences.push(' is printing');
+  assert.deepEqual(sentences.segments, [{ text: '[yells] Taxes are THEFT!', emotion: 'yells' }]);
+  sentences.end();
+  assert.equal(sentences.text, '[yells] Taxes are THEFT! The Fed is printing');
+});
+
+test('streaming applies the transform before tracking emotion', () => {
+  const segments = stream('Okay so hello there everyone! And welcome back to the show.', 4, {
+    transform: (text, index) => (index === 0 ? `[excited] ${text}` : text),
+  });
+  assert.deepEqual(segments, [
+    { text: '[excited] Okay so hello there everyone!', emotion: 'excited' },
+    { text: 'And welcome back to the show.', emotion: 'excited' },
+  ]);
+});
@@ -7,8 +7,8 @@ import express from "express";
 import { WebSocketServer } from "ws";
 import dotenv from "dotenv";
 import { EventEmitter } from "events";
-import { spawn } from "child_process";
 import path from "path";
+import { audioBus } from "./lib/AudioBus.js";
 
 dotenv.config();
 
@@ -102,7 +102,7 @@ app.post("/transcription", (req, res) => {
 
     // Inject into podcast - fire and forget, don't block
     if (global.podcastOrchestrator) {
-      global.podcastOrchestrator.userInput = `[CALLER ${callerNumber}]: ${text}`;
+      global.podcastOrchestrator.callerSaid(callerNumber, text);
     }
   }
 
@@ -170,9 +170,7 @@ wss.on("connection", (ws) => {
 
           // Notify orchestrator about new caller
           if (global.podcastOrchestrator) {
-            global.podcastOrchestrator.regularNews(
-              `A new caller just joined the podcast!`
-            );
+            global.podcastOrchestrator.callerConnected(callerNumber);
           }
           break;
 
@@ -262,7 +260,7 @@ wss.on("connection", (ws) => {
 
             // Notify orchestrator about caller leaving
             if (global.podcastOrchestrator) {
-              global.podcastOrchestrator.userInput = `[CALLER ${callerNumber} DISCONNECTED]: The caller has hung up and left the show.`;
+              global.podcastOrchestrator.callerDisconnected(callerNumber);
               console.log(
                 `📢 Notified orchestrator: Caller ${callerNumber} disconnected`
               );
@@ -416,7 +414,7 @@ function calculateRMS(pcmBuffer) {
 }
 
 /**
- * Broadcast caller audio to Twitch/local streams
+ * Put caller audio on the mixer's caller channel
  * Uses cubic interpolation + strong low-pass filter for best quality
  */
 function broadcastCallerAudio(pcmBuffer) {
@@ -429,15 +427,8 @@ function broadcastCallerAudio(pcmBuffer) {
   // Boost volume (phone audio is quiet)
   const boosted = boostVolume(filtered, 1.5);
 
-  // Send to local player and Twitch
-  if (global.podcastOrchestrator) {
-    if (global.podcastOrchestrator.localPlayer) {
-      global.podcastOrchestrator.localPlayer.writeAudio(boosted);
-    }
-    if (global.podcastOrchestrator.twitchStreamer) {
-      global.podcastOrchestrator.twitchStreamer.writeAudio(boosted);
-    }
-  }
+  // Ducks the music bed like a host; callers get a mix without it
+  audioBus.addChannel("caller", { kind: "caller" }).write(boosted);
 }
 
 /**
@@ -537,7 +528,7 @@ async function transcribeAsync(mulawBuffer, callerNumber) {
 
     // Inject as user input to podcast
     if (global.podcastOrchestrator) {
-      global.podcastOrchestrator.userInput = `[CALLER ${callerNumber}]: ${transcription}`;
+      global.podcastOrchestrator.callerSaid(callerNumber, transcription);
     }
   } else {
     console.log(`🎙️ No speech detected from ${callerNumber}`);
@@ -663,53 +654,13 @@ async function transcribeWithRealtimeAPI(mulawBuffer) {
 }
 
 /**
- * Play an MP3 file on the stream (local preview + Twitch)
- * Uses ffmpeg to decode MP3 to raw PCM (24kHz, 16-bit, mono)
+ * Play an MP3 file on the stream through the mixer's SFX channel
  * @param {string} audioPath - Path to the MP3 file
  */
 function playAudioOnStream(audioPath) {
-  if (!global.podcastOrchestrator) {
-    console.warn('⚠️ Cannot play audio - orchestrator not ready');
-    return;
-  }
-
-  const { localPlayer, twitchStreamer } = global.podcastOrchestrator;
-  
-  if (!localPlayer && !twitchStreamer) {
-    console.warn('⚠️ Cannot play audio - no output available');
-    return;
-  }
-
   console.log(`🔊 Playing: ${path.basename(audioPath)}`);
-
-  // Use ffmpeg to decode MP3 to raw PCM (24kHz, 16-bit, mono)
-  const ffmpeg = spawn('ffmpeg', [
-    '-i', audioPath,
-    '-f', 's16le',
-    '-ar', '24000',
-    '-ac', '1',
-    '-acodec', 'pcm_s16le',
-    'pipe:1'
-  ], {
-    stdio: ['pipe', 'pipe', 'pipe']
-  });
-
-  ffmpeg.stdout.on('data', (pcmData) => {
-    // Write to both outputs
-    if (localPlayer) {
-      localPlayer.writeAudio(pcmData);
-    }
-    if (twitchStreamer) {
-      twitchStreamer.writeAudio(pcmData);
-    }
-  });
-
-  ffmpeg.on('error', (err) => {
-    console.error('Error playing audio:', err.message);
-  });
-
-  ffmpeg.on('close', (code) => {
-    if (code === 0) {
+  audioBus.playFile(audioPath).then((played) => {
+    if (played) {
       console.log(`✅ Finished playing: ${path.basename(audioPath)}`);
     }
   });
@@ -717,15 +668,32 @@ function playAudioOnStream(audioPath) {
 
 /**
  * Twilio Audio Output Adapter
- * Implements the audio bus interface
+ * Implements the audio bus interface. Callers get the live program (ahead of
+ * the broadcast delay) without the caller channel, so they don't hear
+ * themselves back.
  */
 export const twilioOutput = {
   name: "Twilio",
+  live: true,
+  mixMinus: ["caller"],
   writeAudio: (audioBuffer) => {
     queueAudioForTwilio(audioBuffer);
   },
 };
 
+/**
+ * Callers currently on the line (for status queries)
+ * @returns {Array<{streamSid: string, callSid: string, callerNumber: string, isSpeaking: boolean}>}
+ */
+export function getActiveCallers() {
+  return [...activeConnections].map(([streamSid, connection]) => ({
+    streamSid,
+    callSid: connection.callSid,
+    callerNumber: connection.callerNumber,
+    isSpeaking: connection.isSpeaking,
+  }));
+}
+
 // Export for use in main app
 export { activeConnections };
 